@@ -30,4 +30,16 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['worker/**/*.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ]
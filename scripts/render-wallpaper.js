@@ -0,0 +1,372 @@
+/**
+ * Headless Wallpaper Renderer
+ *
+ * Renders wallpapers to PNG files with node-canvas, using the same renderWallpaper()
+ * core as the browser preview. Settings come from command line flags or a JSON
+ * config file; a config file holding an array renders one image per entry.
+ *
+ * Usage:
+ *   node scripts/render-wallpaper.js --device iphone16pro --theme forest \
+ *     --patch 107st-2025-feat.jpg --text "RCTID" --font Rose --out timbers.png
+ *   node scripts/render-wallpaper.js --config wallpapers.json --out-dir wallpapers
+ *   node scripts/render-wallpaper.js --device all --theme all --out-dir wallpapers
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { renderWallpaper } from '../src/utils/renderWallpaper.js';
+import { extractUpcomingMatches } from '../src/utils/scheduleParser.js';
+import { parseSchedule, parseRivalSchedule } from '../src/utils/scheduleAdapters.js';
+import { findManifestLogo } from '../src/utils/logoMatcher.js';
+import { getVariantFilename } from '../src/utils/downloadUtils.js';
+import { getBackgroundThemes, buildWallpaperConfig } from '../src/utils/wallpaperConfig.js';
+import {
+  DEVICE_MODELS,
+  DEFAULT_DEVICE_MODEL,
+  CUSTOM_DEVICE_LIMITS,
+  WALLPAPER_VARIANTS,
+  SCHEDULE_STYLES,
+  SCHEDULE_MODES,
+  DEFAULT_FIXTURE_COUNT,
+  SCHEDULE_COMPETITIONS,
+  SCHEDULE_VENUES,
+  SEASON_RECORD_COMPETITIONS,
+  CASCADIA_RIVALS,
+  FONT_FILES
+} from '../src/utils/constants.js';
+
+// Get the current file's directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const ROOT_DIR = path.join(__dirname, '..');
+const ASSETS_DIR = path.join(ROOT_DIR, 'src/assets');
+const FONTS_DIR = path.join(ROOT_DIR, 'public/fonts');
+const DEFAULT_OUTPUT_DIR = path.join(ROOT_DIR, 'wallpapers');
+
+const USAGE = `Usage: node scripts/render-wallpaper.js [options]
+
+Options:
+  --config <file>     JSON config object, or an array of configs (one image per entry)
+  --device <id>       Device from DEVICE_MODELS, or "all" (default: ${DEFAULT_DEVICE_MODEL})
+  --width <px>        Width for --device custom (${CUSTOM_DEVICE_LIMITS.minWidth}-${CUSTOM_DEVICE_LIMITS.maxWidth})
+  --height <px>       Height for --device custom (${CUSTOM_DEVICE_LIMITS.minHeight}-${CUSTOM_DEVICE_LIMITS.maxHeight})
+  --theme <id>        Theme id from background-manifest.json, or "all"
+  --patch <file>      Patch filename in src/assets/patches
+  --text <text>       Headline text
+  --font <name>       Font family (e.g. "Rose", "Urban Jungle", "Verdana")
+  --color <hex>       Text color
+  --from <date>       Show fixtures after this date instead of today (YYYY-MM-DD)
+  --fixtures <file>   Schedule to use instead of src/assets/schedule.json: a Sportmonks dump,
+                      a hand-written JSON or CSV schedule, or an .ics calendar
+  --matches <n>       Number of upcoming matches (1-8), or "month" for the rest of the month (default: ${DEFAULT_FIXTURE_COUNT})
+  --no-matches        Leave out the match row
+  --mode <mode>       ${SCHEDULE_MODES.map(mode => mode.value).join(', ')}: next matches, last results with scores, or the last 2 and next 2 (default: upcoming)
+  --competitions <ids>
+                      Comma separated: ${SCHEDULE_COMPETITIONS.map(competition => competition.value).join(', ')} (default: all but friendly)
+  --venue <venue>     ${SCHEDULE_VENUES.map(venue => venue.value).join(', ')} (default: all)
+  --until <date>      Leave out fixtures after this date (YYYY-MM-DD)
+  --schedule <style>  ${SCHEDULE_STYLES.map(style => style.value).join(', ')} (default: row)
+  --month <n>         Month the calendar shows: 0 for this month, 1 for next month (default: 0)
+  --record <id>       Add the season record and form strip for ${SEASON_RECORD_COMPETITIONS.map(option => option.value).join(', ')}
+  --cascadia          Add the Cascadia Cup table
+  --rival-schedule <club>=<file>
+                      Seattle's or Vancouver's schedule (${CASCADIA_RIVALS.map(team => team.shortCode).join(' or ')}), in any --fixtures
+                      format, so the Cascadia Cup table counts their matches against each other.
+                      Repeat for both clubs
+  --avoid-safe-zones  Keep the patch, text and match row clear of the lock screen clock and buttons
+  --variant <id>      ${WALLPAPER_VARIANTS.map(variant => variant.value).join(', ')}, or "all" (default: lock)
+  --out <file>        Output file for a single wallpaper
+  --out-dir <dir>     Output directory for generated files (default: wallpapers/)
+  --help              Show this message`;
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filepath - Path to the JSON file
+ * @returns {any} Parsed JSON
+ */
+const readJson = filepath => JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+/**
+ * Load node-canvas. It's imported only once there is something to render, since its
+ * native binding can fail to load where the rest of the CLI, like --help, works fine.
+ * @returns {Promise<Object>} The canvas module
+ * @throws {Error} When node-canvas isn't installed or can't be loaded
+ */
+async function loadCanvas() {
+  try {
+    const canvas = await import('canvas');
+    return canvas.default || canvas;
+  } catch (error) {
+    throw new Error(
+      `Could not load node-canvas, which renders the wallpapers: ${error.message.split('\n')[0]}\n` +
+      'Run "npm install canvas" to install or rebuild it; building it from source needs Cairo and Pango (see https://github.com/Automattic/node-canvas#compiling).'
+    );
+  }
+}
+
+/**
+ * Register the bundled custom fonts with node-canvas
+ * @param {Function} registerFont - node-canvas registerFont()
+ */
+function registerFonts(registerFont) {
+  Object.entries(FONT_FILES).forEach(([family, filename]) => {
+    const fontPath = path.join(FONTS_DIR, filename);
+    if (fs.existsSync(fontPath)) {
+      registerFont(fontPath, { family });
+    } else {
+      console.warn(`⚠️ Font file not found: ${fontPath}`);
+    }
+  });
+}
+
+/**
+ * Load an image, returning null instead of throwing so a missing asset only drops that element
+ * @param {Function} loadImage - node-canvas loadImage()
+ * @param {string} source - File path or URL
+ * @param {string} description - Description used in the warning
+ * @returns {Promise<Image|null>} The loaded image, or null
+ */
+async function loadImageSafely(loadImage, source, description) {
+  if (!source) return null;
+
+  try {
+    return await loadImage(source);
+  } catch (error) {
+    console.warn(`⚠️ Could not load ${description} (${source}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Expand "all" devices, themes and variants into one config per combination
+ * @param {Object} entry - A single config entry
+ * @param {Array} backgroundThemes - Available themes
+ * @returns {Array} Expanded config entries
+ */
+function expandEntry(entry, backgroundThemes) {
+  const devices = entry.device === 'all' ? DEVICE_MODELS.map(model => model.value) : [entry.device];
+  const themes = entry.theme === 'all' ? backgroundThemes.map(theme => theme.value) : [entry.theme];
+  const variants = entry.variant === 'all' ? WALLPAPER_VARIANTS.map(variant => variant.value) : [entry.variant];
+
+  return devices.flatMap(device => themes.flatMap(theme => variants.map(variant => ({ ...entry, device, theme, variant }))));
+}
+
+/**
+ * Load every image a config needs from disk
+ * @param {Object} config - Wallpaper config
+ * @param {Object} canvas - The node-canvas module
+ * @returns {Promise<Object>} Assets for renderWallpaper()
+ */
+async function loadAssets(config, { createCanvas, loadImage }) {
+  const theme = config.backgroundThemes.find(t => t.value === config.theme);
+  const backgroundPath = theme && theme.type === 'image' && theme.filename
+    ? path.join(ASSETS_DIR, 'background', theme.filename)
+    : null;
+  const foregroundMaskPath = backgroundPath && theme.foregroundMask && config.depthEffect !== false
+    ? path.join(ASSETS_DIR, 'background', theme.foregroundMask)
+    : null;
+  const patchPath = config.showPatchImage && config.patch
+    ? path.join(ASSETS_DIR, 'patches', config.patch)
+    : null;
+
+  // Image layer sources are file paths relative to the working directory, or URLs
+  const imageLayers = (config.layers || []).filter(layer => layer.type === 'image' && layer.src);
+
+  const calendarMatches = config.scheduleStyle === 'calendar' && config.includeMatches !== false ? config.calendar.matches : [];
+  const cascadiaRows = config.cascadiaStandings || [];
+
+  const [background, foregroundMask, patch, logos, calendarLogos, cascadiaLogos, layerImages] = await Promise.all([
+    loadImageSafely(loadImage, backgroundPath, `${config.theme} background`),
+    loadImageSafely(loadImage, foregroundMaskPath, `${config.theme} foreground mask`),
+    loadImageSafely(loadImage, patchPath, 'patch'),
+    Promise.all(config.matches.map(match => loadImageSafely(loadImage, match.logoUrl, `${match.opponent} logo`))),
+    Promise.all(calendarMatches.map(match => loadImageSafely(loadImage, match.logoUrl, `${match.opponent} logo`))),
+    Promise.all(cascadiaRows.map(row => loadImageSafely(loadImage, row.logoUrl, `${row.name} logo`))),
+    Promise.all(imageLayers.map(async layer => [layer.id, await loadImageSafely(loadImage, layer.src, `layer ${layer.id}`)]))
+  ]);
+
+  return { background, foregroundMask, patch, logos, calendarLogos, cascadiaLogos, layerImages: Object.fromEntries(layerImages), createCanvas };
+}
+
+/**
+ * Render one wallpaper and write it as PNG
+ * @param {Object} config - Wallpaper config
+ * @param {string} outputPath - Destination file
+ * @param {Object} canvasModule - The node-canvas module
+ */
+async function renderToFile(config, outputPath, canvasModule) {
+  const assets = await loadAssets(config, canvasModule);
+  const canvas = canvasModule.createCanvas(config.width, config.height);
+  const ctx = canvas.getContext('2d');
+
+  renderWallpaper(ctx, config, assets);
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+  console.log(`✓ ${path.relative(process.cwd(), outputPath)} (${config.width}x${config.height})`);
+}
+
+/**
+ * Build the list of entries to render from the command line
+ * @param {Object} values - Parsed CLI flags
+ * @returns {Array} Raw config entries
+ */
+function getEntries(values) {
+  const flagEntry = {};
+  if (values.device) flagEntry.device = values.device;
+  if (values.theme) flagEntry.theme = values.theme;
+  if (values.patch) flagEntry.patch = values.patch;
+  if (values.text) flagEntry.text = values.text;
+  if (values.font) flagEntry.font = values.font;
+  if (values.color) flagEntry.textColor = values.color;
+  if (values.matches) flagEntry.fixtureCount = values.matches;
+  if (values['no-matches']) flagEntry.includeMatches = false;
+  if (values['avoid-safe-zones']) flagEntry.avoidSafeZones = true;
+  if (values.variant) flagEntry.variant = values.variant;
+  if (values.schedule) flagEntry.scheduleStyle = values.schedule;
+  if (values.mode) flagEntry.scheduleMode = values.mode;
+  if (values.record) {
+    flagEntry.showSeasonRecord = true;
+    flagEntry.seasonRecordCompetition = values.record;
+  }
+  if (values.cascadia) flagEntry.showCascadiaTable = true;
+  if (values.month) flagEntry.calendarMonth = Number(values.month);
+  if (values.competitions || values.venue || values.until) {
+    flagEntry.scheduleFilters = {};
+    if (values.competitions) flagEntry.scheduleFilters.competitions = values.competitions.split(',').map(id => id.trim()).filter(Boolean);
+    if (values.venue) flagEntry.scheduleFilters.venue = values.venue;
+    if (values.until) flagEntry.scheduleFilters.to = values.until;
+  }
+  if (values.width) flagEntry.width = Number(values.width);
+  if (values.height) flagEntry.height = Number(values.height);
+
+  if (!values.config) {
+    return [flagEntry];
+  }
+
+  // Flags act as defaults that every config file entry can override
+  const fileConfig = readJson(path.resolve(values.config));
+  const fileEntries = Array.isArray(fileConfig) ? fileConfig : [fileConfig];
+  return fileEntries.map(entry => ({ ...flagEntry, ...entry }));
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string' },
+      device: { type: 'string' },
+      theme: { type: 'string' },
+      patch: { type: 'string' },
+      text: { type: 'string' },
+      font: { type: 'string' },
+      color: { type: 'string' },
+      from: { type: 'string' },
+      fixtures: { type: 'string' },
+      matches: { type: 'string' },
+      'no-matches': { type: 'boolean' },
+      'avoid-safe-zones': { type: 'boolean' },
+      variant: { type: 'string' },
+      schedule: { type: 'string' },
+      mode: { type: 'string' },
+      record: { type: 'string' },
+      cascadia: { type: 'boolean' },
+      'rival-schedule': { type: 'string', multiple: true },
+      month: { type: 'string' },
+      competitions: { type: 'string' },
+      venue: { type: 'string' },
+      until: { type: 'string' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      out: { type: 'string' },
+      'out-dir': { type: 'string' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const backgroundThemes = getBackgroundThemes(readJson(path.join(ASSETS_DIR, 'background/background-manifest.json')));
+  const logoManifest = readJson(path.join(ASSETS_DIR, 'logo/logo-manifest.json'));
+  const resolveLogo = (teamName, shortCode) => {
+    const logo = findManifestLogo(logoManifest.logos, teamName, shortCode);
+    return logo ? path.join(ASSETS_DIR, 'logo', path.basename(logo.src)) : null;
+  };
+
+  const schedulePath = values.fixtures ? path.resolve(values.fixtures) : path.join(ASSETS_DIR, 'schedule.json');
+  const scheduleMatches = parseSchedule(fs.readFileSync(schedulePath, 'utf8'));
+
+  const rivalSchedules = (values['rival-schedule'] || []).map(value => {
+    const [shortCode, file] = value.split(/=(.*)/);
+    if (!file) {
+      throw new Error(`Invalid --rival-schedule "${value}". Use <club>=<file>, e.g. SEA=sounders.csv`);
+    }
+    return parseRivalSchedule(fs.readFileSync(path.resolve(file), 'utf8'), shortCode);
+  });
+
+  const now = values.from ? new Date(values.from) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Invalid --from date "${values.from}"`);
+  }
+
+  const upcomingCount = extractUpcomingMatches(scheduleMatches, { now, limit: Infinity }).length;
+  console.log(`Found ${upcomingCount} upcoming matches after ${now.toISOString().slice(0, 10)}`);
+
+  const entries = getEntries(values).flatMap(entry => expandEntry(entry, backgroundThemes));
+  const outputDir = path.resolve(values['out-dir'] || DEFAULT_OUTPUT_DIR);
+
+  if (values.out && entries.length > 1) {
+    throw new Error('--out can only be used for a single wallpaper; use --out-dir for batches');
+  }
+
+  // Check every entry before loading node-canvas, so mistakes show up even without it
+  let failures = 0;
+  const usedFilenames = new Set();
+  const jobs = [];
+  for (const [index, entry] of entries.entries()) {
+    try {
+      const config = buildWallpaperConfig(entry, { backgroundThemes, scheduleMatches, rivalSchedules, now, resolveLogo });
+      const variant = WALLPAPER_VARIANTS.find(v => v.value === config.variant);
+      let filename = getVariantFilename(entry.output || `${config.device}-${config.theme}.png`, variant);
+      if (usedFilenames.has(filename)) {
+        filename = filename.replace(/\.png$/i, `-${index + 1}.png`);
+      }
+      usedFilenames.add(filename);
+      const outputPath = values.out ? path.resolve(values.out) : path.resolve(outputDir, filename);
+      jobs.push({ index, config, outputPath });
+    } catch (error) {
+      failures++;
+      console.error(`✗ Entry ${index + 1}: ${error.message}`);
+    }
+  }
+
+  if (jobs.length > 0) {
+    const canvasModule = await loadCanvas();
+    registerFonts(canvasModule.registerFont);
+
+    for (const { index, config, outputPath } of jobs) {
+      try {
+        await renderToFile(config, outputPath, canvasModule);
+      } catch (error) {
+        failures++;
+        console.error(`✗ Entry ${index + 1}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`\nRendered ${entries.length - failures} of ${entries.length} wallpapers`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,376 @@
+/**
+ * Sportmonks Schedule Sync
+ *
+ * Fetches the team's season schedule from the Sportmonks API, pages through the
+ * results, normalizes and validates them, and rewrites src/assets/schedule.json
+ * only when something changed. The API token comes from SPORTMONKS_API_TOKEN.
+ *
+ * Requests go through a small HTTP client, so responses can be recorded once and
+ * replayed later with no network or token, e.g. to try out changes to this script.
+ *
+ * Usage:
+ *   SPORTMONKS_API_TOKEN=... node scripts/sync-schedule.js
+ *   node --env-file=.env scripts/sync-schedule.js --dry-run
+ *   node --env-file=.env scripts/sync-schedule.js --record recordings/sportmonks
+ *   node scripts/sync-schedule.js --replay recordings/sportmonks --dry-run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { collectFixtures } from '../src/utils/scheduleAdapters.js';
+import { TIMBERS_TEAM_ID } from '../src/utils/constants.js';
+
+// Get the current file's directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_OUTPUT_PATH = path.join(ROOT_DIR, 'src/assets/schedule.json');
+const API_BASE_URL = 'https://api.sportmonks.com/v3/football';
+const TOKEN_ENV_VAR = 'SPORTMONKS_API_TOKEN';
+const REQUEST_TIMEOUT_MS = 30000;
+// Stops a pagination bug from looping forever; a season is a handful of pages at most
+const MAX_PAGES = 50;
+
+// Fields that follow the calendar week rather than the schedule, so they'd rewrite
+// the file on every run without anything worth committing
+const VOLATILE_FIELDS = ['games_in_current_week', 'is_current', 'last_played_at'];
+
+const USAGE = `Usage: node scripts/sync-schedule.js [options]
+
+Fetches the schedule from Sportmonks with the ${TOKEN_ENV_VAR} environment variable.
+
+Options:
+  --team <id>         Sportmonks team ID (default: ${TIMBERS_TEAM_ID})
+  --out <file>        Schedule file to update (default: src/assets/schedule.json)
+  --dry-run           Report what changed without writing; exits with 1 if the file is out of date
+  --record <dir>      Save every API response in this directory
+  --replay <dir>      Answer requests from responses saved with --record instead of the API
+  --help              Show this message`;
+
+/**
+ * Name of the file a response is recorded in, e.g. "schedules-teams-607.page-2.json"
+ * @param {string} endpoint - API path below the base URL
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Filename
+ */
+export const getRecordingName = (endpoint, query = {}) => {
+  const name = endpoint.replace(/^\/+/, '').replace(/[^\w-]+/g, '-');
+  const params = Object.keys(query).sort().map(key => `${key}-${query[key]}`);
+  return `${[name, ...params].join('.')}.json`;
+};
+
+/**
+ * Create a client that calls the Sportmonks API
+ * @param {Object} options - Client options
+ * @param {string} options.token - Sportmonks API token
+ * @param {Function} [options.fetch] - fetch() implementation, global fetch by default
+ * @param {string} [options.baseUrl] - API base URL
+ * @returns {Function} Client: `(endpoint, query) => Promise<Object>` resolving to the response body
+ */
+export const createApiClient = ({ token, fetch = globalThis.fetch, baseUrl = API_BASE_URL }) => {
+  if (!token) {
+    throw new Error(`Missing API token. Set ${TOKEN_ENV_VAR}, or use --replay with recorded responses`);
+  }
+
+  return async (endpoint, query = {}) => {
+    const url = new URL(`${baseUrl}/${endpoint.replace(/^\/+/, '')}`);
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    // The token goes in a header so it never ends up in logs or recordings
+    const response = await fetch(url, {
+      headers: { Authorization: token, Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const message = body?.message ? `: ${body.message}` : '';
+      throw new Error(`Sportmonks request for ${endpoint} failed with ${response.status}${message}`);
+    }
+    if (!body) {
+      throw new Error(`Sportmonks request for ${endpoint} didn't return JSON`);
+    }
+    return body;
+  };
+};
+
+/**
+ * Create a client that answers from responses recorded with createRecordingClient()
+ * @param {string} directory - Directory holding the recorded responses
+ * @returns {Function} Client: `(endpoint, query) => Promise<Object>`
+ */
+export const createReplayClient = (directory) => async (endpoint, query = {}) => {
+  const filepath = path.join(directory, getRecordingName(endpoint, query));
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`No recorded response for ${endpoint} (${path.relative(process.cwd(), filepath)})`);
+  }
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+};
+
+/**
+ * Wrap a client so every response is also saved for createReplayClient()
+ * @param {Function} client - Client to wrap
+ * @param {string} directory - Directory to save the responses in
+ * @returns {Function} Client: `(endpoint, query) => Promise<Object>`
+ */
+export const createRecordingClient = (client, directory) => async (endpoint, query = {}) => {
+  const body = await client(endpoint, query);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, getRecordingName(endpoint, query)), JSON.stringify(body, null, 2));
+  return body;
+};
+
+/**
+ * Fetch every page of the team's schedule
+ * @param {Function} client - Client from createApiClient() or createReplayClient()
+ * @param {number} teamId - Sportmonks team ID
+ * @returns {Promise<Array>} Stages from all pages, in the order received
+ */
+export const fetchTeamSchedule = async (client, teamId) => {
+  const stages = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const body = await client(`schedules/teams/${teamId}`, { page });
+    if (!Array.isArray(body.data)) {
+      throw new Error(`Unexpected schedule response on page ${page}: "data" isn't an array`);
+    }
+    stages.push(...body.data);
+
+    if (!body.pagination?.has_more) return stages;
+  }
+
+  throw new Error(`Schedule still had more pages after ${MAX_PAGES}`);
+};
+
+/**
+ * Compare two schedule items by start date, then ID
+ * @param {Object} a - Stage, round or fixture
+ * @param {Object} b - Stage, round or fixture
+ * @returns {number} Sort order
+ */
+const byStartThenId = (a, b) => String(a.starting_at ?? '').localeCompare(String(b.starting_at ?? '')) || a.id - b.id;
+
+/**
+ * Copy an object without the volatile fields
+ * @param {Object} item - Stage, round, fixture or participant
+ * @returns {Object} Copy without VOLATILE_FIELDS
+ */
+const omitVolatileFields = (item) => Object.fromEntries(
+  Object.entries(item).filter(([key]) => !VOLATILE_FIELDS.includes(key))
+);
+
+/**
+ * Merge items sharing an ID, as a stage can continue on the next page
+ * @param {Array} items - Stages, rounds or fixtures
+ * @param {Function} merge - Combines two items with the same ID
+ * @returns {Array} One item per ID
+ */
+const mergeById = (items, merge) => {
+  const merged = new Map();
+  items.forEach(item => {
+    merged.set(item.id, merged.has(item.id) ? merge(merged.get(item.id), item) : item);
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Normalize fixtures: one per ID, the latest copy wins, sorted by kickoff
+ * @param {Array} fixtures - Raw fixtures
+ * @returns {Array} Normalized fixtures
+ */
+const normalizeFixtures = (fixtures) => mergeById(fixtures, (previous, next) => next)
+  .map(fixture => ({
+    ...omitVolatileFields(fixture),
+    participants: (fixture.participants || []).map(omitVolatileFields)
+  }))
+  .sort(byStartThenId);
+
+/**
+ * Normalize the fetched schedule so unchanged data always serializes the same way:
+ * stages split across pages are merged, duplicates dropped, everything sorted by
+ * date and the volatile fields removed. The stage, round and fixture shape that
+ * collectFixtures() reads is kept as is.
+ * @param {Array} stages - Stages from fetchTeamSchedule()
+ * @returns {Array} Normalized schedule
+ */
+export const normalizeSchedule = (stages) => {
+  const mergeStages = (previous, next) => ({
+    ...previous,
+    ...next,
+    fixtures: [...(previous.fixtures || []), ...(next.fixtures || [])],
+    rounds: [...(previous.rounds || []), ...(next.rounds || [])]
+  });
+  const mergeRounds = (previous, next) => ({
+    ...previous,
+    ...next,
+    fixtures: [...(previous.fixtures || []), ...(next.fixtures || [])]
+  });
+
+  return mergeById(stages, mergeStages)
+    .map(stage => {
+      const normalized = omitVolatileFields(stage);
+      if (stage.fixtures) {
+        normalized.fixtures = normalizeFixtures(stage.fixtures);
+      }
+      if (stage.rounds) {
+        normalized.rounds = mergeById(stage.rounds, mergeRounds)
+          .map(round => ({ ...omitVolatileFields(round), fixtures: normalizeFixtures(round.fixtures || []) }))
+          .sort(byStartThenId);
+      }
+      return normalized;
+    })
+    .sort(byStartThenId);
+};
+
+/**
+ * Check a normalized schedule has what the wallpaper needs from every stage and fixture
+ * @param {Array} schedule - Schedule from normalizeSchedule()
+ * @param {number} teamId - Team whose schedule it is
+ * @returns {Array<string>} Problems found; empty when the schedule is valid
+ */
+export const validateSchedule = (schedule, teamId) => {
+  const problems = [];
+
+  schedule.forEach(stage => {
+    if (!Number.isInteger(stage.id) || !Number.isInteger(stage.league_id) || !stage.name) {
+      problems.push(`Stage ${stage.id ?? '(no id)'} is missing its id, league_id or name`);
+    }
+  });
+
+  const fixtures = collectFixtures(schedule);
+  if (fixtures.length === 0) {
+    problems.push('The schedule has no fixtures');
+  }
+
+  fixtures.forEach(fixture => {
+    const label = `Fixture ${fixture.id ?? '(no id)'}${fixture.name ? ` (${fixture.name})` : ''}`;
+    const participants = fixture.participants || [];
+
+    if (!Number.isInteger(fixture.id)) {
+      problems.push(`${label} has no id`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(fixture.starting_at || '')) {
+      problems.push(`${label} has an invalid starting_at "${fixture.starting_at}"`);
+    }
+    if (!participants.some(participant => participant.id === teamId)) {
+      problems.push(`${label} doesn't include team ${teamId}`);
+    }
+    if (participants.some(participant => !participant.name || !['home', 'away'].includes(participant.meta?.location))) {
+      problems.push(`${label} has a participant without a name or home/away location`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Count added, removed and changed fixtures between two schedules
+ * @param {Array} previous - Current schedule file contents
+ * @param {Array} next - New schedule
+ * @returns {{added: number, removed: number, changed: number}} Fixture counts
+ */
+export const diffSchedules = (previous, next) => {
+  const previousFixtures = new Map(collectFixtures(previous).map(fixture => [fixture.id, JSON.stringify(fixture)]));
+  const nextFixtures = new Map(collectFixtures(next).map(fixture => [fixture.id, JSON.stringify(fixture)]));
+
+  const added = [...nextFixtures.keys()].filter(id => !previousFixtures.has(id)).length;
+  const removed = [...previousFixtures.keys()].filter(id => !nextFixtures.has(id)).length;
+  const changed = [...nextFixtures].filter(([id, fixture]) => previousFixtures.has(id) && previousFixtures.get(id) !== fixture).length;
+
+  return { added, removed, changed };
+};
+
+/**
+ * Fetch, normalize and validate the schedule, and write it if it changed
+ * @param {Object} options - Sync options
+ * @param {Function} options.client - Client from createApiClient() or createReplayClient()
+ * @param {number} [options.teamId] - Sportmonks team ID
+ * @param {string} [options.outputPath] - Schedule file to update
+ * @param {boolean} [options.dryRun=false] - Compare without writing
+ * @returns {Promise<{changed: boolean, written: boolean, fixtures: number, diff: Object}>} Sync result
+ */
+export const syncSchedule = async ({ client, teamId = TIMBERS_TEAM_ID, outputPath = DEFAULT_OUTPUT_PATH, dryRun = false }) => {
+  const schedule = normalizeSchedule(await fetchTeamSchedule(client, teamId));
+
+  const problems = validateSchedule(schedule, teamId);
+  if (problems.length > 0) {
+    throw new Error(`The fetched schedule is invalid, so ${path.basename(outputPath)} was left alone:\n- ${problems.join('\n- ')}`);
+  }
+
+  // Same formatting as the file in the repo, so unchanged data compares equal
+  const contents = JSON.stringify(schedule, null, 2);
+  const previousContents = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+  const changed = contents !== previousContents;
+  const diff = diffSchedules(previousContents ? JSON.parse(previousContents) : [], schedule);
+
+  if (changed && !dryRun) {
+    fs.writeFileSync(outputPath, contents);
+  }
+
+  return { changed, written: changed && !dryRun, fixtures: collectFixtures(schedule).length, diff };
+};
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      team: { type: 'string' },
+      out: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay can\'t be used together');
+  }
+
+  const teamId = values.team ? Number(values.team) : TIMBERS_TEAM_ID;
+  if (!Number.isInteger(teamId)) {
+    throw new Error(`Invalid team ID "${values.team}"`);
+  }
+
+  let client = values.replay
+    ? createReplayClient(path.resolve(values.replay))
+    : createApiClient({ token: process.env[TOKEN_ENV_VAR] });
+  if (values.record) {
+    client = createRecordingClient(client, path.resolve(values.record));
+  }
+
+  const outputPath = path.resolve(values.out || DEFAULT_OUTPUT_PATH);
+  const dryRun = Boolean(values['dry-run']);
+  const { changed, written, fixtures, diff } = await syncSchedule({ client, teamId, outputPath, dryRun });
+  const relativePath = path.relative(process.cwd(), outputPath);
+
+  console.log(`Fetched ${fixtures} fixtures for team ${teamId}`);
+  if (!changed) {
+    console.log(`✓ ${relativePath} is up to date`);
+    return;
+  }
+
+  console.log(`${diff.added} added, ${diff.removed} removed, ${diff.changed} changed`);
+  if (written) {
+    console.log(`✓ Updated ${relativePath}`);
+  } else {
+    console.log(`✗ ${relativePath} is out of date`);
+    process.exitCode = 1;
+  }
+}
+
+// Only run when called directly, so the functions above can be imported on their own
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,298 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  getRecordingName,
+  createReplayClient,
+  fetchTeamSchedule,
+  normalizeSchedule,
+  validateSchedule,
+  diffSchedules,
+  syncSchedule
+} from './sync-schedule.js';
+import { collectFixtures } from '../src/utils/scheduleAdapters.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Three pages recorded from schedules/teams/607: the Leagues Cup and MLS stages continue
+// on page 2, where one MLS fixture comes again after being rescheduled
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures/sportmonks');
+const SCRIPT_PATH = path.join(__dirname, 'sync-schedule.js');
+const TEAM_ID = 607;
+const VOLATILE_FIELDS = ['games_in_current_week', 'is_current', 'last_played_at'];
+
+/**
+ * Find every key in a JSON value, however deeply nested
+ * @param {*} value - JSON value
+ * @param {Set<string>} [keys] - Keys found so far
+ * @returns {Set<string>} Keys
+ */
+const collectKeys = (value, keys = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectKeys(item, keys));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      keys.add(key);
+      collectKeys(item, keys);
+    });
+  }
+  return keys;
+};
+
+/**
+ * Wrap a client to count its requests
+ * @param {Function} client - Client to wrap
+ * @returns {Function} Client with a `requests` array of the pages asked for
+ */
+const countRequests = (client) => {
+  const counted = async (endpoint, query) => {
+    counted.requests.push(query.page);
+    return client(endpoint, query);
+  };
+  counted.requests = [];
+  return counted;
+};
+
+const replay = () => createReplayClient(RECORDINGS_DIR);
+
+describe('getRecordingName', () => {
+  it('names a response after its endpoint and sorted query', () => {
+    assert.equal(getRecordingName('/schedules/teams/607', { page: 2 }), 'schedules-teams-607.page-2.json');
+    assert.equal(getRecordingName('fixtures', { page: 1, include: 'scores' }), 'fixtures.include-scores.page-1.json');
+  });
+});
+
+describe('createReplayClient', () => {
+  it('answers from the recorded responses', async () => {
+    const body = await replay()(`schedules/teams/${TEAM_ID}`, { page: 1 });
+    assert.equal(body.pagination.current_page, 1);
+  });
+
+  it('fails for a request that was never recorded', async () => {
+    await assert.rejects(replay()(`schedules/teams/${TEAM_ID}`, { page: 9 }), /No recorded response for schedules\/teams\/607/);
+  });
+});
+
+describe('fetchTeamSchedule', () => {
+  it('follows the pages until has_more is false', async () => {
+    const client = countRequests(replay());
+    const stages = await fetchTeamSchedule(client, TEAM_ID);
+
+    assert.deepEqual(client.requests, [1, 2, 3]);
+    assert.equal(stages.length, 5);
+  });
+
+  it('gives up after MAX_PAGES pages', async () => {
+    const client = countRequests(async () => ({ data: [], pagination: { has_more: true } }));
+
+    await assert.rejects(fetchTeamSchedule(client, TEAM_ID), /still had more pages after 50/);
+    assert.equal(client.requests.length, 50);
+  });
+
+  it('rejects a page without a data array', async () => {
+    await assert.rejects(fetchTeamSchedule(async () => ({ message: 'Unauthenticated' }), TEAM_ID), /page 1: "data" isn't an array/);
+  });
+});
+
+describe('normalizeSchedule', () => {
+  let schedule;
+  before(async () => {
+    schedule = normalizeSchedule(await fetchTeamSchedule(replay(), TEAM_ID));
+  });
+
+  it('merges stages and rounds that continue on the next page', () => {
+    assert.deepEqual(schedule.map(stage => stage.name), ['Club Friendlies 3', 'Regular Season', 'Group Stage']);
+
+    const groupStage = schedule.find(stage => stage.name === 'Group Stage');
+    assert.deepEqual(groupStage.rounds.map(round => round.name), ['2', '3']);
+  });
+
+  it('keeps the latest copy of a fixture that appears twice', () => {
+    const regularSeason = schedule.find(stage => stage.name === 'Regular Season');
+    const rescheduled = regularSeason.fixtures.filter(fixture => fixture.id === 19352962);
+
+    assert.equal(regularSeason.fixtures.length, 3);
+    assert.equal(rescheduled.length, 1);
+    assert.equal(rescheduled[0].starting_at, '2025-07-06 03:00:00');
+  });
+
+  it('sorts fixtures by kickoff', () => {
+    const kickoffs = collectFixtures(schedule).filter(fixture => fixture.league_id === 779).map(fixture => fixture.starting_at);
+    assert.deepEqual(kickoffs, [...kickoffs].sort());
+  });
+
+  it('drops the volatile fields everywhere', () => {
+    const keys = collectKeys(schedule);
+    VOLATILE_FIELDS.forEach(field => assert.ok(!keys.has(field), `${field} is still there`));
+  });
+});
+
+describe('validateSchedule', () => {
+  let schedule;
+  before(async () => {
+    schedule = normalizeSchedule(await fetchTeamSchedule(replay(), TEAM_ID));
+  });
+
+  // A copy of the recorded schedule with one fixture changed
+  const withFixture = (change) => {
+    const copy = structuredClone(schedule);
+    change(copy.find(stage => stage.name === 'Regular Season').fixtures[0]);
+    return copy;
+  };
+
+  it('accepts the recorded schedule', () => {
+    assert.deepEqual(validateSchedule(schedule, TEAM_ID), []);
+  });
+
+  it('reports a schedule for another team', () => {
+    const problems = validateSchedule(schedule, 1);
+    assert.equal(problems.length, collectFixtures(schedule).length);
+    assert.match(problems[0], /doesn't include team 1/);
+  });
+
+  it('reports an empty schedule', () => {
+    assert.deepEqual(validateSchedule([], TEAM_ID), ['The schedule has no fixtures']);
+  });
+
+  it('reports stages without a league', () => {
+    const copy = structuredClone(schedule);
+    delete copy[0].league_id;
+    assert.deepEqual(validateSchedule(copy, TEAM_ID), [`Stage ${copy[0].id} is missing its id, league_id or name`]);
+  });
+
+  it('reports invalid kickoffs', () => {
+    const problems = validateSchedule(withFixture(fixture => { fixture.starting_at = '2025-03-23T01:30:00Z'; }), TEAM_ID);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /^Fixture 19352648 \(Colorado Rapids vs Portland Timbers\) has an invalid starting_at/);
+  });
+
+  it('reports participants without a side', () => {
+    const problems = validateSchedule(withFixture(fixture => { delete fixture.participants[1].meta; }), TEAM_ID);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /participant without a name or home\/away location/);
+  });
+});
+
+describe('diffSchedules', () => {
+  it('counts added, removed and changed fixtures', async () => {
+    const next = normalizeSchedule(await fetchTeamSchedule(replay(), TEAM_ID));
+    const previous = structuredClone(next);
+    const [friendly, otherFriendly] = previous[0].fixtures;
+    previous[0].fixtures = [{ ...friendly, starting_at: '2025-02-05 21:00:00' }, otherFriendly, { ...friendly, id: 1 }];
+    previous[1].fixtures.pop();
+
+    assert.deepEqual(diffSchedules(previous, next), { added: 1, removed: 1, changed: 1 });
+    assert.deepEqual(diffSchedules(next, next), { added: 0, removed: 0, changed: 0 });
+    assert.deepEqual(diffSchedules([], next), { added: 7, removed: 0, changed: 0 });
+  });
+});
+
+describe('syncSchedule', () => {
+  let directory;
+  let outputPath;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-schedule-'));
+    outputPath = path.join(directory, 'schedule.json');
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('leaves a missing file alone on a dry run', async () => {
+    const result = await syncSchedule({ client: replay(), teamId: TEAM_ID, outputPath, dryRun: true });
+
+    assert.deepEqual(result, { changed: true, written: false, fixtures: 7, diff: { added: 7, removed: 0, changed: 0 } });
+    assert.ok(!fs.existsSync(outputPath));
+  });
+
+  it('writes the normalized schedule', async () => {
+    const result = await syncSchedule({ client: replay(), teamId: TEAM_ID, outputPath });
+
+    assert.equal(result.written, true);
+    const written = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.deepEqual(written, normalizeSchedule(await fetchTeamSchedule(replay(), TEAM_ID)));
+  });
+
+  it("doesn't rewrite a file that is up to date", async () => {
+    const modified = new Date('2025-01-01T00:00:00Z');
+    fs.utimesSync(outputPath, modified, modified);
+
+    const result = await syncSchedule({ client: replay(), teamId: TEAM_ID, outputPath });
+
+    assert.deepEqual(result, { changed: false, written: false, fixtures: 7, diff: { added: 0, removed: 0, changed: 0 } });
+    assert.equal(fs.statSync(outputPath).mtimeMs, modified.getTime());
+  });
+
+  it('keeps the current file when the fetched schedule is invalid', async () => {
+    const previousContents = fs.readFileSync(outputPath, 'utf8');
+
+    // A friendly on the last page loses its kickoff
+    const client = async (endpoint, query) => {
+      const body = await replay()(endpoint, query);
+      if (query.page === 3) body.data[0].fixtures[0].starting_at = null;
+      return body;
+    };
+
+    await assert.rejects(
+      syncSchedule({ client, teamId: TEAM_ID, outputPath }),
+      /The fetched schedule is invalid, so schedule\.json was left alone:\n- Fixture 19382704 .* has an invalid starting_at "null"/
+    );
+    assert.equal(fs.readFileSync(outputPath, 'utf8'), previousContents);
+  });
+});
+
+describe('sync-schedule command', () => {
+  let directory;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-schedule-cli-'));
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the script against the recorded responses
+   * @param {Array<string>} args - Extra arguments
+   * @returns {Object} spawnSync() result
+   */
+  const run = (args) => spawnSync(process.execPath, [SCRIPT_PATH, '--replay', RECORDINGS_DIR, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, SPORTMONKS_API_TOKEN: '' },
+    timeout: 30000
+  });
+
+  it('fails a dry run while the file is out of date, without writing it', () => {
+    const outputPath = path.join(directory, 'dry-run.json');
+    fs.writeFileSync(outputPath, '[]');
+
+    const result = run(['--out', outputPath, '--dry-run']);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Fetched 7 fixtures for team 607/);
+    assert.match(result.stdout, /7 added, 0 removed, 0 changed/);
+    assert.match(result.stdout, /is out of date/);
+    assert.equal(fs.readFileSync(outputPath, 'utf8'), '[]');
+  });
+
+  it('updates the file, then passes a dry run', () => {
+    const outputPath = path.join(directory, 'update.json');
+
+    const update = run(['--out', outputPath]);
+    assert.equal(update.status, 0, update.stderr);
+    assert.match(update.stdout, /Updated/);
+
+    const check = run(['--out', outputPath, '--dry-run']);
+    assert.equal(check.status, 0, check.stderr);
+    assert.match(check.stdout, /is up to date/);
+  });
+
+  it('rejects --record together with --replay', () => {
+    const result = run(['--record', directory]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--record and --replay can't be used together/);
+  });
+});
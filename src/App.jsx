@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
 // Import components
 import DeviceSelector from "./components/DeviceSelector";
@@ -6,53 +6,231 @@ import PatchSelector from "./components/PatchSelector";
 import ThemeSelector from "./components/ThemeSelector";
 import TextCustomizer from "./components/TextCustomizer";
 import SchedulePreview from "./components/SchedulePreview";
+import ScheduleFilters from "./components/ScheduleFilters";
+import ScheduleImport from "./components/ScheduleImport";
+import SeasonRecord from "./components/SeasonRecord";
+import CascadiaTable from "./components/CascadiaTable";
 import CanvasPreview from "./components/CanvasPreview";
 import WallpaperCanvas from "./components/WallpaperCanvas";
 import PositionAdjuster from "./components/PositionAdjuster";
 import AccordionPanel from "./components/AccordionPanel";
-import { DownloadButton, Instructions, Footer } from "./components/UIComponents";
+import LayersPanel from "./components/LayersPanel";
+import { DownloadButton, HistoryToolbar, VariantSwitcher, Instructions, Footer } from "./components/UIComponents";
 import useScheduleData from "./hooks/useScheduleData";
+import useImportedSchedule from "./hooks/useImportedSchedule";
+import useRivalSchedules from "./hooks/useRivalSchedules";
 import useBackgroundThemes from "./hooks/useBackgroundThemes";
+import useHistoryState from "./hooks/useHistoryState";
 import { usePatchImages } from './hooks/usePatchImages';
-import { Paintbrush, Type, Calendar, Phone, MoveVertical, PaintBucket } from "lucide-react";
+import { Paintbrush, Type, Calendar, Phone, MoveVertical, PaintBucket, Layers } from "lucide-react";
 import { debugLog } from "./utils/debug";
-import { captureCanvasToBlob, downloadBlob } from "./utils/downloadUtils";
+import { captureCanvasToBlob, downloadBlob, getVariantFilename } from "./utils/downloadUtils";
+import { renderWallpaperToCanvas } from "./utils/wallpaperAssets";
+import { getDevice } from "./utils/devices";
 import { getRandomItem } from "./utils/randomUtils";
+import { DRAGGABLE_ELEMENTS } from "./utils/elementTransforms";
+import { getLayerKey, getLayerIdFromKey, updateLayer } from "./utils/layers";
 import { 
   DEFAULT_PATCH_POSITION_Y, 
   DEFAULT_MATCH_POSITION_Y,
   DEFAULT_TEXT,
   DEFAULT_TEXT_COLOR,
   DEFAULT_FONT_SIZE_MULTIPLIER,
-  DEFAULT_IPHONE_MODEL,
+  DEFAULT_DEVICE_MODEL,
   DEFAULT_WALLPAPER_FILENAME,
-  IPHONE_MODELS,
+  DEFAULT_WALLPAPER_VARIANT,
+  DEFAULT_SCHEDULE_STYLE,
+  DEFAULT_FIXTURE_COUNT,
+  DEFAULT_SCHEDULE_FILTERS,
+  DEFAULT_SCHEDULE_MODE,
+  DEFAULT_SEASON_RECORD_COMPETITION,
+  WALLPAPER_VARIANTS,
+  DEVICE_MODELS,
   FONT_OPTIONS
 } from "./utils/constants";
 
+// Every wallpaper setting is kept in one undoable state object
+const INITIAL_SETTINGS = {
+  selectedBackground: "",
+  selectedTheme: null,
+  selectedDevice: DEFAULT_DEVICE_MODEL,
+  // Size used when the custom device is selected
+  customDeviceSize: { width: 1080, height: 2337 },
+  showPatchImage: true,
+  customText: DEFAULT_TEXT,
+  selectedFont: FONT_OPTIONS[0],
+  fontSizeMultiplier: DEFAULT_FONT_SIZE_MULTIPLIER,
+  textColor: DEFAULT_TEXT_COLOR,
+  // Position adjustments for patch/text and match info
+  patchPositionY: DEFAULT_PATCH_POSITION_Y,
+  matchPositionY: DEFAULT_MATCH_POSITION_Y,
+  // Extra text, image and shape layers, bottom layer first
+  layers: [],
+  // Elements moved, scaled or rotated directly on the preview
+  elementTransforms: {},
+  // Keep elements out of the lock screen clock, widgets and buttons
+  avoidSafeZones: false,
+  // Draw the subject of image themes with a foreground mask in front of the text and clock
+  depthEffect: true,
+  // Next matches or a month calendar, upcoming fixtures or results, how many matches, and which month the calendar shows
+  scheduleStyle: DEFAULT_SCHEDULE_STYLE,
+  scheduleMode: DEFAULT_SCHEDULE_MODE,
+  fixtureCount: DEFAULT_FIXTURE_COUNT,
+  calendarMonth: 0,
+  // Competitions, home or away, and date window for both the schedule list and the wallpaper
+  scheduleFilters: DEFAULT_SCHEDULE_FILTERS,
+  // Season record and form strip, and the competition it counts
+  showSeasonRecord: false,
+  seasonRecordCompetition: DEFAULT_SEASON_RECORD_COMPETITION,
+  // Cascadia Cup mini table
+  showCascadiaTable: false
+};
+
 const TimbersWallpaperGenerator = () => {
   const canvasRef = useRef(null);
+  // Preview-only canvas that puts the background's subject in front of the mock clock
+  const foregroundCanvasRef = useRef(null);
   const [isGenerating, setIsGenerating] = useState(false);
-  const [selectedBackground, setSelectedBackground] = useState("");
   // Background themes now come from the hook instead of hardcoded
-  const { backgroundThemes, selectedTheme, setSelectedTheme, isLoadingBackgrounds } = useBackgroundThemes();
-  const [selectediPhoneSize, setSelectediPhoneSize] = useState(DEFAULT_IPHONE_MODEL);
-  const [showPatchImage, setShowPatchImage] = useState(true);
-  const [customText, setCustomText] = useState(DEFAULT_TEXT);
-  
+  const { backgroundThemes, isLoadingBackgrounds } = useBackgroundThemes();
+
   // Initialize with a random font from our constant options
-  const [selectedFont, setSelectedFont] = useState(() => {
-    return getRandomItem(FONT_OPTIONS) || FONT_OPTIONS[0];
-  });
-  
-  const [fontSizeMultiplier, setFontSizeMultiplier] = useState(DEFAULT_FONT_SIZE_MULTIPLIER);
+  const {
+    state: settings,
+    setState: setSettings,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useHistoryState(() => ({
+    ...INITIAL_SETTINGS,
+    selectedFont: getRandomItem(FONT_OPTIONS) || FONT_OPTIONS[0]
+  }));
+
+  const {
+    selectedBackground,
+    selectedTheme,
+    selectedDevice,
+    customDeviceSize,
+    showPatchImage,
+    customText,
+    selectedFont,
+    fontSizeMultiplier,
+    textColor,
+    patchPositionY,
+    matchPositionY,
+    layers,
+    elementTransforms,
+    avoidSafeZones,
+    depthEffect,
+    scheduleStyle,
+    scheduleMode,
+    fixtureCount,
+    calendarMonth,
+    scheduleFilters,
+    showSeasonRecord,
+    seasonRecordCompetition,
+    showCascadiaTable
+  } = settings;
+
+  // Stable setters for each setting; the setting name doubles as the key for merging rapid changes
+  const setters = useMemo(() => Object.fromEntries(
+    Object.keys(INITIAL_SETTINGS).map(name => [
+      name,
+      (value, options) => setSettings(previous => ({
+        ...previous,
+        [name]: typeof value === 'function' ? value(previous[name]) : value
+      }), { key: name, ...options })
+    ])
+  ), [setSettings]);
+
+  const {
+    selectedBackground: setSelectedBackground,
+    selectedTheme: setSelectedTheme,
+    selectedDevice: setSelectedDevice,
+    customDeviceSize: setCustomDeviceSize,
+    showPatchImage: setShowPatchImage,
+    customText: setCustomText,
+    selectedFont: setSelectedFont,
+    fontSizeMultiplier: setFontSizeMultiplier,
+    textColor: setTextColor,
+    patchPositionY: setPatchPositionY,
+    matchPositionY: setMatchPositionY,
+    layers: setLayers,
+    elementTransforms: setElementTransforms,
+    avoidSafeZones: setAvoidSafeZones,
+    depthEffect: setDepthEffect,
+    scheduleStyle: setScheduleStyle,
+    fixtureCount: setFixtureCount,
+    calendarMonth: setCalendarMonth,
+    scheduleMode: setScheduleMode,
+    scheduleFilters: setScheduleFilters,
+    showSeasonRecord: setShowSeasonRecord,
+    seasonRecordCompetition: setSeasonRecordCompetition,
+    showCascadiaTable: setShowCascadiaTable
+  } = setters;
+
+  // Safe zone overlay on the preview only; it never appears in the wallpaper
+  const [showSafeZones, setShowSafeZones] = useState(false);
+
+  // Which variant the preview shows, and whether downloads include the companion variants
+  const [previewVariant, setPreviewVariant] = useState(DEFAULT_WALLPAPER_VARIANT);
+  const [includeCompanionVariants, setIncludeCompanionVariants] = useState(true);
+
+  // Ctrl/Cmd+Z to undo, Shift+Ctrl/Cmd+Z or Ctrl+Y to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      // Leave text fields to the browser's own undo
+      const target = e.target;
+      const isTextField = target.isContentEditable ||
+        target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && ['text', 'search', 'url', 'email', 'number'].includes(target.type));
+      if (isTextField) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const handleTransformChange = useCallback((name, transform) => {
+    const layerId = getLayerIdFromKey(name);
+    if (layerId) {
+      setLayers(previous => updateLayer(previous, layerId, { transform }));
+    } else {
+      setElementTransforms(previous => ({ ...previous, [name]: transform }));
+    }
+  }, [setLayers, setElementTransforms]);
   
-  // Default text color
-  const [textColor, setTextColor] = useState(DEFAULT_TEXT_COLOR);
+  // Unlocked layers sit above the fixed elements, topmost first
+  const draggableElements = useMemo(() => [
+    ...layers
+      .filter(layer => layer.visible !== false && !layer.locked)
+      .reverse()
+      .map(getLayerKey),
+    ...DRAGGABLE_ELEMENTS
+  ], [layers]);
   
-  // Position adjustments for patch/text and match info
-  const [patchPositionY, setPatchPositionY] = useState(DEFAULT_PATCH_POSITION_Y);
-  const [matchPositionY, setMatchPositionY] = useState(DEFAULT_MATCH_POSITION_Y);
+  // Layout boxes and collisions reported by the renderer for the current settings
+  const [layoutBoxes, setLayoutBoxes] = useState(null);
+  const [layoutCollisions, setLayoutCollisions] = useState([]);
+  // Config of the last preview render, reused to render the other variants for download
+  const renderedConfigRef = useRef(null);
+  const handleLayoutResolved = useCallback(({ layout, collisions }, config) => {
+    setLayoutBoxes(layout);
+    setLayoutCollisions(collisions);
+    renderedConfigRef.current = config;
+  }, []);
   
   // Use the new hook for patch images
   const { availableImages, isLoadingImages, loadAvailableImages } = usePatchImages();
@@ -64,30 +242,44 @@ const TimbersWallpaperGenerator = () => {
         const images = await loadAvailableImages();
         const randomImage = getRandomItem(images);
         if (randomImage) {
-          setSelectedBackground(randomImage.value);
+          // Automatic picks on load are not undo steps
+          setSelectedBackground(randomImage.value, { record: false });
           debugLog(`Selected random patch: ${randomImage.label}`);
         }
       }
     };
     
     initializeImages();
-  }, [showPatchImage, selectedBackground, loadAvailableImages]); // Updated dependencies
+  }, [showPatchImage, selectedBackground, loadAvailableImages, setSelectedBackground]); // Updated dependencies
 
-  // Get current iPhone dimensions
-  const getCurrentDimensions = () => {
-    const selected = IPHONE_MODELS.find((size) => size.value === selectediPhoneSize);
-    return selected || IPHONE_MODELS[0];
-  };
+  // Current device dimensions, including the custom size. Memoized so the canvas only
+  // re-renders when the size actually changes.
+  const currentDevice = useMemo(
+    () => getDevice(selectedDevice, customDeviceSize) || DEVICE_MODELS[0],
+    [selectedDevice, customDeviceSize]
+  );
 
-  // Get schedule data
-  const { nextMatches } = useScheduleData();
+  // Get schedule data, from an imported calendar when there is one
+  const { importedSchedule, importError, importSchedule, clearSchedule } = useImportedSchedule();
+  // Seattle's and Vancouver's schedules add their meetings to the Cascadia Cup table
+  const { rivalSchedules, importError: rivalImportError, importRivalSchedule, clearRivalSchedule } = useRivalSchedules();
+  const rivalScheduleList = useMemo(() => Object.values(rivalSchedules), [rivalSchedules]);
+  const { nextMatches, monthMatches, upcomingMatches, seasonRecords, cascadiaStandings } = useScheduleData({
+    scheduleMode,
+    fixtureCount,
+    calendarMonth,
+    filters: scheduleFilters,
+    matches: importedSchedule?.matches,
+    rivalSchedules: rivalScheduleList
+  });
+  const seasonRecord = seasonRecords.find(option => option.value === seasonRecordCompetition)?.record;
   
   // Select a random background theme on app load
   useEffect(() => {
     if (backgroundThemes.length > 0 && !isLoadingBackgrounds && !selectedTheme) {
       const randomTheme = getRandomItem(backgroundThemes);
       if (randomTheme) {
-        setSelectedTheme(randomTheme.value);
+        setSelectedTheme(randomTheme.value, { record: false });
         debugLog(`Selected random theme: ${randomTheme.label}`);
       }
     }
@@ -106,13 +298,24 @@ const TimbersWallpaperGenerator = () => {
       try {
         // First capture the canvas image without changing any state
         // This prevents any UI flicker during capture
-        const blob = await captureCanvasToBlob(canvas, 'image/png', 1.0);
+        const previewBlob = await captureCanvasToBlob(canvas, 'image/png', 1.0);
         
         // Only now show loading indicator (after blob is created)
         setIsGenerating(true);
         
-        // Download the blob
-        await downloadBlob(blob, DEFAULT_WALLPAPER_FILENAME);
+        const variants = includeCompanionVariants
+          ? WALLPAPER_VARIANTS
+          : WALLPAPER_VARIANTS.filter(variant => variant.value === previewVariant);
+        
+        // The previewed variant comes straight from the canvas; the others are rendered offscreen from the same settings
+        for (const variant of variants) {
+          let blob = previewBlob;
+          if (variant.value !== previewVariant) {
+            const variantCanvas = await renderWallpaperToCanvas({ ...renderedConfigRef.current, variant: variant.value });
+            blob = await captureCanvasToBlob(variantCanvas, 'image/png', 1.0);
+          }
+          await downloadBlob(blob, getVariantFilename(DEFAULT_WALLPAPER_FILENAME, variant));
+        }
       } catch (error) {
         console.error("Error in wallpaper download process:", error);
       } finally {
@@ -140,17 +343,34 @@ const TimbersWallpaperGenerator = () => {
         </div>
 
         <div className="grid lg:grid-cols-2 gap-8 items-start">
-          {/* iPhone Mockup */}
+          {/* Device Mockup */}
           <div className="flex justify-center order-1 lg:order-1">
-            <CanvasPreview canvasRef={canvasRef} />
+            <div className="flex flex-col items-center gap-4">
+              <CanvasPreview 
+                canvasRef={canvasRef} 
+                foregroundCanvasRef={foregroundCanvasRef} 
+                layout={layoutBoxes} 
+                draggableElements={draggableElements} 
+                onTransformChange={handleTransformChange} 
+                dimensions={currentDevice} 
+                showSafeZones={showSafeZones} 
+                variant={previewVariant} 
+              />
+              <VariantSwitcher 
+                variants={WALLPAPER_VARIANTS} 
+                selectedVariant={previewVariant} 
+                setSelectedVariant={setPreviewVariant} 
+              />
+            </div>
 
             {/* Canvas for rendering the wallpaper */}
             <WallpaperCanvas 
               canvasRef={canvasRef} 
+              foregroundCanvasRef={foregroundCanvasRef} 
               selectedBackground={selectedBackground} 
               selectedTheme={selectedTheme} 
               backgroundThemes={backgroundThemes}
-              dimensions={getCurrentDimensions()} 
+              dimensions={currentDevice} 
               nextMatches={nextMatches} 
               includeDateTime={false} // Never include date/time in the generated image
               includeMatches={true} 
@@ -161,11 +381,27 @@ const TimbersWallpaperGenerator = () => {
               textColor={textColor}
               patchPositionY={patchPositionY}
               matchPositionY={matchPositionY}
+              elementTransforms={elementTransforms}
+              layers={layers}
+              safeZones={currentDevice.safeZones}
+              avoidSafeZones={avoidSafeZones}
+              variant={previewVariant}
+              depthEffect={depthEffect}
+              scheduleStyle={scheduleStyle}
+              calendar={monthMatches}
+              showSeasonRecord={showSeasonRecord}
+              seasonRecord={seasonRecord}
+              showCascadiaTable={showCascadiaTable}
+              cascadiaStandings={cascadiaStandings}
+              onLayoutResolved={handleLayoutResolved}
             />
           </div>
 
           {/* Controls and Info */}
           <div className="space-y-4 order-2 lg:order-2">
+            {/* Undo / redo */}
+            <HistoryToolbar canUndo={canUndo} canRedo={canRedo} onUndo={undo} onRedo={redo} />
+
             {/* Theme Selector */}
             <AccordionPanel title="Theme" defaultOpen={true} icon={<PaintBucket size={20} />}>
               <ThemeSelector 
@@ -173,6 +409,8 @@ const TimbersWallpaperGenerator = () => {
                 setSelectedTheme={setSelectedTheme} 
                 themeOptions={backgroundThemes} 
                 isLoading={isLoadingBackgrounds} 
+                depthEffect={depthEffect} 
+                setDepthEffect={setDepthEffect} 
               />
             </AccordionPanel>
 
@@ -210,20 +448,74 @@ const TimbersWallpaperGenerator = () => {
                 setPatchPositionY={setPatchPositionY}
                 matchPositionY={matchPositionY}
                 setMatchPositionY={setMatchPositionY}
+                showMatchPosition={!layoutBoxes || Boolean(layoutBoxes.matchRow)}
+                collisions={layoutCollisions}
+                elementTransforms={elementTransforms}
+                onResetTransforms={() => setElementTransforms({})}
+                showSafeZones={showSafeZones}
+                setShowSafeZones={setShowSafeZones}
+                avoidSafeZones={avoidSafeZones}
+                setAvoidSafeZones={setAvoidSafeZones}
               />
             </AccordionPanel>
 
+            {/* Extra layers */}
+            <AccordionPanel title="Layers" icon={<Layers size={20} />}>
+              <LayersPanel layers={layers} setLayers={setLayers} />
+            </AccordionPanel>
+
             {/* Schedule Preview */}
             <AccordionPanel title="Match Schedule" icon={<Calendar size={20} />}>
-              <SchedulePreview nextMatches={nextMatches} />
+              <ScheduleImport
+                importedSchedule={importedSchedule}
+                importError={importError}
+                importSchedule={importSchedule}
+                clearSchedule={clearSchedule}
+              />
+              <div className="mt-4" />
+              <ScheduleFilters filters={scheduleFilters} setFilters={setScheduleFilters} />
+              <div className="mt-4" />
+              <SchedulePreview 
+                nextMatches={nextMatches} 
+                monthMatches={monthMatches} 
+                scheduleStyle={scheduleStyle} 
+                setScheduleStyle={setScheduleStyle} 
+                scheduleMode={scheduleMode} 
+                setScheduleMode={setScheduleMode} 
+                fixtureCount={fixtureCount} 
+                setFixtureCount={setFixtureCount} 
+                calendarMonth={calendarMonth} 
+                setCalendarMonth={setCalendarMonth} 
+                upcomingMatches={upcomingMatches}
+              />
+              <div className="mt-4" />
+              <SeasonRecord
+                seasonRecords={seasonRecords}
+                showSeasonRecord={showSeasonRecord}
+                setShowSeasonRecord={setShowSeasonRecord}
+                competition={seasonRecordCompetition}
+                setCompetition={setSeasonRecordCompetition}
+              />
+              <div className="mt-4" />
+              <CascadiaTable
+                standings={cascadiaStandings}
+                showCascadiaTable={showCascadiaTable}
+                setShowCascadiaTable={setShowCascadiaTable}
+                rivalSchedules={rivalSchedules}
+                rivalImportError={rivalImportError}
+                importRivalSchedule={importRivalSchedule}
+                clearRivalSchedule={clearRivalSchedule}
+              />
             </AccordionPanel>
 
-            {/* iPhone Size Selector */}
+            {/* Device Size Selector */}
             <AccordionPanel title="Device Size" icon={<Phone size={20} />}>
               <DeviceSelector 
-                selectediPhoneSize={selectediPhoneSize} 
-                setSelectediPhoneSize={setSelectediPhoneSize} 
-                iPhoneSizes={IPHONE_MODELS} 
+                selectedDevice={selectedDevice} 
+                setSelectedDevice={setSelectedDevice} 
+                customDeviceSize={customDeviceSize} 
+                setCustomDeviceSize={setCustomDeviceSize} 
+                devices={DEVICE_MODELS} 
               />
             </AccordionPanel>
 
@@ -235,6 +527,15 @@ const TimbersWallpaperGenerator = () => {
                 setIsGenerating={setIsGenerating} 
                 onDownload={generateWallpaper} 
               />
+              <label className="flex items-center gap-2 text-white/80 text-sm mt-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={includeCompanionVariants}
+                  onChange={(e) => setIncludeCompanionVariants(e.target.checked)}
+                  className="accent-yellow-400"
+                />
+                Also download the home screen and always-on versions
+              </label>
             </div>
 
             {/* Instructions */}
@@ -1,14 +1,79 @@
 import React, { useEffect, useState } from 'react';
 import { getCurrentTime, getCurrentDate, getIOSSystemFontFamily } from '../utils/iosFonts';
+import useElementGestures from '../hooks/useElementGestures';
+import { getPreviewMapping } from '../utils/elementTransforms';
+import { getDevicePlatform } from '../utils/devices';
+
+// Preview frames by platform mockup. maxScreen is the largest screen size in CSS pixels,
+// padding the bezel width and homeColumns the app icon columns on the home screen preview.
+// clockClassName and timeClassName place and size the mock clock.
+const MOCKUPS = {
+  phone: {
+    maxScreen: { width: 304, height: 680 },
+    padding: 8,
+    frameClassName: 'bg-black rounded-[3rem]',
+    screenClassName: 'rounded-[2.5rem]',
+    homeColumns: 4,
+    clockClassName: 'top-12 px-6',
+    timeClassName: 'text-6xl'
+  },
+  tablet: {
+    maxScreen: { width: 480, height: 640 },
+    padding: 14,
+    frameClassName: 'bg-black rounded-[2rem]',
+    screenClassName: 'rounded-[1.25rem]',
+    homeColumns: 6,
+    clockClassName: 'top-12 px-6',
+    timeClassName: 'text-6xl'
+  },
+  desktop: {
+    maxScreen: { width: 520, height: 380 },
+    padding: 10,
+    frameClassName: 'bg-neutral-900 rounded-xl',
+    screenClassName: 'rounded-sm',
+    homeColumns: 0
+  },
+  watch: {
+    maxScreen: { width: 200, height: 245 },
+    padding: 12,
+    frameClassName: 'bg-neutral-900 rounded-[3.25rem] ring-2 ring-neutral-700',
+    screenClassName: 'rounded-[2.5rem]',
+    homeColumns: 0,
+    clockClassName: 'top-3 px-5',
+    timeClassName: 'text-2xl'
+  }
+};
+
+// Rows of placeholder app icons on the home screen preview
+const HOME_SCREEN_ICON_ROWS = 4;
+
+/**
+ * Fit the device's aspect ratio into the preview area
+ * @param {{width: number, height: number}} dimensions - Device size in pixels
+ * @param {{width: number, height: number}} maxScreen - Largest screen size in CSS pixels
+ * @returns {{width: number, height: number}} Screen size in CSS pixels
+ */
+const getScreenSize = ({ width, height }, maxScreen) => {
+  const scale = Math.min(maxScreen.width / width, maxScreen.height / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
 
 /**
- * Component for displaying the iPhone preview mockup with time and date
+ * Component for displaying the device preview mockup with time and date, following the
+ * selected device's aspect ratio and its platform's frame and lock screen layout
  * 
  * @param {Object} props - Component props
  * @param {React.RefObject} props.canvasRef - Reference to the canvas element
+ * @param {React.RefObject} [props.foregroundCanvasRef] - Reference to the depth effect canvas drawn above the clock
+ * @param {Object} props.layout - Resolved layout boxes from the last render, used for hit testing
+ * @param {Array<string>} props.draggableElements - Elements that can be moved on the preview, topmost first
+ * @param {Function} props.onTransformChange - Called with `(elementName, transform)` when an element is moved
+ * @param {Object} props.dimensions - Current device, with its width, height, platform and safe zones
+ * @param {boolean} props.showSafeZones - Whether to outline the lock screen safe zones
+ * @param {string} props.variant - Wallpaper variant being previewed: 'lock', 'home' or 'alwaysOn'
  * @returns {JSX.Element} Canvas preview component
  */
-const CanvasPreview = ({ canvasRef }) => {
+const CanvasPreview = ({ canvasRef, foregroundCanvasRef, layout, draggableElements, onTransformChange, dimensions, showSafeZones = false, variant = 'lock' }) => {
   const [currentTime, setCurrentTime] = useState(getCurrentTime());
   const [currentDate, setCurrentDate] = useState(getCurrentDate(true)); // true for full weekday name
 
@@ -22,33 +87,174 @@ const CanvasPreview = ({ canvasRef }) => {
     return () => clearInterval(timer);
   }, []);
 
+  // Canvas element size, needed to place the safe zones over the cover-fitted wallpaper
+  const [canvasSize, setCanvasSize] = useState(null);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setCanvasSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [canvasRef]);
+
+  const safeZoneMapping = showSafeZones && canvasSize && dimensions
+    ? getPreviewMapping(canvasSize, dimensions)
+    : null;
+
+  const platform = getDevicePlatform(dimensions);
+  const mockup = MOCKUPS[platform.mockup] || MOCKUPS.phone;
+  const screenSize = getScreenSize(dimensions, mockup.maxScreen);
+  const clockAlignClassName = { left: 'items-start', right: 'items-end' }[platform.clockAlign] || 'items-center';
+  const clockClassName = `absolute left-0 right-0 z-20 flex flex-col gap-1 ${mockup.clockClassName} ${clockAlignClassName} ${variant === 'alwaysOn' ? 'opacity-60' : ''}`;
+
+  const dateDisplay = (
+    <div className="text-white/90 text-xs font-light tracking-normal"
+         style={{fontFamily: getIOSSystemFontFamily()}}>{currentDate}</div>
+  );
+  const timeDisplay = (
+    <div className={`text-white font-thin ${mockup.timeClassName} tracking-tight leading-none`}
+         style={{fontFamily: getIOSSystemFontFamily()}}>{currentTime}</div>
+  );
+
+  const { activeElement, guides, outline, handlers } = useElementGestures({
+    canvasRef,
+    layout,
+    draggableElements,
+    onTransformChange
+  });
+
   return (
     <div className="relative">
-      {/* iPhone Frame */}
-      <div className="w-80 h-[640px] bg-black rounded-[3rem] p-2 shadow-2xl">
-        <div className="w-full h-full rounded-[2.5rem] overflow-hidden relative">
-          {/* Notch with subtle outline */}
-          <div className="absolute top-2 left-1/2 transform -translate-x-1/2 w-32 h-6 bg-black rounded-full z-10 ring-1 ring-white/20"></div>
-          
-          {/* Date display on top (always visible in preview) */}
-          <div className="absolute top-12 left-0 right-0 flex justify-center z-20">
-            <div className="text-white/90 text-xs font-light tracking-normal" 
-                 style={{fontFamily: getIOSSystemFontFamily()}}>{currentDate}</div>
-          </div>
+      {/* Device Frame, sized to the device's aspect ratio */}
+      <div
+        className={`${mockup.frameClassName} shadow-2xl`}
+        style={{ width: screenSize.width + mockup.padding * 2, height: screenSize.height + mockup.padding * 2, padding: mockup.padding }}
+      >
+        <div className={`w-full h-full ${mockup.screenClassName} overflow-hidden relative`}>
+          {/* Dynamic Island or punch-hole camera with subtle outline */}
+          {platform.cutout === 'island' && (
+            <div className="absolute top-2 left-1/2 transform -translate-x-1/2 w-32 h-6 bg-black rounded-full z-10 ring-1 ring-white/20"></div>
+          )}
+          {platform.cutout === 'punchHole' && (
+            <div className="absolute top-3 left-1/2 transform -translate-x-1/2 w-3 h-3 bg-black rounded-full z-10 ring-1 ring-white/20"></div>
+          )}
           
-          {/* Time display below date - much larger */}
-          <div className="absolute top-16 left-0 right-0 flex justify-center z-20">
-            <div className="text-white font-thin text-6xl tracking-tight"
-                 style={{fontFamily: getIOSSystemFontFamily()}}>{currentTime}</div>
-          </div>
+          {/* Lock screen clock; iOS shows the date above the time, Android below it.
+              The always-on display shows it dimmed. */}
+          {variant !== 'home' && platform.clockAlign && (
+            <div className={clockClassName}>
+              {platform.dateAboveTime ? dateDisplay : timeDisplay}
+              {platform.dateAboveTime ? timeDisplay : dateDisplay}
+            </div>
+          )}
+
+          {/* Placeholder app icons and dock for the home screen variant */}
+          {variant === 'home' && mockup.homeColumns > 0 && (
+            <div className="absolute inset-0 z-20 pointer-events-none">
+              <div
+                className="grid gap-x-4 gap-y-5 px-5 pt-14"
+                style={{ gridTemplateColumns: `repeat(${mockup.homeColumns}, minmax(0, 1fr))` }}
+              >
+                {Array.from({ length: mockup.homeColumns * HOME_SCREEN_ICON_ROWS }, (_, index) => (
+                  <div key={index} className="aspect-square rounded-xl bg-white/25 backdrop-blur-sm" />
+                ))}
+              </div>
+              <div className="absolute bottom-3 left-3 right-3 h-20 rounded-[1.75rem] bg-white/20 backdrop-blur-md flex items-center justify-around px-3">
+                {Array.from({ length: 4 }, (_, index) => (
+                  <div key={index} className="w-12 h-12 rounded-xl bg-white/30" />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Desktop menu bar and dock, shown on every variant */}
+          {platform.mockup === 'desktop' && (
+            <div className="absolute inset-0 z-20 pointer-events-none">
+              <div className="absolute top-0 left-0 right-0 h-2.5 bg-black/30 backdrop-blur-sm" />
+              <div className="absolute bottom-1.5 left-1/2 -translate-x-1/2 h-6 px-1.5 rounded-md bg-white/20 backdrop-blur-md flex items-center gap-1">
+                {Array.from({ length: 10 }, (_, index) => (
+                  <div key={index} className="w-4 h-4 rounded bg-white/40" />
+                ))}
+              </div>
+            </div>
+          )}
 
           {/* Wallpaper Preview - Full screen */}
           <canvas
             ref={canvasRef}
             className="w-full h-full object-cover"
           />
+
+          {/* Depth effect: the background's subject in front of the clock */}
+          {foregroundCanvasRef && (
+            <canvas
+              ref={foregroundCanvasRef}
+              className="absolute inset-0 z-[25] w-full h-full object-cover pointer-events-none"
+            />
+          )}
+
+          {/* Lock screen safe zones for the selected device */}
+          {safeZoneMapping && (dimensions.safeZones || []).map(zone => (
+            <div
+              key={zone.id}
+              className="absolute z-20 border border-red-400/80 bg-red-500/25 rounded-md pointer-events-none flex items-center justify-center overflow-hidden"
+              style={{
+                left: safeZoneMapping.offsetX + zone.x * dimensions.width * safeZoneMapping.scale,
+                top: safeZoneMapping.offsetY + zone.y * dimensions.height * safeZoneMapping.scale,
+                width: zone.width * dimensions.width * safeZoneMapping.scale,
+                height: zone.height * dimensions.height * safeZoneMapping.scale
+              }}
+            >
+              <span className="text-[9px] text-white/90 whitespace-nowrap">{zone.label}</span>
+            </div>
+          ))}
+
+          {/* Drag, pinch and twist layer above the wallpaper and clock */}
+          <div
+            className={`absolute inset-0 z-30 touch-none ${activeElement ? 'cursor-grabbing' : 'cursor-grab'}`}
+            {...handlers}
+          >
+            {guides.map(guide => (
+              <div
+                key={`${guide.orientation}-${guide.position}`}
+                className={`absolute bg-yellow-400/80 pointer-events-none ${guide.orientation === 'vertical' ? 'top-0 bottom-0 w-px' : 'left-0 right-0 h-px'}`}
+                style={guide.orientation === 'vertical' ? { left: guide.position } : { top: guide.position }}
+              />
+            ))}
+            {outline && (
+              <div
+                className="absolute border border-dashed border-yellow-400 rounded pointer-events-none"
+                style={{
+                  left: outline.left,
+                  top: outline.top,
+                  width: outline.width,
+                  height: outline.height,
+                  transform: `rotate(${outline.rotation}deg)`
+                }}
+              />
+            )}
+          </div>
         </div>
       </div>
+
+      {/* Digital Crown and side button */}
+      {platform.mockup === 'watch' && (
+        <>
+          <div className="absolute top-14 -right-1.5 w-2 h-10 rounded-sm bg-neutral-600" />
+          <div className="absolute top-32 -right-1 w-1.5 h-14 rounded-sm bg-neutral-700" />
+        </>
+      )}
+
+      {/* Monitor stand */}
+      {platform.mockup === 'desktop' && (
+        <div className="flex flex-col items-center">
+          <div className="w-24 h-10 bg-gradient-to-b from-neutral-800 to-neutral-700" />
+          <div className="w-48 h-2 rounded-full bg-neutral-700" />
+        </div>
+      )}
     </div>
   );
 };
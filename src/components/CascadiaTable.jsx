@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import { TIMBERS_TEAM_ID, CASCADIA_RIVALS } from '../utils/constants';
+
+/**
+ * Format a goal difference with its sign
+ * @param {number} value - Goal difference
+ * @returns {string} e.g. "+3", "0" or "-2"
+ */
+const formatGoalDifference = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Component for showing the Cascadia Cup table and choosing whether it appears on the wallpaper
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.standings - Table rows in rank order, see computeCascadiaCupStandings()
+ * @param {boolean} props.showCascadiaTable - Whether the mini table is drawn on the wallpaper
+ * @param {Function} props.setShowCascadiaTable - Function to toggle the mini table
+ * @param {Object} props.rivalSchedules - Seattle and Vancouver schedules by short code, see useRivalSchedules()
+ * @param {string|null} props.rivalImportError - Why the last rival schedule import failed
+ * @param {Function} props.importRivalSchedule - Function to import a File for a short code
+ * @param {Function} props.clearRivalSchedule - Function to drop a rival's schedule
+ * @returns {JSX.Element} Cascadia Cup table component
+ */
+const CascadiaTable = ({ standings, showCascadiaTable, setShowCascadiaTable, rivalSchedules, rivalImportError, importRivalSchedule, clearRivalSchedule }) => {
+  const fileInputRef = useRef(null);
+  const [importTarget, setImportTarget] = useState(null);
+  const hasResults = standings.some(row => row.played > 0);
+  const hasRivalMatches = Object.keys(rivalSchedules).length > 0;
+
+  const chooseFile = (shortCode) => {
+    setImportTarget(shortCode);
+    fileInputRef.current?.click();
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-lg p-6 border border-white/20">
+      <h3 className="text-xl font-bold text-white mb-4">Cascadia Cup</h3>
+
+      {!hasResults ? (
+        <p className="text-sm text-white/60">No Cascadia Cup matches played yet this season.</p>
+      ) : (
+        <table className="w-full text-sm text-white">
+          <thead>
+            <tr className="text-white/60 text-xs">
+              <th className="text-left font-normal pb-2">Club</th>
+              <th className="font-normal pb-2">P</th>
+              <th className="font-normal pb-2">W</th>
+              <th className="font-normal pb-2">D</th>
+              <th className="font-normal pb-2">L</th>
+              <th className="font-normal pb-2">GD</th>
+              <th className="font-normal pb-2">PTS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map(row => (
+              <tr key={row.id} className={row.id === TIMBERS_TEAM_ID ? 'text-yellow-300' : ''}>
+                <td className="py-1">
+                  <div className="flex items-center gap-2">
+                    <span className="w-4 text-white/60">{row.rank}</span>
+                    {row.logoUrl && <img src={row.logoUrl} alt="" className="w-6 h-6 object-contain" />}
+                    <span className="font-semibold">{row.shortCode}</span>
+                  </div>
+                </td>
+                <td className="text-center">{row.played}</td>
+                <td className="text-center">{row.wins}</td>
+                <td className="text-center">{row.draws}</td>
+                <td className="text-center">{row.losses}</td>
+                <td className="text-center">{formatGoalDifference(row.goalDifference)}</td>
+                <td className="text-center font-bold">{row.points}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="mt-4 space-y-2">
+        {CASCADIA_RIVALS.map(team => {
+          const rivalSchedule = rivalSchedules[team.shortCode];
+          return (
+            <div key={team.id} className="flex items-center justify-between gap-3 text-sm text-white">
+              <div className="min-w-0">
+                <div className="font-semibold">{team.name} schedule</div>
+                <div className={`truncate ${rivalSchedule ? 'text-green-200' : 'text-white/60'}`}>
+                  {rivalSchedule ? rivalSchedule.name : 'Not imported'}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => chooseFile(team.shortCode)}
+                  aria-label={`Import the ${team.name} schedule`}
+                  className="flex items-center gap-1 bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white text-sm transition-colors"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import
+                </button>
+                {rivalSchedule && (
+                  <button
+                    type="button"
+                    onClick={() => clearRivalSchedule(team.shortCode)}
+                    aria-label={`Clear the ${team.name} schedule`}
+                    className="flex items-center bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg px-2 py-2 text-white transition-colors"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={(e) => {
+          const file = e.target.files && e.target.files[0];
+          if (file && importTarget) importRivalSchedule(importTarget, file);
+          // Let the same file be chosen again after clearing
+          e.target.value = '';
+        }}
+        className="hidden"
+      />
+
+      {rivalImportError && <p className="text-sm text-red-300 mt-3">{rivalImportError}</p>}
+
+      <p className="text-xs text-white/60 mt-3">
+        {hasRivalMatches
+          ? 'Counts the MLS matches between Portland, Seattle and Vancouver in the imported schedules.'
+          : "Only counts the Timbers' MLS matches against Seattle and Vancouver until Seattle's or Vancouver's schedule is imported, since Seattle v Vancouver isn't in the Timbers schedule."}
+        {' '}Import a schedule with scores as JSON or CSV, with results from that club's side.
+        Ties are broken by goal difference, goals scored, then away goals.
+      </p>
+
+      <label className="flex items-center gap-2 text-white text-sm mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={showCascadiaTable}
+          onChange={(e) => setShowCascadiaTable(e.target.checked)}
+          className="accent-yellow-400"
+        />
+        Show the Cascadia Cup table on the wallpaper
+      </label>
+    </div>
+  );
+};
+
+export default CascadiaTable;
@@ -1,38 +1,110 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { CUSTOM_DEVICE_LIMITS } from '../utils/constants';
+import { clampCustomSize, getDevice, groupDevicesByPlatform } from '../utils/devices';
+
+/**
+ * Number input for one side of the custom size. The value is only applied, within the
+ * limits, when the field loses focus or Enter is pressed, so typing isn't interrupted.
+ * @param {Object} props - Component props
+ * @param {string} props.label - Input label
+ * @param {number} props.value - Current size in pixels
+ * @param {number} props.min - Minimum size
+ * @param {number} props.max - Maximum size
+ * @param {Function} props.onCommit - Called with the entered value
+ * @returns {JSX.Element} Size input
+ */
+const SizeInput = ({ label, value, min, max, onCommit }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  return (
+    <label className="flex-1">
+      <span className="block text-white text-sm mb-1">{label}</span>
+      <input
+        type="number"
+        inputMode="numeric"
+        min={min}
+        max={max}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => onCommit(draft)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') onCommit(draft);
+        }}
+        className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400"
+      />
+    </label>
+  );
+};
 
 /**
  * Component for selecting the device size
- * 
+ *
  * @param {Object} props - Component props
- * @param {string} props.selectediPhoneSize - Current selected iPhone size
- * @param {Function} props.setSelectediPhoneSize - Function to update selected iPhone size
- * @param {Array} props.iPhoneSizes - Available iPhone size options
+ * @param {string} props.selectedDevice - Current selected device
+ * @param {Function} props.setSelectedDevice - Function to update the selected device
+ * @param {Object} props.customDeviceSize - Width and height used by the custom device
+ * @param {Function} props.setCustomDeviceSize - Function to update the custom size
+ * @param {Array} props.devices - Available devices, see DEVICE_MODELS
  * @returns {JSX.Element} Device selector component
  */
-const DeviceSelector = ({ selectediPhoneSize, setSelectediPhoneSize, iPhoneSizes }) => {
-  // Get current iPhone dimensions
-  const getCurrentDimensions = () => {
-    const selected = iPhoneSizes.find(size => size.value === selectediPhoneSize);
-    return selected || iPhoneSizes[0];
+const DeviceSelector = ({ selectedDevice, setSelectedDevice, customDeviceSize, setCustomDeviceSize, devices }) => {
+  const current = getDevice(selectedDevice, customDeviceSize) || devices[0];
+  const isCustom = current.value === 'custom';
+
+  const commitSize = (side, value) => {
+    setCustomDeviceSize(clampCustomSize({ ...current, [side]: value }));
   };
 
   return (
     <div>
       {/* Title handled by AccordionPanel */}
       <select
-        value={selectediPhoneSize}
-        onChange={(e) => setSelectediPhoneSize(e.target.value)}
+        value={current.value}
+        onChange={(e) => setSelectedDevice(e.target.value)}
         className="w-full bg-white/20 border border-white/30 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 mb-3"
       >
-        {iPhoneSizes.map((size) => (
-          <option key={size.value} value={size.value} className="bg-gray-800">
-            {size.label}
-          </option>
+        {groupDevicesByPlatform(devices).map(({ platform, devices: platformDevices }) => (
+          <optgroup key={platform.value} label={platform.label} className="bg-gray-800">
+            {platformDevices.map((device) => (
+              <option key={device.value} value={device.value} className="bg-gray-800">
+                {device.label}
+              </option>
+            ))}
+          </optgroup>
         ))}
       </select>
+
+      {isCustom && (
+        <div className="flex gap-3 mb-3">
+          <SizeInput
+            label="Width"
+            value={current.width}
+            min={CUSTOM_DEVICE_LIMITS.minWidth}
+            max={CUSTOM_DEVICE_LIMITS.maxWidth}
+            onCommit={(value) => commitSize('width', value)}
+          />
+          <SizeInput
+            label="Height"
+            value={current.height}
+            min={CUSTOM_DEVICE_LIMITS.minHeight}
+            max={CUSTOM_DEVICE_LIMITS.maxHeight}
+            onCommit={(value) => commitSize('height', value)}
+          />
+        </div>
+      )}
+
       <p className="text-green-200 text-sm">
-        {getCurrentDimensions().width} × {getCurrentDimensions().height} pixels
+        {current.width} × {current.height} pixels
       </p>
+      {isCustom && (
+        <p className="text-xs text-white/60 mt-1">
+          Between {CUSTOM_DEVICE_LIMITS.minWidth} and {CUSTOM_DEVICE_LIMITS.maxWidth} pixels on each side.
+        </p>
+      )}
     </div>
   );
 };
@@ -0,0 +1,318 @@
+import React, { useState } from 'react';
+import {
+  Type,
+  Image as ImageIcon,
+  Square,
+  Eye,
+  EyeOff,
+  Lock,
+  Unlock,
+  ChevronUp,
+  ChevronDown,
+  Trash2
+} from 'lucide-react';
+import { createLayer, updateLayer, moveLayer, LAYER_TYPES, SHAPE_TYPES } from '../utils/layers';
+import { FONT_OPTIONS, MIN_ELEMENT_SCALE, MAX_ELEMENT_SCALE } from '../utils/constants';
+
+const LAYER_ICONS = {
+  text: Type,
+  image: ImageIcon,
+  shape: Square
+};
+
+const MAX_LAYER_TEXT_LENGTH = 50;
+
+/**
+ * Labelled range slider used by the layer editor
+ * @param {Object} props - Component props
+ * @param {string} props.label - Slider label
+ * @param {number} props.value - Current value
+ * @param {string} props.display - Formatted value shown next to the label
+ * @param {number} props.min - Minimum value
+ * @param {number} props.max - Maximum value
+ * @param {number} props.step - Step size
+ * @param {Function} props.onChange - Called with the new numeric value
+ * @returns {JSX.Element} Slider row
+ */
+const LayerSlider = ({ label, value, display, min, max, step, onChange }) => (
+  <div>
+    <div className="flex items-center justify-between">
+      <span className="text-white text-sm">{label}</span>
+      <span className="text-white/80 text-xs">{display}</span>
+    </div>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer accent-yellow-400"
+    />
+  </div>
+);
+
+/**
+ * Component for managing extra text, image and shape layers on the wallpaper
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.layers - Current layers, bottom layer first
+ * @param {Function} props.setLayers - Function to update the layers
+ * @returns {JSX.Element} Layers panel component
+ */
+const LayersPanel = ({ layers, setLayers }) => {
+  const [selectedLayerId, setSelectedLayerId] = useState(null);
+  const selectedLayer = layers.find(layer => layer.id === selectedLayerId);
+
+  const addLayer = (type) => {
+    const layer = createLayer(type, layers);
+    setLayers([...layers, layer]);
+    setSelectedLayerId(layer.id);
+  };
+
+  const removeLayer = (id) => {
+    setLayers(layers.filter(layer => layer.id !== id));
+    if (selectedLayerId === id) {
+      setSelectedLayerId(null);
+    }
+  };
+
+  const changeLayer = (id, changes) => setLayers(updateLayer(layers, id, changes));
+
+  const changeTransform = (layer, changes) => changeLayer(layer.id, { transform: { ...layer.transform, ...changes } });
+
+  const handleImageUpload = (layer, e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => changeLayer(layer.id, { src: reader.result, name: file.name });
+    reader.readAsDataURL(file);
+  };
+
+  const inputClassName = 'w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-yellow-400';
+  const iconButtonClassName = 'p-1 rounded text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent';
+
+  return (
+    <div className="space-y-4">
+      {/* Add layer buttons */}
+      <div className="grid grid-cols-3 gap-2">
+        {LAYER_TYPES.map((type) => {
+          const Icon = LAYER_ICONS[type];
+          return (
+            <button
+              key={type}
+              type="button"
+              onClick={() => addLayer(type)}
+              className="flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg py-2 text-white text-sm capitalize transition-colors"
+            >
+              <Icon className="w-4 h-4" />
+              {type}
+            </button>
+          );
+        })}
+      </div>
+
+      {layers.length === 0 ? (
+        <p className="text-xs text-white/60">
+          Add text, images or shapes on top of the wallpaper. Drag them on the preview to place them.
+        </p>
+      ) : (
+        // Topmost layer is listed first
+        <ul className="space-y-2">
+          {[...layers].reverse().map((layer, reversedIndex) => {
+            const index = layers.length - 1 - reversedIndex;
+            const Icon = LAYER_ICONS[layer.type];
+            const isSelected = layer.id === selectedLayerId;
+
+            return (
+              <li
+                key={layer.id}
+                className={`flex items-center gap-2 rounded-lg px-2 py-2 border cursor-pointer ${isSelected ? 'bg-[#00482B] border-yellow-400' : 'bg-white/10 border-white/30'} ${layer.visible === false ? 'opacity-60' : ''}`}
+                onClick={() => setSelectedLayerId(isSelected ? null : layer.id)}
+              >
+                <Icon className="w-4 h-4 text-white/80 shrink-0" />
+                <span className="flex-1 text-white text-sm truncate">{layer.name}</span>
+                <div className="flex items-center" onClick={(e) => e.stopPropagation()}>
+                  <button type="button" title="Bring forward" disabled={index === layers.length - 1} onClick={() => setLayers(moveLayer(layers, layer.id, 1))} className={iconButtonClassName}>
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button type="button" title="Send backward" disabled={index === 0} onClick={() => setLayers(moveLayer(layers, layer.id, -1))} className={iconButtonClassName}>
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                  <button type="button" title={layer.visible === false ? 'Show' : 'Hide'} onClick={() => changeLayer(layer.id, { visible: layer.visible === false })} className={iconButtonClassName}>
+                    {layer.visible === false ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                  </button>
+                  <button type="button" title={layer.locked ? 'Unlock' : 'Lock'} onClick={() => changeLayer(layer.id, { locked: !layer.locked })} className={iconButtonClassName}>
+                    {layer.locked ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+                  </button>
+                  <button type="button" title="Delete" onClick={() => removeLayer(layer.id)} className={iconButtonClassName}>
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Editor for the selected layer; locked layers can't be changed */}
+      {selectedLayer && (
+        <fieldset disabled={selectedLayer.locked} className={`space-y-4 border-t border-white/20 pt-4 ${selectedLayer.locked ? 'opacity-50' : ''}`}>
+          {selectedLayer.locked && (
+            <p className="text-xs text-white/60">This layer is locked. Unlock it to make changes.</p>
+          )}
+
+          {selectedLayer.type === 'text' && (
+            <>
+              <input
+                type="text"
+                value={selectedLayer.text}
+                maxLength={MAX_LAYER_TEXT_LENGTH}
+                onChange={(e) => changeLayer(selectedLayer.id, { text: e.target.value })}
+                placeholder="Layer text"
+                className={inputClassName}
+              />
+              <select
+                value={selectedLayer.font}
+                onChange={(e) => changeLayer(selectedLayer.id, { font: e.target.value })}
+                className={inputClassName}
+              >
+                {FONT_OPTIONS.map(font => (
+                  <option key={font} value={font} className="text-black">{font}</option>
+                ))}
+              </select>
+              <LayerSlider
+                label="Font Size"
+                value={selectedLayer.fontSize}
+                display={`${selectedLayer.fontSize}px`}
+                min={20}
+                max={240}
+                step={2}
+                onChange={(fontSize) => changeLayer(selectedLayer.id, { fontSize })}
+              />
+            </>
+          )}
+
+          {selectedLayer.type === 'image' && (
+            <>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => handleImageUpload(selectedLayer, e)}
+                className="block w-full text-sm text-white/80 file:mr-3 file:rounded-lg file:border-0 file:bg-white/20 file:px-3 file:py-2 file:text-white"
+              />
+              <LayerSlider
+                label="Size"
+                value={selectedLayer.size}
+                display={`${Math.round(selectedLayer.size * 100)}%`}
+                min={0.05}
+                max={1}
+                step={0.01}
+                onChange={(size) => changeLayer(selectedLayer.id, { size })}
+              />
+            </>
+          )}
+
+          {selectedLayer.type === 'shape' && (
+            <>
+              <select
+                value={selectedLayer.shape}
+                onChange={(e) => changeLayer(selectedLayer.id, { shape: e.target.value })}
+                className={`${inputClassName} capitalize`}
+              >
+                {SHAPE_TYPES.map(shape => (
+                  <option key={shape} value={shape} className="text-black">{shape}</option>
+                ))}
+              </select>
+              <LayerSlider
+                label="Width"
+                value={selectedLayer.width}
+                display={`${Math.round(selectedLayer.width * 100)}%`}
+                min={0.01}
+                max={1}
+                step={0.01}
+                onChange={(width) => changeLayer(selectedLayer.id, { width })}
+              />
+              {selectedLayer.shape !== 'circle' && (
+                <LayerSlider
+                  label="Height"
+                  value={selectedLayer.height}
+                  display={`${Math.round(selectedLayer.height * 100)}%`}
+                  min={0.005}
+                  max={1}
+                  step={0.005}
+                  onChange={(height) => changeLayer(selectedLayer.id, { height })}
+                />
+              )}
+            </>
+          )}
+
+          {selectedLayer.type !== 'image' && (
+            <div>
+              <label className="block text-white text-sm mb-2">Color</label>
+              <input
+                type="color"
+                value={selectedLayer.color}
+                onChange={(e) => changeLayer(selectedLayer.id, { color: e.target.value })}
+                className="w-full h-8 rounded cursor-pointer"
+              />
+            </div>
+          )}
+
+          <LayerSlider
+            label="Opacity"
+            value={selectedLayer.opacity}
+            display={`${Math.round(selectedLayer.opacity * 100)}%`}
+            min={0}
+            max={1}
+            step={0.05}
+            onChange={(opacity) => changeLayer(selectedLayer.id, { opacity })}
+          />
+
+          {/* Transform, also set by dragging on the preview */}
+          <div className="grid grid-cols-2 gap-3">
+            <LayerSlider
+              label="Horizontal"
+              value={selectedLayer.transform.x}
+              display={`${Math.round(selectedLayer.transform.x * 100)}%`}
+              min={0}
+              max={1}
+              step={0.01}
+              onChange={(x) => changeTransform(selectedLayer, { x })}
+            />
+            <LayerSlider
+              label="Vertical"
+              value={selectedLayer.transform.y}
+              display={`${Math.round(selectedLayer.transform.y * 100)}%`}
+              min={0}
+              max={1}
+              step={0.01}
+              onChange={(y) => changeTransform(selectedLayer, { y })}
+            />
+            <LayerSlider
+              label="Scale"
+              value={selectedLayer.transform.scale}
+              display={`${Math.round(selectedLayer.transform.scale * 100)}%`}
+              min={MIN_ELEMENT_SCALE}
+              max={MAX_ELEMENT_SCALE}
+              step={0.05}
+              onChange={(scale) => changeTransform(selectedLayer, { scale })}
+            />
+            <LayerSlider
+              label="Rotation"
+              value={selectedLayer.transform.rotation}
+              display={`${Math.round(selectedLayer.transform.rotation)}°`}
+              min={-180}
+              max={180}
+              step={1}
+              onChange={(rotation) => changeTransform(selectedLayer, { rotation })}
+            />
+          </div>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default LayersPanel;
@@ -1,8 +1,36 @@
 import React from 'react';
-import { MoveVertical, ArrowDownToLine, ArrowUpToLine } from 'lucide-react';
+import { MoveVertical, AlertTriangle, RotateCcw } from 'lucide-react';
 import { debounce } from '../utils/debounce';
 import { DEFAULT_PATCH_POSITION_Y, DEFAULT_MATCH_POSITION_Y, MIN_MATCH_POSITION, MAX_MATCH_POSITION } from '../utils/constants';
 
+// Readable names for layout elements in collision warnings
+const ELEMENT_LABELS = {
+  patch: 'Patch',
+  headline: 'Text',
+  matchRow: 'Match info',
+  fixtureList: 'Match list',
+  compactList: 'Match list',
+  calendar: 'Calendar',
+  seasonRecord: 'Season record',
+  cascadiaTable: 'Cascadia Cup',
+  footer: 'Footer',
+  canvas: 'the screen edge'
+};
+
+/**
+ * Describe a layout collision for display
+ * @param {Object} collision - Collision reported by the layout engine
+ * @returns {string} Human readable description
+ */
+const describeCollision = ({ elements, gap, zone }) => {
+  const [first, second] = elements.map(name => ELEMENT_LABELS[name] || name);
+  // Safe zone collisions carry their own label, e.g. "the clock"
+  const other = zone || second.toLowerCase();
+  return gap < 0
+    ? `${first} overlaps ${other}`
+    : `${first} is too close to ${other}`;
+};
+
 /**
  * Component for adjusting the vertical positions of elements on the wallpaper
  * 
@@ -11,14 +39,32 @@ import { DEFAULT_PATCH_POSITION_Y, DEFAULT_MATCH_POSITION_Y, MIN_MATCH_POSITION,
  * @param {Function} props.setPatchPositionY - Function to update patch position
  * @param {number} props.matchPositionY - Current vertical position multiplier for match info (0.1 to 0.4)
  * @param {Function} props.setMatchPositionY - Function to update match position
+ * @param {boolean} props.showMatchPosition - Whether the layout has a match row the match position applies to
+ * @param {Array} props.collisions - Layout collisions reported by the renderer
+ * @param {Object} props.elementTransforms - Elements moved directly on the preview
+ * @param {Function} props.onResetTransforms - Function to put moved elements back in their layout positions
+ * @param {boolean} props.showSafeZones - Whether the lock screen safe zones are shown on the preview
+ * @param {Function} props.setShowSafeZones - Function to toggle the safe zone overlay
+ * @param {boolean} props.avoidSafeZones - Whether elements are kept out of the safe zones
+ * @param {Function} props.setAvoidSafeZones - Function to toggle safe zone avoidance
  * @returns {JSX.Element} Position adjustment sliders
  */
 const PositionAdjuster = ({
   patchPositionY,
   setPatchPositionY,
   matchPositionY,
-  setMatchPositionY
+  setMatchPositionY,
+  showMatchPosition = true,
+  collisions = [],
+  elementTransforms = {},
+  onResetTransforms,
+  showSafeZones,
+  setShowSafeZones,
+  avoidSafeZones,
+  setAvoidSafeZones
 }) => {
+  const movedElements = Object.keys(elementTransforms);
+
   // Create debounced versions of the position setters
   const debouncedSetPatchPosition = React.useMemo(
     () => debounce((value) => setPatchPositionY(value), 50),
@@ -77,33 +123,88 @@ const PositionAdjuster = ({
           </p>
         </div>
 
-        {/* Match Info Position Slider */}
-        <div>
-          <div className="flex items-center justify-between mb-2">
-            <label className="block text-white flex items-center gap-2">
-              <MoveVertical className="w-4 h-4" />
-              <span>Match Info Position</span>
-            </label>
-            <span className="text-white/80 text-xs">{Math.round(matchPositionY * 100)}%</span>
+        {/* Match Info Position Slider; landscape layouts place the match list beside the patch instead */}
+        {showMatchPosition && (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-white flex items-center gap-2">
+                <MoveVertical className="w-4 h-4" />
+                <span>Match Info Position</span>
+              </label>
+              <span className="text-white/80 text-xs">{Math.round(matchPositionY * 100)}%</span>
+            </div>
+            <input
+              type="range"
+              min={MIN_MATCH_POSITION.toString()}
+              max={MAX_MATCH_POSITION.toString()}
+              step="0.01"
+              value={matchPositionY}
+              onChange={handleMatchPositionChange}
+              className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer accent-yellow-400"
+            />
+            <div className="flex justify-between text-xs text-white/50 mt-1">
+              <span>Lower</span>
+              <span>Default</span>
+              <span>Higher</span>
+            </div>
+            <p className="text-xs text-white/60 mt-2">
+              Adjust the vertical position of the match schedule
+            </p>
           </div>
-          <input
-            type="range"
-            min={MIN_MATCH_POSITION.toString()}
-            max={MAX_MATCH_POSITION.toString()}
-            step="0.01"
-            value={matchPositionY}
-            onChange={handleMatchPositionChange}
-            className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer accent-yellow-400"
-          />
-          <div className="flex justify-between text-xs text-white/50 mt-1">
-            <span>Lower</span>
-            <span>Default</span>
-            <span>Higher</span>
-          </div>
-          <p className="text-xs text-white/60 mt-2">
-            Adjust the vertical position of the match schedule
+        )}
+
+        {/* Lock screen safe zones */}
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-white text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showSafeZones}
+              onChange={(e) => setShowSafeZones(e.target.checked)}
+              className="accent-yellow-400"
+            />
+            Show lock screen safe zones
+          </label>
+          <label className="flex items-center gap-2 text-white text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={avoidSafeZones}
+              onChange={(e) => setAvoidSafeZones(e.target.checked)}
+              className="accent-yellow-400"
+            />
+            Keep patch, text and match info clear of the clock and buttons
+          </label>
+        </div>
+
+        {/* Elements moved on the preview ignore the sliders above */}
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-xs text-white/60">
+            {movedElements.length > 0
+              ? `Moved on the preview: ${movedElements.map(name => ELEMENT_LABELS[name] || name).join(', ')}`
+              : 'Tip: drag the patch, text or match info on the preview. Pinch to resize and twist to rotate.'}
           </p>
+          {movedElements.length > 0 && (
+            <button
+              type="button"
+              onClick={onResetTransforms}
+              className="flex items-center gap-1 shrink-0 text-xs text-white bg-white/10 hover:bg-white/20 rounded-lg px-3 py-1.5 transition-colors"
+            >
+              <RotateCcw className="w-3 h-3" />
+              Reset
+            </button>
+          )}
         </div>
+
+        {/* Layout collisions for the current positions */}
+        {collisions.length > 0 && (
+          <div className="bg-yellow-400/10 border border-yellow-400/40 rounded-lg p-3 text-xs text-yellow-200 space-y-1">
+            {collisions.map((collision) => (
+              <div key={collision.elements.join('-')} className="flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                <span>{describeCollision(collision)}</span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
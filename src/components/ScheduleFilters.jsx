@@ -0,0 +1,93 @@
+import React from 'react';
+import { SCHEDULE_COMPETITIONS, SCHEDULE_VENUES, DEFAULT_SCHEDULE_FILTERS } from '../utils/constants';
+
+/**
+ * Component for narrowing the schedule down by competition, venue and dates.
+ * The filtered matches are used by both the schedule list and the wallpaper.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Function} props.setFilters - Function to update the filters
+ * @returns {JSX.Element} Schedule filters component
+ */
+const ScheduleFilters = ({ filters, setFilters }) => {
+  const { competitions, venue, from, to } = { ...DEFAULT_SCHEDULE_FILTERS, ...filters };
+
+  const changeFilters = (changes) => setFilters(previous => ({ ...previous, ...changes }));
+
+  const toggleCompetition = (value, included) => {
+    changeFilters({
+      competitions: included
+        ? [...competitions, value]
+        : competitions.filter(competition => competition !== value)
+    });
+  };
+
+  const inputClassName = 'w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 [color-scheme:dark]';
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <span className="block text-white text-sm mb-2">Competitions</span>
+        <div className="grid grid-cols-2 gap-2">
+          {SCHEDULE_COMPETITIONS.map(competition => (
+            <label key={competition.value} className="flex items-center gap-2 text-white/90 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={competitions.includes(competition.value)}
+                onChange={(e) => toggleCompetition(competition.value, e.target.checked)}
+                className="accent-yellow-400"
+              />
+              {competition.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-white text-sm mb-2">Venue</span>
+        <div className="flex bg-white/10 border border-white/20 rounded-lg p-1">
+          {SCHEDULE_VENUES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => changeFilters({ venue: option.value })}
+              className={`flex-1 px-3 py-1.5 rounded-md text-sm transition-colors ${venue === option.value ? 'bg-yellow-600 text-white' : 'text-white/70 hover:text-white'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <label className="flex-1">
+          <span className="block text-white text-sm mb-1">From</span>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => changeFilters({ from: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex-1">
+          <span className="block text-white text-sm mb-1">To</span>
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => changeFilters({ to: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <p className="text-xs text-white/60">
+        Leave the dates empty to include the whole season. Dates are in Pacific time.
+      </p>
+    </div>
+  );
+};
+
+export default ScheduleFilters;
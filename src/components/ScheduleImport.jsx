@@ -0,0 +1,94 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+
+/**
+ * Component for importing the schedule from an .ics calendar file, by choosing it or
+ * dropping it on the panel
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.importedSchedule - The imported schedule, see useImportedSchedule()
+ * @param {string|null} props.importError - Why the last import failed
+ * @param {Function} props.importSchedule - Function to import a File
+ * @param {Function} props.clearSchedule - Function to go back to the bundled schedule
+ * @returns {JSX.Element} Schedule import component
+ */
+const ScheduleImport = ({ importedSchedule, importError, importSchedule, clearSchedule }) => {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleFile = (file) => {
+    if (file) importSchedule(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files && e.dataTransfer.files[0]);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`bg-white/10 backdrop-blur-sm rounded-lg p-6 border transition-colors ${isDragging ? 'border-yellow-400 border-dashed' : 'border-white/20'}`}
+    >
+      <h3 className="text-xl font-bold text-white mb-4">Schedule Source</h3>
+
+      {importedSchedule ? (
+        <div className="flex items-center justify-between gap-3">
+          <div className="text-sm text-white">
+            <div className="font-semibold">{importedSchedule.name}</div>
+            <div className="text-green-200">
+              {importedSchedule.matches.length} matches, imported {new Date(importedSchedule.importedAt).toLocaleDateString()}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={clearSchedule}
+            className="flex items-center gap-1 bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white text-sm transition-colors"
+          >
+            <X className="w-4 h-4" />
+            Clear
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-white/60">Using the bundled Timbers schedule.</p>
+      )}
+
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg py-2 mt-4 text-white text-sm transition-colors"
+      >
+        <Upload className="w-4 h-4" />
+        {importedSchedule ? 'Import another calendar' : 'Import a calendar (.ics)'}
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ics,text/calendar"
+        onChange={(e) => {
+          handleFile(e.target.files && e.target.files[0]);
+          // Let the same file be chosen again after clearing
+          e.target.value = '';
+        }}
+        className="hidden"
+      />
+
+      {importError && <p className="text-sm text-red-300 mt-3">{importError}</p>}
+
+      <p className="text-xs text-white/60 mt-3">
+        Choose or drop a calendar export, e.g. from a club calendar subscription. Events like
+        "Timbers vs LA Galaxy" or "Timbers @ Seattle Sounders" become matches. Calendars have no
+        scores, so results, the season record and the Cascadia Cup table stay empty. The file is
+        kept in this browser until you clear it.
+      </p>
+    </div>
+  );
+};
+
+export default ScheduleImport;
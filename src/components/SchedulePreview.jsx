@@ -1,32 +1,197 @@
 import React from 'react';
-import { Calendar, MapPin } from 'lucide-react';
+import { Calendar, CalendarPlus, MapPin } from 'lucide-react';
 import { formatDateForWallpaper, formatTime } from '../utils/dateFormatters';
+import { buildScheduleCalendar } from '../utils/scheduleCalendar';
+import { downloadBlob } from '../utils/downloadUtils';
+import { debugWarn } from '../utils/debug';
+import {
+  SCHEDULE_STYLES,
+  SCHEDULE_MODES,
+  CALENDAR_MONTHS,
+  FIXTURE_COUNT_OPTIONS,
+  RESULT_COUNT_OPTIONS,
+  FIXTURE_COUNT_REST_OF_MONTH,
+  RESULT_COLORS
+} from '../utils/constants';
+
+// Filename of the "Add to calendar" export
+const CALENDAR_FILENAME = 'timbers-schedule.ics';
+
+// Notes for results decided after 90 minutes
+const RESULT_NOTES = {
+  extraTime: 'after extra time',
+  penalties: 'on penalties'
+};
+
+/**
+ * Format a calendar month as e.g. "May 2025"
+ * @param {{year: number, month: number}} monthMatches - Year and zero-based month
+ * @returns {string} Month name and year
+ */
+const formatMonth = ({ year, month }) =>
+  new Date(Date.UTC(year, month, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
 
 /**
- * Component for displaying upcoming schedule
+ * Format a count with its noun, e.g. "1 Match" or "3 Matches"
+ * @param {number} count - Number of items
+ * @param {string} singular - Noun for one item
+ * @param {string} plural - Noun for any other count
+ * @returns {string} Count and noun
+ */
+const formatCount = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+/**
+ * Build the heading above the match list
+ * @param {Array} matches - Listed matches
+ * @param {Object} options - showCalendar, monthMatches, scheduleMode and fixtureCount
+ * @returns {string} Heading
+ */
+const getTitle = (matches, { showCalendar, monthMatches, scheduleMode, fixtureCount }) => {
+  const restOfMonth = fixtureCount === FIXTURE_COUNT_REST_OF_MONTH;
+
+  if (showCalendar) {
+    return `${formatMonth(monthMatches)}: ${formatCount(matches.length, 'Match', 'Matches')}`;
+  }
+  if (scheduleMode === 'mixed') {
+    return matches.length === 0 ? 'No Matches' : 'Last Results and Next Matches';
+  }
+  if (scheduleMode === 'results') {
+    if (restOfMonth) {
+      return matches.length === 0 ? 'No Results This Month' : `This Month: ${formatCount(matches.length, 'Result', 'Results')}`;
+    }
+    if (matches.length === 0) return 'No Results Yet';
+    return matches.length === 1 ? 'Last Result' : `Last ${matches.length} Results`;
+  }
+  if (restOfMonth) {
+    return matches.length === 0 ? 'No More Matches This Month' : `Rest of the Month: ${formatCount(matches.length, 'Match', 'Matches')}`;
+  }
+  if (matches.length === 0) return 'No Upcoming Matches';
+  return matches.length === 1 ? 'Next Match' : `Next ${matches.length} Matches`;
+};
+
+/**
+ * Component for displaying upcoming schedule and choosing how it appears on the wallpaper
  * 
  * @param {Object} props - Component props
- * @param {Array} props.nextMatches - Array of upcoming matches
+ * @param {Array} props.nextMatches - Upcoming matches, or finished ones with a `result` in the results and mixed modes
+ * @param {Object} [props.monthMatches] - Month shown by the calendar and its matches, see getMonthMatches()
+ * @param {string} [props.scheduleStyle] - How the schedule is drawn, see SCHEDULE_STYLES
+ * @param {Function} [props.setScheduleStyle] - Function to update the schedule style
+ * @param {string} [props.scheduleMode] - Next matches, last results or both, see SCHEDULE_MODES
+ * @param {Function} [props.setScheduleMode] - Function to update the schedule mode
+ * @param {number|string} [props.fixtureCount] - Number of upcoming matches, see FIXTURE_COUNT_OPTIONS
+ * @param {Function} [props.setFixtureCount] - Function to update the number of matches
+ * @param {number} [props.calendarMonth] - Month offset for the calendar, see CALENDAR_MONTHS
+ * @param {Function} [props.setCalendarMonth] - Function to update the calendar month
+ * @param {Array} [props.upcomingMatches] - Every upcoming match that passes the filters, for the "Add to calendar" export
  * @returns {JSX.Element} Schedule preview component
  */
-const SchedulePreview = ({ nextMatches }) => {
+const SchedulePreview = ({ nextMatches, monthMatches, scheduleStyle = 'row', setScheduleStyle, scheduleMode = 'upcoming', setScheduleMode, fixtureCount, setFixtureCount, calendarMonth = 0, setCalendarMonth, upcomingMatches }) => {
+  const showCalendar = scheduleStyle === 'calendar' && monthMatches;
+  const matches = showCalendar ? monthMatches.matches : nextMatches;
+
+  const title = getTitle(matches, { showCalendar, monthMatches, scheduleMode, fixtureCount });
+  const countOptions = scheduleMode === 'results' ? RESULT_COUNT_OPTIONS : FIXTURE_COUNT_OPTIONS;
+
+  const exportCalendar = () => {
+    const calendar = buildScheduleCalendar(upcomingMatches);
+    downloadBlob(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }), CALENDAR_FILENAME)
+      .catch(error => debugWarn('Failed to export the calendar:', error));
+  };
+
   return (
     <div className="bg-white/10 backdrop-blur-sm rounded-lg p-6 border border-white/20">
+      {setScheduleStyle && (
+        <div className="flex bg-white/10 border border-white/20 rounded-lg p-1 mb-4">
+          {SCHEDULE_STYLES.map(style => (
+            <button
+              key={style.value}
+              type="button"
+              onClick={() => setScheduleStyle(style.value)}
+              className={`flex-1 px-3 py-1.5 rounded-md text-sm transition-colors ${scheduleStyle === style.value ? 'bg-yellow-600 text-white' : 'text-white/70 hover:text-white'}`}
+            >
+              {style.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!showCalendar && setScheduleMode && (
+        <div className="flex bg-white/10 border border-white/20 rounded-lg p-1 mb-4">
+          {SCHEDULE_MODES.map(mode => (
+            <button
+              key={mode.value}
+              type="button"
+              onClick={() => setScheduleMode(mode.value)}
+              className={`flex-1 px-3 py-1.5 rounded-md text-sm transition-colors ${scheduleMode === mode.value ? 'bg-yellow-600 text-white' : 'text-white/70 hover:text-white'}`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!showCalendar && scheduleMode !== 'mixed' && setFixtureCount && (
+        <select
+          value={fixtureCount}
+          onChange={(e) => {
+            const value = e.target.value;
+            setFixtureCount(value === FIXTURE_COUNT_REST_OF_MONTH ? value : Number(value));
+          }}
+          className="w-full bg-white/20 border border-white/30 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 mb-4"
+        >
+          {countOptions.map(option => (
+            <option key={option.value} value={option.value} className="bg-gray-800">
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {showCalendar && setCalendarMonth && (
+        <select
+          value={calendarMonth}
+          onChange={(e) => setCalendarMonth(Number(e.target.value))}
+          className="w-full bg-white/20 border border-white/30 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 mb-4"
+        >
+          {CALENDAR_MONTHS.map(option => (
+            <option key={option.value} value={option.value} className="bg-gray-800">
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+
       <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
         <Calendar className="w-5 h-5" />
-        Next {nextMatches.length} Matches
+        {title}
       </h3>
       <div className="space-y-3">
-        {nextMatches.map((match, index) => (
+        {matches.map((match, index) => (
           <div key={index} className="flex justify-between items-center text-white">
             <div>
               <div className="font-semibold">
                 {match.isHome ? 'vs' : '@'} {match.opponent}
               </div>
               <div className="text-sm text-green-200">
-                {formatDateForWallpaper(match.date)} • {formatTime(match.time)} PT
+                {match.result && !showCalendar ? (
+                  <>
+                    {formatDateForWallpaper(match.date)} • {match.result.goalsFor}–{match.result.goalsAgainst}
+                    {match.result.decidedBy && ` ${RESULT_NOTES[match.result.decidedBy]}`}
+                  </>
+                ) : (
+                  <>{formatDateForWallpaper(match.date)} • {match.time ? `${formatTime(match.time)} PT` : 'Time TBD'}</>
+                )}
               </div>
             </div>
+            {match.result && !showCalendar && (
+              <span
+                className="ml-auto mr-3 w-7 h-7 rounded-full flex items-center justify-center text-sm font-bold"
+                style={{ backgroundColor: RESULT_COLORS[match.result.outcome] }}
+              >
+                {match.result.outcome}
+              </span>
+            )}
             <div className="flex items-center gap-1 text-yellow-400">
               {match.isHome ? (
                 <>
@@ -43,6 +208,27 @@ const SchedulePreview = ({ nextMatches }) => {
           </div>
         ))}
       </div>
+      {upcomingMatches && upcomingMatches.length > 0 && (
+        <>
+          <button
+            type="button"
+            onClick={exportCalendar}
+            className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 border border-white/30 rounded-lg py-2 mt-4 text-white text-sm transition-colors"
+          >
+            <CalendarPlus className="w-4 h-4" />
+            Add {formatCount(upcomingMatches.length, 'upcoming match', 'upcoming matches')} to calendar
+          </button>
+          <p className="text-xs text-white/60 mt-2">
+            Downloads an .ics file with every upcoming match that passes the filters. Import it again
+            later to update the times; matches keep their events instead of being added twice.
+          </p>
+        </>
+      )}
+      {setScheduleStyle && scheduleStyle !== 'row' && (
+        <p className="text-xs text-white/60 mt-4">
+          Watch faces always show just the next match, or the latest result.
+        </p>
+      )}
     </div>
   );
 };
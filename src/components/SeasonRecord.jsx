@@ -0,0 +1,69 @@
+import React from 'react';
+import { RESULT_COLORS, SEASON_FORM_LENGTH } from '../utils/constants';
+
+/**
+ * Component for showing the season record and form guide per competition, and
+ * choosing which one appears on the wallpaper
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.seasonRecords - Records per competition, see getSeasonRecords()
+ * @param {boolean} props.showSeasonRecord - Whether the record strip is drawn on the wallpaper
+ * @param {Function} props.setShowSeasonRecord - Function to toggle the record strip
+ * @param {string} props.competition - Competition whose record is drawn, see SEASON_RECORD_COMPETITIONS
+ * @param {Function} props.setCompetition - Function to update the competition
+ * @returns {JSX.Element} Season record component
+ */
+const SeasonRecord = ({ seasonRecords, showSeasonRecord, setShowSeasonRecord, competition, setCompetition }) => {
+  const records = seasonRecords.filter(({ record }) => record.played > 0);
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-lg p-6 border border-white/20">
+      <h3 className="text-xl font-bold text-white mb-4">Season Record</h3>
+
+      {records.length === 0 ? (
+        <p className="text-sm text-white/60">No results yet this season.</p>
+      ) : (
+        <div className="space-y-2">
+          {records.map(({ value, label, record }) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setCompetition(value)}
+              className={`w-full flex items-center justify-between gap-3 px-3 py-2 rounded-lg text-left text-white transition-colors ${competition === value ? 'bg-yellow-600/40 ring-1 ring-yellow-400' : 'hover:bg-white/10'}`}
+            >
+              <div>
+                <div className="font-semibold text-sm">{label}</div>
+                <div className="text-sm text-green-200">
+                  {record.wins}W {record.draws}D {record.losses}L • GF {record.goalsFor} GA {record.goalsAgainst}
+                </div>
+              </div>
+              <div className="flex gap-1" aria-label={`Form: ${record.form.join(' ')}`}>
+                {record.form.map((outcome, index) => (
+                  <span
+                    key={index}
+                    className="w-5 h-5 rounded-full flex items-center justify-center text-[10px] font-bold"
+                    style={{ backgroundColor: RESULT_COLORS[outcome] }}
+                  >
+                    {outcome}
+                  </span>
+                ))}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-white text-sm mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={showSeasonRecord}
+          onChange={(e) => setShowSeasonRecord(e.target.checked)}
+          className="accent-yellow-400"
+        />
+        Show the selected record and last {SEASON_FORM_LENGTH} results on the wallpaper
+      </label>
+    </div>
+  );
+};
+
+export default SeasonRecord;
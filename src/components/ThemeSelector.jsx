@@ -8,9 +8,13 @@ import React from 'react';
  * @param {Function} props.setSelectedTheme - Function to update selected theme
  * @param {Array} props.themeOptions - Available theme options
  * @param {boolean} props.isLoading - Whether themes are still loading
+ * @param {boolean} props.depthEffect - Whether the subject of masked image themes is drawn in front of the clock
+ * @param {Function} props.setDepthEffect - Function to toggle the depth effect
  * @returns {JSX.Element} Theme selector component
  */
-const ThemeSelector = ({ selectedTheme, setSelectedTheme, themeOptions, isLoading = false }) => {
+const ThemeSelector = ({ selectedTheme, setSelectedTheme, themeOptions, isLoading = false, depthEffect, setDepthEffect }) => {
+  const currentTheme = themeOptions.find(t => t.value === selectedTheme);
+
   return (
     <div>
       {/* Title handled by AccordionPanel */}
@@ -32,8 +36,20 @@ const ThemeSelector = ({ selectedTheme, setSelectedTheme, themeOptions, isLoadin
         </select>
       )}
       <p className="text-green-200 text-sm">
-        {themeOptions.find(t => t.value === selectedTheme)?.description}
+        {currentTheme?.description}
       </p>
+      {/* Only image themes with a foreground mask support the depth effect */}
+      {currentTheme?.foregroundMask && setDepthEffect && (
+        <label className="flex items-center gap-2 text-white text-sm mt-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={depthEffect}
+            onChange={(e) => setDepthEffect(e.target.checked)}
+            className="accent-yellow-400"
+          />
+          Depth effect: put {currentTheme.label} in front of the clock
+        </label>
+      )}
     </div>
   );
 };
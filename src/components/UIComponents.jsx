@@ -1,5 +1,5 @@
 import React from 'react';
-import { Download } from 'lucide-react';
+import { Download, Undo2, Redo2 } from 'lucide-react';
 
 /**
  * Component for download button and handling download functionality
@@ -33,6 +33,60 @@ const DownloadButton = ({ isGenerating, onDownload }) => {
   );
 };
 
+/**
+ * Undo and redo buttons for the editor history
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} props.canUndo - Whether there is a change to undo
+ * @param {boolean} props.canRedo - Whether there is a change to redo
+ * @param {Function} props.onUndo - Function to undo the last change
+ * @param {Function} props.onRedo - Function to redo the last undone change
+ * @returns {JSX.Element} History toolbar component
+ */
+const HistoryToolbar = ({ canUndo, canRedo, onUndo, onRedo }) => {
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+  const modifier = isMac ? '⌘' : 'Ctrl+';
+  const buttonClassName = "flex-1 bg-white/10 hover:bg-white/20 disabled:opacity-40 disabled:hover:bg-white/10 border border-white/20 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2";
+
+  return (
+    <div className="flex gap-2">
+      <button onClick={onUndo} disabled={!canUndo} className={buttonClassName} title={`Undo (${modifier}Z)`}>
+        <Undo2 className="w-4 h-4" />
+        Undo
+      </button>
+      <button onClick={onRedo} disabled={!canRedo} className={buttonClassName} title={`Redo (${modifier}Shift+Z)`}>
+        <Redo2 className="w-4 h-4" />
+        Redo
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Buttons for choosing which wallpaper variant the preview shows
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.variants - Variants from WALLPAPER_VARIANTS
+ * @param {string} props.selectedVariant - Currently previewed variant
+ * @param {Function} props.setSelectedVariant - Function to change the previewed variant
+ * @returns {JSX.Element} Variant switcher component
+ */
+const VariantSwitcher = ({ variants, selectedVariant, setSelectedVariant }) => {
+  return (
+    <div className="flex bg-white/10 border border-white/20 rounded-lg p-1">
+      {variants.map(variant => (
+        <button
+          key={variant.value}
+          onClick={() => setSelectedVariant(variant.value)}
+          className={`px-3 py-1.5 rounded-md text-sm transition-colors ${selectedVariant === variant.value ? 'bg-yellow-600 text-white' : 'text-white/70 hover:text-white'}`}
+        >
+          {variant.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
 /**
  * Instructions component
  * @returns {JSX.Element} Instructions component
@@ -100,4 +154,4 @@ const Footer = () => {
   );
 };
 
-export { DownloadButton, Instructions, Footer };
+export { DownloadButton, HistoryToolbar, VariantSwitcher, Instructions, Footer };
@@ -8,7 +8,6 @@ import { debugLog, debugWarn, debugError } from '../utils/debug';
 const useBackgroundThemes = () => {
   const [backgroundThemes, setBackgroundThemes] = useState([]);
   const [isLoadingBackgrounds, setIsLoadingBackgrounds] = useState(true);
-  const [selectedTheme, setSelectedTheme] = useState(null);
 
   // Function to load backgrounds from manifest
   const loadBackgroundThemes = useCallback(async () => {
@@ -42,6 +41,7 @@ const useBackgroundThemes = () => {
                     description: background.description || "",
                     type: background.type,
                     filename: background.filename || "",
+                    foregroundMask: background.foregroundMask || "",
                     gradientType: background.gradientType || "",
                     gradientDirection: background.gradientDirection || "",
                     colorStops: background.colorStops || [],
@@ -114,8 +114,6 @@ const useBackgroundThemes = () => {
   return {
     backgroundThemes,
     isLoadingBackgrounds,
-    selectedTheme,
-    setSelectedTheme,
     loadBackgroundThemes
   };
 };
@@ -0,0 +1,211 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  getPreviewMapping,
+  toCanvasPoint,
+  hitTestElement,
+  getElementTransform,
+  snapTransform
+} from '../utils/elementTransforms';
+
+/**
+ * Get the centroid, spread and angle of the active pointers
+ * @param {Array<{x: number, y: number}>} points - Pointer positions on the canvas
+ * @returns {{x: number, y: number, distance: number, angle: number}} Gesture geometry
+ */
+const getGestureGeometry = (points) => {
+  const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const y = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+  if (points.length < 2) {
+    return { x, y, distance: 0, angle: 0 };
+  }
+
+  const [a, b] = points;
+  return {
+    x,
+    y,
+    distance: Math.hypot(b.x - a.x, b.y - a.y),
+    angle: (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI
+  };
+};
+
+/**
+ * Convert snapping guides and the active element's box into CSS pixels on the preview
+ * @param {Object} gesture - Current gesture state
+ * @param {Array} guides - Guides in canvas pixels
+ * @param {DOMRect} rect - Bounding rect of the canvas element
+ * @returns {{guides: Array, outline: Object}} Overlay geometry in CSS pixels
+ */
+const toPreviewOverlay = (gesture, guides, rect) => {
+  const { width, height } = gesture.dimensions;
+  const { scale, offsetX, offsetY } = getPreviewMapping(rect, gesture.dimensions);
+  const { x, y, scale: elementScale, rotation } = gesture.transform;
+  const sizeRatio = elementScale / (gesture.box.scale || 1);
+  const boxWidth = gesture.box.width * sizeRatio * scale;
+  const boxHeight = gesture.box.height * sizeRatio * scale;
+
+  return {
+    guides: guides.map(guide => ({
+      orientation: guide.orientation,
+      position: guide.position * scale + (guide.orientation === 'vertical' ? offsetX : offsetY)
+    })),
+    outline: {
+      left: x * width * scale + offsetX - boxWidth / 2,
+      top: y * height * scale + offsetY - boxHeight / 2,
+      width: boxWidth,
+      height: boxHeight,
+      rotation
+    }
+  };
+};
+
+/**
+ * Pointer handling for dragging, pinching and twisting elements on the canvas preview.
+ * One pointer moves the element; two pointers also scale and rotate it.
+ *
+ * @param {Object} options - Hook options
+ * @param {React.RefObject} options.canvasRef - Reference to the preview canvas
+ * @param {Object} options.layout - Resolved layout boxes from the last render
+ * @param {Array<string>} [options.draggableElements] - Elements that can be grabbed, topmost first
+ * @param {Function} options.onTransformChange - Called with `(elementName, transform)` while a gesture runs
+ * @returns {Object} Pointer handlers for the overlay, plus the active element's outline and snapping guides in CSS pixels
+ */
+const useElementGestures = ({ canvasRef, layout, draggableElements, onTransformChange }) => {
+  const gestureRef = useRef(null);
+  const frameRef = useRef(null);
+  const [activeElement, setActiveElement] = useState(null);
+  const [overlay, setOverlay] = useState({ guides: [], outline: null });
+
+  useEffect(() => () => {
+    if (frameRef.current) {
+      cancelAnimationFrame(frameRef.current);
+    }
+  }, []);
+
+  const getCanvasInfo = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !canvas.width || !canvas.height) return null;
+    return {
+      rect: canvas.getBoundingClientRect(),
+      dimensions: { width: canvas.width, height: canvas.height }
+    };
+  }, [canvasRef]);
+
+  // Start a new baseline whenever a pointer is added or lifted, so the element doesn't jump
+  const resetBaseline = useCallback((gesture) => {
+    gesture.start = {
+      transform: gesture.transform,
+      geometry: getGestureGeometry([...gesture.pointers.values()])
+    };
+  }, []);
+
+  const onPointerDown = useCallback((event) => {
+    const info = getCanvasInfo();
+    if (!info) return;
+
+    const point = toCanvasPoint(event.clientX, event.clientY, info.rect, info.dimensions);
+    let gesture = gestureRef.current;
+
+    if (!gesture) {
+      // Allow a little slack around thin elements such as the headline
+      const name = hitTestElement(point, layout, info.dimensions.width * 0.02, draggableElements);
+      if (!name) return;
+
+      gesture = {
+        name,
+        box: layout[name],
+        dimensions: info.dimensions,
+        pointers: new Map(),
+        transform: getElementTransform(layout[name], info.dimensions)
+      };
+      gestureRef.current = gesture;
+      setActiveElement(name);
+      setOverlay(toPreviewOverlay(gesture, [], info.rect));
+    }
+
+    if (gesture.pointers.size >= 2) return;
+
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    event.preventDefault();
+    gesture.pointers.set(event.pointerId, point);
+    resetBaseline(gesture);
+  }, [getCanvasInfo, layout, draggableElements, resetBaseline]);
+
+  const onPointerMove = useCallback((event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || !gesture.pointers.has(event.pointerId)) return;
+
+    const info = getCanvasInfo();
+    if (!info) return;
+
+    gesture.pointers.set(event.pointerId, toCanvasPoint(event.clientX, event.clientY, info.rect, info.dimensions));
+
+    const { width, height } = gesture.dimensions;
+    const { transform: startTransform, geometry: startGeometry } = gesture.start;
+    const geometry = getGestureGeometry([...gesture.pointers.values()]);
+    const isMultiTouch = gesture.pointers.size > 1 && startGeometry.distance > 0;
+
+    const proposed = {
+      x: startTransform.x + (geometry.x - startGeometry.x) / width,
+      y: startTransform.y + (geometry.y - startGeometry.y) / height,
+      scale: isMultiTouch ? startTransform.scale * (geometry.distance / startGeometry.distance) : startTransform.scale,
+      rotation: isMultiTouch ? startTransform.rotation + (geometry.angle - startGeometry.angle) : startTransform.rotation
+    };
+
+    const snapped = snapTransform(proposed, gesture.box, gesture.dimensions);
+    gesture.transform = snapped.transform;
+    gesture.moved = true;
+    setOverlay(toPreviewOverlay(gesture, snapped.guides, info.rect));
+
+    // Coalesce pointer events into at most one update per frame
+    if (!frameRef.current) {
+      frameRef.current = requestAnimationFrame(() => {
+        frameRef.current = null;
+        const current = gestureRef.current;
+        if (current) {
+          onTransformChange(current.name, current.transform);
+        }
+      });
+    }
+  }, [getCanvasInfo, onTransformChange]);
+
+  const onPointerUp = useCallback((event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || !gesture.pointers.has(event.pointerId)) return;
+
+    gesture.pointers.delete(event.pointerId);
+
+    if (gesture.pointers.size > 0) {
+      resetBaseline(gesture);
+      return;
+    }
+
+    if (frameRef.current) {
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    }
+
+    // A tap without movement leaves the element in its layout position
+    if (gesture.moved) {
+      onTransformChange(gesture.name, gesture.transform);
+    }
+
+    gestureRef.current = null;
+    setActiveElement(null);
+    setOverlay({ guides: [], outline: null });
+  }, [onTransformChange, resetBaseline]);
+
+  return {
+    activeElement,
+    guides: overlay.guides,
+    outline: overlay.outline,
+    handlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp
+    }
+  };
+};
+
+export default useElementGestures;
@@ -0,0 +1,94 @@
+import { useState, useCallback, useRef } from 'react';
+
+// Changes to the same key closer together than this are merged into one history entry
+const COALESCE_WINDOW_MS = 600;
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 100;
+
+/**
+ * State hook with an undo/redo history.
+ *
+ * Every change pushes the previous state onto the undo stack, except:
+ * - changes made with `{ record: false }`, which replace the current state
+ *   without an entry (used for automatic picks on load)
+ * - rapid changes with the same `key`, such as a slider drag or typing, which
+ *   are merged into the entry started by the first change
+ *
+ * @param {Object|Function} initialState - Initial state, or a function returning it
+ * @returns {Object} Current state, setState, undo, redo, canUndo and canRedo
+ */
+const useHistoryState = (initialState) => {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initialState === 'function' ? initialState() : initialState,
+    future: []
+  }));
+  const lastChangeRef = useRef({ key: null, time: 0 });
+
+  /**
+   * Update the state
+   * @param {Object|Function} update - New state, or a function of the previous state
+   * @param {Object} [options] - Change options
+   * @param {string} [options.key] - Identifies the control making the change, for coalescing
+   * @param {boolean} [options.record=true] - Whether the change can be undone
+   */
+  const setState = useCallback((update, { key = null, record = true } = {}) => {
+    const now = Date.now();
+    const lastChange = lastChangeRef.current;
+    const coalesce = key !== null && lastChange.key === key && now - lastChange.time < COALESCE_WINDOW_MS;
+    if (record) {
+      lastChangeRef.current = { key, time: now };
+    }
+
+    setHistory(previous => {
+      const next = typeof update === 'function' ? update(previous.present) : update;
+      if (Object.is(next, previous.present)) return previous;
+
+      if (!record || coalesce) {
+        return { ...previous, present: next, future: record ? [] : previous.future };
+      }
+
+      return {
+        past: [...previous.past, previous.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastChangeRef.current = { key: null, time: 0 };
+    setHistory(previous => {
+      if (previous.past.length === 0) return previous;
+      return {
+        past: previous.past.slice(0, -1),
+        present: previous.past[previous.past.length - 1],
+        future: [previous.present, ...previous.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    lastChangeRef.current = { key: null, time: 0 };
+    setHistory(previous => {
+      if (previous.future.length === 0) return previous;
+      return {
+        past: [...previous.past, previous.present],
+        present: previous.future[0],
+        future: previous.future.slice(1)
+      };
+    });
+  }, []);
+
+  return {
+    state: history.present,
+    setState,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+};
+
+export default useHistoryState;
@@ -0,0 +1,76 @@
+import { useState, useCallback } from 'react';
+import { parseSchedule } from '../utils/scheduleAdapters';
+import { debugWarn } from '../utils/debug';
+
+// Browser storage key for the imported calendar
+const STORAGE_KEY = 'timbers-wallpaper:imported-schedule';
+
+/**
+ * Read the imported calendar kept in browser storage. The file text is stored rather
+ * than its matches, so it's parsed again with the current parser.
+ * @returns {Object|null} The imported schedule, or null when there is none or it can't be read
+ */
+const readStoredSchedule = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored?.text) return null;
+    return { ...stored, matches: parseSchedule(stored.text, { format: 'ics' }) };
+  } catch (error) {
+    debugWarn('Ignoring the stored schedule:', error);
+    return null;
+  }
+};
+
+/**
+ * Hook for a schedule imported from an .ics file, used instead of the bundled schedule
+ * until it's cleared
+ *
+ * @returns {Object} importedSchedule ({name, importedAt, matches} or null), importError,
+ *   and the importSchedule(file) and clearSchedule() functions
+ */
+const useImportedSchedule = () => {
+  const [importedSchedule, setImportedSchedule] = useState(readStoredSchedule);
+  const [importError, setImportError] = useState(null);
+
+  const importSchedule = useCallback(async (file) => {
+    setImportError(null);
+
+    try {
+      const text = await file.text();
+      const matches = parseSchedule(text, { format: 'ics' });
+      if (matches.length === 0) {
+        throw new Error(`No matches found in ${file.name}. Event titles need to name the Timbers and their opponent, like "Timbers vs LA Galaxy".`);
+      }
+
+      const schedule = { name: file.name, importedAt: new Date().toISOString(), text };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+      } catch (error) {
+        // Still used for this visit, e.g. when storage is full or blocked
+        debugWarn('Could not keep the imported schedule:', error);
+      }
+      setImportedSchedule({ ...schedule, matches });
+    } catch (error) {
+      setImportError(error.message);
+    }
+  }, []);
+
+  const clearSchedule = useCallback(() => {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      debugWarn('Could not clear the imported schedule:', error);
+    }
+    setImportedSchedule(null);
+    setImportError(null);
+  }, []);
+
+  return {
+    importedSchedule,
+    importError,
+    importSchedule,
+    clearSchedule
+  };
+};
+
+export default useImportedSchedule;
@@ -0,0 +1,91 @@
+import { useState, useCallback } from 'react';
+import { parseRivalSchedule } from '../utils/scheduleAdapters';
+import { extractRivalCupResults } from '../utils/scheduleParser';
+import { CASCADIA_RIVALS } from '../utils/constants';
+import { debugWarn } from '../utils/debug';
+
+// Browser storage key for the Seattle and Vancouver schedules
+const STORAGE_KEY = 'timbers-wallpaper:rival-schedules';
+
+/**
+ * Read the rival schedules kept in browser storage. As with the imported calendar, the
+ * file text is stored and parsed again with the current parser.
+ * @returns {Object} Schedules keyed by short code, each {shortCode, name, importedAt, text, teamId, matches}
+ */
+const readStoredSchedules = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return Object.fromEntries(Object.values(stored)
+      .filter(schedule => schedule?.text)
+      .map(schedule => [schedule.shortCode, { ...schedule, ...parseRivalSchedule(schedule.text, schedule.shortCode) }]));
+  } catch (error) {
+    debugWarn('Ignoring the stored rival schedules:', error);
+    return {};
+  }
+};
+
+/**
+ * Save the rival schedules' file text to browser storage
+ * @param {Object} schedules - Schedules keyed by short code
+ */
+const storeSchedules = (schedules) => {
+  try {
+    const stored = Object.values(schedules).map(({ shortCode, name, importedAt, text }) => [shortCode, { shortCode, name, importedAt, text }]);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(stored)));
+  } catch (error) {
+    // Still used for this visit, e.g. when storage is full or blocked
+    debugWarn('Could not keep the rival schedules:', error);
+  }
+};
+
+/**
+ * Hook for Seattle's and Vancouver's own schedules, which add their matches against each
+ * other to the Cascadia Cup table
+ *
+ * @returns {Object} rivalSchedules (keyed by short code), importError, and the
+ *   importRivalSchedule(shortCode, file) and clearRivalSchedule(shortCode) functions
+ */
+const useRivalSchedules = () => {
+  const [rivalSchedules, setRivalSchedules] = useState(readStoredSchedules);
+  const [importError, setImportError] = useState(null);
+
+  const importRivalSchedule = useCallback(async (shortCode, file) => {
+    setImportError(null);
+
+    try {
+      const text = await file.text();
+      const rivalSchedule = parseRivalSchedule(text, shortCode);
+      if (extractRivalCupResults(rivalSchedule).length === 0) {
+        const team = CASCADIA_RIVALS.find(entry => entry.id === rivalSchedule.teamId);
+        const otherTeam = CASCADIA_RIVALS.find(entry => entry !== team);
+        throw new Error(`No ${otherTeam.name} results found in ${file.name}. Use a ${team.name} schedule with scores, as JSON or CSV.`);
+      }
+
+      setRivalSchedules(current => {
+        const next = { ...current, [shortCode]: { shortCode, name: file.name, importedAt: new Date().toISOString(), text, ...rivalSchedule } };
+        storeSchedules(next);
+        return next;
+      });
+    } catch (error) {
+      setImportError(error.message);
+    }
+  }, []);
+
+  const clearRivalSchedule = useCallback((shortCode) => {
+    setRivalSchedules(current => {
+      const next = Object.fromEntries(Object.entries(current).filter(([key]) => key !== shortCode));
+      storeSchedules(next);
+      return next;
+    });
+    setImportError(null);
+  }, []);
+
+  return {
+    rivalSchedules,
+    importError,
+    importRivalSchedule,
+    clearRivalSchedule
+  };
+};
+
+export default useRivalSchedules;
@@ -1,16 +1,38 @@
+import { useMemo } from 'react';
 import { formatDateForWallpaper, formatTime } from '../utils/dateFormatters';
-import { getNext4Matches } from '../utils/scheduleUtils';
+import { getScheduleMatches, getUpcomingMatches, getMonthMatches, getSeasonRecords, getCascadiaCupStandings, TIMBERS_MATCHES } from '../utils/scheduleUtils';
+import { DEFAULT_FIXTURE_COUNT, DEFAULT_SCHEDULE_FILTERS, DEFAULT_SCHEDULE_MODE } from '../utils/constants';
+
+// Stable default, so the Cascadia Cup table isn't recomputed on every render
+const NO_RIVAL_SCHEDULES = [];
 
 /**
  * Hook for handling schedule data processing and extraction
  * 
+ * @param {Object} [options] - Schedule options
+ * @param {string} [options.scheduleMode] - Next matches, last results or both, see SCHEDULE_MODES
+ * @param {number|string} [options.fixtureCount] - Number of matches, or "month" for the rest of this month
+ * @param {number} [options.calendarMonth=0] - Month shown by the calendar, 0 for this month or 1 for next month
+ * @param {Object} [options.filters] - Competitions, venue and date window applied to both, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Array} [options.matches] - Matches from an imported calendar, the bundled schedule by default
+ * @param {Array} [options.rivalSchedules] - Seattle and Vancouver schedules for the Cascadia Cup table
  * @returns {Object} Schedule data and helper functions
  */
-const useScheduleData = () => {
-  const nextMatches = getNext4Matches();
+const useScheduleData = ({ scheduleMode = DEFAULT_SCHEDULE_MODE, fixtureCount = DEFAULT_FIXTURE_COUNT, calendarMonth = 0, filters = DEFAULT_SCHEDULE_FILTERS, matches = TIMBERS_MATCHES, rivalSchedules = NO_RIVAL_SCHEDULES } = {}) => {
+  // Memoized so the wallpaper only re-renders when the schedule settings change
+  // nextMatches holds the results too in the results and mixed modes
+  const nextMatches = useMemo(() => getScheduleMatches(scheduleMode, fixtureCount, filters, matches), [scheduleMode, fixtureCount, filters, matches]);
+  const monthMatches = useMemo(() => getMonthMatches(calendarMonth, filters, matches), [calendarMonth, filters, matches]);
+  const upcomingMatches = useMemo(() => getUpcomingMatches(filters, matches), [filters, matches]);
+  const seasonRecords = useMemo(() => getSeasonRecords(matches), [matches]);
+  const cascadiaStandings = useMemo(() => getCascadiaCupStandings(matches, rivalSchedules), [matches, rivalSchedules]);
 
   return {
     nextMatches,
+    monthMatches,
+    upcomingMatches,
+    seasonRecords,
+    cascadiaStandings,
     formatDateForWallpaper,
     formatTime
   };
@@ -1,5 +1,5 @@
-import { tryLoadImage } from './imageLoader';
-import { debugLog, debugWarn } from './debug';
+import { tryLoadImage } from './imageLoader.js';
+import { debugLog, debugWarn } from './debug.js';
 
 // Portland Timbers brand colors
 export const TIMBERS_GREEN = '#004812'; // Updated green to match gradient
@@ -22,61 +22,106 @@ export const getThemeBackground = async (selectedTheme, ctx, width, height, back
     return createFallbackGradient(ctx, width, height);
   }
 
+  const backgroundImg = await loadThemeImage(selectedTheme, backgroundThemes);
+  return backgroundImg || getThemeGradient(selectedTheme, ctx, width, height, backgroundThemes);
+};
+
+/**
+ * Load an image from src/assets/background
+ * @param {string} filename - Image filename
+ * @param {string} description - Description used in log messages
+ * @returns {Promise<HTMLImageElement|null>} - The loaded image, or null when it fails to load
+ */
+const loadBackgroundAsset = async (filename, description) => {
+  try {
+    // Import from assets instead of public folder
+    const imagePath = new URL(`../assets/background/${filename}`, import.meta.url).href;
+    
+    // iOS Safari compatibility mode - force image to be fully decoded before rendering
+    const image = await tryLoadImage(imagePath);
+    
+    // Verify that the image actually loaded - this helps prevent iOS issues
+    if (image && image.complete && image.naturalWidth !== 0) {
+      debugLog(`${description} loaded successfully (${image.naturalWidth}x${image.naturalHeight})`);
+      return image;
+    } else {
+      throw new Error('Image loaded but dimensions are invalid');
+    }
+  } catch (error) {
+    debugWarn(`Failed to load ${description}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Load the background image for an image theme
+ * @param {string} selectedTheme - The theme ID
+ * @param {Array} backgroundThemes - Array of background themes from manifest
+ * @returns {Promise<HTMLImageElement|null>} - The loaded image, or null for gradient themes and failed loads
+ */
+export const loadThemeImage = async (selectedTheme, backgroundThemes = []) => {
+  if (!selectedTheme) return null;
+
   // Find the selected theme in the backgroundThemes array
   const theme = backgroundThemes.find(theme => theme.value === selectedTheme);
 
-  // If we found the theme in the manifest and it's an image type
+  let filename = null;
+  let label = selectedTheme;
   if (theme && theme.type === 'image' && theme.filename) {
-    try {
-      // Import from assets instead of public folder
-      const backgroundImgPath = new URL(`../assets/background/${theme.filename}`, import.meta.url).href;
-      
-      // iOS Safari compatibility mode - force image to be fully decoded before rendering
-      const backgroundImg = await tryLoadImage(backgroundImgPath);
-      
-      // Verify that the image actually loaded - this helps prevent iOS issues
-      if (backgroundImg && backgroundImg.complete && backgroundImg.naturalWidth !== 0) {
-        debugLog(`${theme.label} background loaded successfully (${backgroundImg.naturalWidth}x${backgroundImg.naturalHeight})`);
-        return backgroundImg;
-      } else {
-        throw new Error('Image loaded but dimensions are invalid');
-      }
-    } catch (error) {
-      debugWarn(`Failed to load ${theme.label} background, falling back to classic theme:`, error);
-      // Fallback to classic theme if image fails to load
-      return createFallbackGradient(ctx, width, height);
-    }
-  } 
-  
+    filename = theme.filename;
+    label = theme.label;
+  } else if (!theme && selectedTheme === 'timber_jim') {
+    // Legacy handler for the hard-coded Timber Jim background
+    filename = 'timber_jim.webp';
+    label = 'Timber Jim';
+  }
+
+  if (!filename) return null;
+
+  // A failed load falls back to the classic theme gradient
+  return loadBackgroundAsset(filename, `${label} background`);
+};
+
+/**
+ * Load the foreground mask of an image theme, used for the depth effect.
+ * The mask is a PNG the same shape as the background whose alpha channel covers the subject.
+ * @param {string} selectedTheme - The theme ID
+ * @param {Array} backgroundThemes - Array of background themes from manifest
+ * @returns {Promise<HTMLImageElement|null>} - The loaded mask, or null when the theme has none
+ */
+export const loadThemeForegroundMask = async (selectedTheme, backgroundThemes = []) => {
+  const theme = backgroundThemes.find(theme => theme.value === selectedTheme);
+  if (!theme || theme.type !== 'image' || !theme.foregroundMask) return null;
+
+  return loadBackgroundAsset(theme.foregroundMask, `${theme.label} foreground mask`);
+};
+
+/**
+ * Create the gradient fill for a theme without loading any images.
+ * Image themes resolve to the classic fallback gradient, so this is safe to
+ * call from any environment that provides a 2D context.
+ * @param {string} selectedTheme - The theme ID
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array} backgroundThemes - Array of background themes from manifest
+ * @returns {CanvasGradient} - Gradient for background
+ */
+export const getThemeGradient = (selectedTheme, ctx, width, height, backgroundThemes = []) => {
+  const theme = backgroundThemes.find(theme => theme.value === selectedTheme);
+
   // If we found the theme in the manifest and it's a gradient type
   if (theme && theme.type === 'gradient') {
     return createGradientFromTheme(theme, ctx, width, height);
   }
 
+  if (theme && theme.type === 'image') {
+    return createFallbackGradient(ctx, width, height);
+  }
+
   // Legacy handler for backward compatibility with hard-coded themes
   // This will run if the theme wasn't found in the manifest array
   switch (selectedTheme) {
-    case 'timber_jim': {
-      // Load and return the static Timber Jim background
-      try {
-        // Use Vite's asset handling for better iOS compatibility
-        const timberJimPath = new URL('../assets/background/timber_jim.webp', import.meta.url).href;
-        
-        // Special handling for iOS Safari compatibility
-        const timberJimImg = await tryLoadImage(timberJimPath);
-        
-        // Check that the image is valid before returning
-        if (timberJimImg && timberJimImg.complete && timberJimImg.naturalWidth !== 0) {
-          debugLog(`Timber Jim background loaded successfully (${timberJimImg.naturalWidth}x${timberJimImg.naturalHeight})`);
-          return timberJimImg;
-        } else {
-          throw new Error('Timber Jim image loaded but has invalid dimensions');
-        }
-      } catch (error) {
-        debugWarn('Failed to load Timber Jim background, falling back to classic theme:', error);
-        return createFallbackGradient(ctx, width, height);
-      }
-    }
     case 'providence': {
       // Providence Park theme - Stadium lights effect
       const grad = ctx.createRadialGradient(width/2, 0, 0, width/2, height/2, width);
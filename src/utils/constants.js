@@ -8,6 +8,13 @@ export const DEFAULT_MATCH_POSITION_Y = 0.26; // 26% margin from bottom
 export const MIN_MATCH_POSITION = 0.01; // Minimum match position
 export const MAX_MATCH_POSITION = 0.4; // Maximum match position
 
+// Direct manipulation on the preview
+export const MIN_ELEMENT_SCALE = 0.4;
+export const MAX_ELEMENT_SCALE = 3;
+export const SAFE_MARGIN = 0.05; // Snapping margin as a fraction of the canvas width
+export const SNAP_DISTANCE = 0.015; // Snap when within this fraction of the canvas width
+export const ROTATION_SNAP_DEGREES = 4; // Snap rotation back to upright within this angle
+
 // Default text
 export const DEFAULT_TEXT = "PORTLAND TIMBERS";
 export const DEFAULT_TEXT_COLOR = "#FFFFFF";
@@ -20,19 +27,233 @@ export const TIMBERS_WHITE = "#FFFFFF";
 export const TIMBERS_BLACK = "#000000";
 
 // Default phone model
-export const DEFAULT_IPHONE_MODEL = "iphone15";
+export const DEFAULT_DEVICE_MODEL = "iphone15";
 
 // Wallpaper file name
 export const DEFAULT_WALLPAPER_FILENAME = "timbers-wallpaper.png";
 
-// iPhone models and their dimensions
-export const IPHONE_MODELS = [
-  { value: "iphone16promax", label: "iPhone 16 Pro Max", width: 1290, height: 2796 },
-  { value: "iphone16pro", label: "iPhone 16 Pro", width: 1179, height: 2556 },
-  { value: "iphone15", label: "iPhone 15/15 Pro", width: 1179, height: 2556 },
-  { value: "iphone15plus", label: "iPhone 15 Plus/Pro Max", width: 1290, height: 2796 },
-  { value: "custom", label: "Custom (1080x2337)", width: 1080, height: 2337 },
+// Wallpaper variants produced from the same settings.
+// blur is a fraction of the canvas width; dim is the opacity of a black overlay.
+export const WALLPAPER_VARIANTS = [
+  { value: "lock", label: "Lock Screen", filenameSuffix: "" },
+  { value: "home", label: "Home Screen", filenameSuffix: "-home", blur: 0.02, dim: 0.35, patchOnly: true },
+  { value: "alwaysOn", label: "Always-On", filenameSuffix: "-always-on", dim: 0.7 }
+];
+export const DEFAULT_WALLPAPER_VARIANT = "lock";
+
+// How the schedule is shown: a row of logos, a list with the full match details, a
+// one-line-per-match list or a month calendar. Layouts without room for a style, such
+// as the watch, fall back to their own match row or list.
+export const SCHEDULE_STYLES = [
+  { value: "row", label: "Row" },
+  { value: "list", label: "List" },
+  { value: "compact", label: "Compact" },
+  { value: "calendar", label: "Calendar" }
+];
+export const DEFAULT_SCHEDULE_STYLE = "row";
+
+// Number of upcoming fixtures on the wallpaper, or every remaining match this month
+export const MIN_FIXTURE_COUNT = 1;
+export const MAX_FIXTURE_COUNT = 8;
+export const DEFAULT_FIXTURE_COUNT = 4;
+export const FIXTURE_COUNT_REST_OF_MONTH = "month";
+export const FIXTURE_COUNT_OPTIONS = [
+  ...Array.from({ length: MAX_FIXTURE_COUNT - MIN_FIXTURE_COUNT + 1 }, (_, index) => {
+    const count = MIN_FIXTURE_COUNT + index;
+    return { value: count, label: count === 1 ? "Next match" : `Next ${count} matches` };
+  }),
+  { value: FIXTURE_COUNT_REST_OF_MONTH, label: "Rest of this month" }
+];
+
+// Which matches the schedule shows: upcoming fixtures, finished results, or both
+export const SCHEDULE_MODES = [
+  { value: "upcoming", label: "Next matches" },
+  { value: "results", label: "Last results" },
+  { value: "mixed", label: "Results + next" }
+];
+export const DEFAULT_SCHEDULE_MODE = "upcoming";
+
+// The same counts as FIXTURE_COUNT_OPTIONS, counting back from today for the results mode
+export const RESULT_COUNT_OPTIONS = [
+  ...Array.from({ length: MAX_FIXTURE_COUNT - MIN_FIXTURE_COUNT + 1 }, (_, index) => {
+    const count = MIN_FIXTURE_COUNT + index;
+    return { value: count, label: count === 1 ? "Last result" : `Last ${count} results` };
+  }),
+  { value: FIXTURE_COUNT_REST_OF_MONTH, label: "Earlier this month" }
+];
+
+// Results and fixtures shown together by the mixed mode
+export const MIXED_SCHEDULE_COUNTS = { results: 2, upcoming: 2 };
+
+// Sportmonks team ID for the Portland Timbers, whose matches schedule.json holds
+export const TIMBERS_TEAM_ID = 607;
+
+// Competitions in schedule.json by Sportmonks league ID, for the schedule filters
+export const SCHEDULE_COMPETITIONS = [
+  { value: "mls", label: "MLS", leagueId: 779 },
+  { value: "leaguesCup", label: "Leagues Cup", leagueId: 3211 },
+  { value: "openCup", label: "U.S. Open Cup", leagueId: 782 },
+  { value: "friendly", label: "Friendlies", leagueId: 2451 }
+];
+
+export const SCHEDULE_VENUES = [
+  { value: "all", label: "All" },
+  { value: "home", label: "Home" },
+  { value: "away", label: "Away" }
+];
+
+// Every competition except friendlies, home and away, with no date window.
+// from and to are inclusive YYYY-MM-DD dates in Portland time; empty means open-ended.
+export const DEFAULT_SCHEDULE_FILTERS = {
+  competitions: ["mls", "leaguesCup", "openCup"],
+  venue: "all",
+  from: "",
+  to: ""
+};
+
+// Competitions a season record can be counted over: every competitive match, or one competition
+export const SEASON_RECORD_COMPETITIONS = [
+  { value: "all", label: "All competitive", competitions: ["mls", "leaguesCup", "openCup"] },
+  ...SCHEDULE_COMPETITIONS.map(({ value, label }) => ({ value, label, competitions: [value] }))
 ];
+export const DEFAULT_SEASON_RECORD_COMPETITION = "all";
+
+// Number of recent results in the form guide
+export const SEASON_FORM_LENGTH = 5;
+
+// Cascadia Cup clubs by Sportmonks team ID; the cup is decided over their MLS matches against each other
+export const CASCADIA_CUP_TEAMS = [
+  { id: 607, name: "Portland Timbers", shortCode: "POR" },
+  { id: 2649, name: "Seattle Sounders FC", shortCode: "SEA" },
+  { id: 292, name: "Vancouver Whitecaps FC", shortCode: "VAN" }
+];
+
+// Cascadia Cup clubs whose own schedule adds the matches the Timbers don't play in
+export const CASCADIA_RIVALS = CASCADIA_CUP_TEAMS.filter(team => team.id !== TIMBERS_TEAM_ID);
+
+// Colors for wins, draws and losses on result badges and form dots
+export const RESULT_COLORS = {
+  W: "#2E9E4F",
+  D: "#8A8A8A",
+  L: "#C8372D"
+};
+
+// Months the calendar can show, as an offset from the current month
+export const CALENDAR_MONTHS = [
+  { value: 0, label: "This month" },
+  { value: 1, label: "Next month" }
+];
+
+// Lock screen areas covered by the system UI, as fractions of the screen.
+// Measured from iOS 17/18 lock screens with the default clock and one row of widgets.
+const DYNAMIC_ISLAND_SAFE_ZONES = [
+  { id: "dynamicIsland", label: "the Dynamic Island", x: 0.34, y: 0.013, width: 0.32, height: 0.043 },
+  { id: "clock", label: "the clock", x: 0.08, y: 0.075, width: 0.84, height: 0.14 },
+  { id: "widgets", label: "the widgets", x: 0.08, y: 0.225, width: 0.84, height: 0.075 },
+  { id: "flashlight", label: "the flashlight button", x: 0.1, y: 0.87, width: 0.14, height: 0.065 },
+  { id: "camera", label: "the camera button", x: 0.76, y: 0.87, width: 0.14, height: 0.065 },
+  { id: "homeIndicator", label: "the home indicator", x: 0.33, y: 0.975, width: 0.34, height: 0.015 }
+];
+
+// The larger Plus/Pro Max screens have a relatively smaller island and clock
+const LARGE_DYNAMIC_ISLAND_SAFE_ZONES = [
+  { id: "dynamicIsland", label: "the Dynamic Island", x: 0.353, y: 0.012, width: 0.293, height: 0.04 },
+  { id: "clock", label: "the clock", x: 0.08, y: 0.07, width: 0.84, height: 0.135 },
+  { id: "widgets", label: "the widgets", x: 0.08, y: 0.215, width: 0.84, height: 0.07 },
+  { id: "flashlight", label: "the flashlight button", x: 0.1, y: 0.875, width: 0.13, height: 0.06 },
+  { id: "camera", label: "the camera button", x: 0.77, y: 0.875, width: 0.13, height: 0.06 },
+  { id: "homeIndicator", label: "the home indicator", x: 0.33, y: 0.977, width: 0.34, height: 0.014 }
+];
+
+// Android lock screens: a punch-hole camera, a large clock and shortcuts in the bottom corners.
+// The in-display fingerprint sensor shows its icon while the screen is locked.
+const PIXEL_SAFE_ZONES = [
+  { id: "camera", label: "the front camera", x: 0.46, y: 0.012, width: 0.08, height: 0.036 },
+  { id: "clock", label: "the clock", x: 0.06, y: 0.07, width: 0.6, height: 0.2 },
+  { id: "fingerprint", label: "the fingerprint sensor", x: 0.42, y: 0.79, width: 0.16, height: 0.075 },
+  { id: "leftShortcut", label: "the left shortcut", x: 0.06, y: 0.9, width: 0.14, height: 0.065 },
+  { id: "rightShortcut", label: "the right shortcut", x: 0.8, y: 0.9, width: 0.14, height: 0.065 }
+];
+
+const GALAXY_SAFE_ZONES = [
+  { id: "camera", label: "the front camera", x: 0.465, y: 0.012, width: 0.07, height: 0.033 },
+  { id: "clock", label: "the clock", x: 0.12, y: 0.09, width: 0.76, height: 0.15 },
+  { id: "fingerprint", label: "the fingerprint sensor", x: 0.42, y: 0.8, width: 0.16, height: 0.07 },
+  { id: "leftShortcut", label: "the left shortcut", x: 0.06, y: 0.9, width: 0.14, height: 0.065 },
+  { id: "rightShortcut", label: "the right shortcut", x: 0.8, y: 0.9, width: 0.14, height: 0.065 }
+];
+
+// iPad lock screens keep the clock near the top; there are no lock screen buttons
+const IPAD_PORTRAIT_SAFE_ZONES = [
+  { id: "clock", label: "the clock", x: 0.2, y: 0.06, width: 0.6, height: 0.13 },
+  { id: "homeIndicator", label: "the home indicator", x: 0.38, y: 0.978, width: 0.24, height: 0.012 }
+];
+
+const IPAD_LANDSCAPE_SAFE_ZONES = [
+  { id: "clock", label: "the clock", x: 0.28, y: 0.07, width: 0.44, height: 0.17 },
+  { id: "homeIndicator", label: "the home indicator", x: 0.4, y: 0.975, width: 0.2, height: 0.015 }
+];
+
+// Desktops cover the top edge with the menu bar and the bottom middle with the dock
+const DESKTOP_SAFE_ZONES = [
+  { id: "menuBar", label: "the menu bar", x: 0, y: 0, width: 1, height: 0.025 },
+  { id: "dock", label: "the dock", x: 0.35, y: 0.92, width: 0.3, height: 0.08 }
+];
+
+// Watch faces show the time in the top right corner
+const WATCH_SAFE_ZONES = [
+  { id: "clock", label: "the time", x: 0.5, y: 0.03, width: 0.46, height: 0.13 }
+];
+
+// Device platforms and the lock screen conventions the preview mockup follows.
+// mockup is the frame drawn around the preview; clockAlign is where the clock sits,
+// or null for screens without a lock screen clock; cutout is the camera shape drawn over the screen.
+export const DEVICE_PLATFORMS = [
+  { value: "ios", label: "iPhone", mockup: "phone", clockAlign: "center", dateAboveTime: true, cutout: "island" },
+  { value: "pixel", label: "Google Pixel", mockup: "phone", clockAlign: "left", dateAboveTime: false, cutout: "punchHole" },
+  { value: "galaxy", label: "Samsung Galaxy", mockup: "phone", clockAlign: "center", dateAboveTime: false, cutout: "punchHole" },
+  { value: "ipad", label: "iPad", mockup: "tablet", clockAlign: "center", dateAboveTime: true, cutout: "none" },
+  { value: "desktop", label: "Desktop", mockup: "desktop", clockAlign: null, dateAboveTime: false, cutout: "none" },
+  { value: "watch", label: "Apple Watch", mockup: "watch", clockAlign: "right", dateAboveTime: false, cutout: "none" },
+  { value: "custom", label: "Custom", mockup: "phone", clockAlign: "center", dateAboveTime: true, cutout: "none" }
+];
+
+// Supported devices and their screen sizes in pixels
+export const DEVICE_MODELS = [
+  { value: "iphone16promax", label: "iPhone 16 Pro Max", platform: "ios", width: 1290, height: 2796, safeZones: LARGE_DYNAMIC_ISLAND_SAFE_ZONES },
+  { value: "iphone16pro", label: "iPhone 16 Pro", platform: "ios", width: 1179, height: 2556, safeZones: DYNAMIC_ISLAND_SAFE_ZONES },
+  { value: "iphone15", label: "iPhone 15/15 Pro", platform: "ios", width: 1179, height: 2556, safeZones: DYNAMIC_ISLAND_SAFE_ZONES },
+  { value: "iphone15plus", label: "iPhone 15 Plus/Pro Max", platform: "ios", width: 1290, height: 2796, safeZones: LARGE_DYNAMIC_ISLAND_SAFE_ZONES },
+  { value: "pixel9proxl", label: "Pixel 9 Pro XL", platform: "pixel", width: 1344, height: 2992, safeZones: PIXEL_SAFE_ZONES },
+  { value: "pixel9pro", label: "Pixel 9 Pro", platform: "pixel", width: 1280, height: 2856, safeZones: PIXEL_SAFE_ZONES },
+  { value: "pixel9", label: "Pixel 9", platform: "pixel", width: 1080, height: 2424, safeZones: PIXEL_SAFE_ZONES },
+  { value: "pixel8a", label: "Pixel 8a", platform: "pixel", width: 1080, height: 2400, safeZones: PIXEL_SAFE_ZONES },
+  { value: "galaxys24ultra", label: "Galaxy S24 Ultra", platform: "galaxy", width: 1440, height: 3120, safeZones: GALAXY_SAFE_ZONES },
+  { value: "galaxys24plus", label: "Galaxy S24+", platform: "galaxy", width: 1440, height: 3120, safeZones: GALAXY_SAFE_ZONES },
+  { value: "galaxys24", label: "Galaxy S24", platform: "galaxy", width: 1080, height: 2340, safeZones: GALAXY_SAFE_ZONES },
+  { value: "galaxya55", label: "Galaxy A55", platform: "galaxy", width: 1080, height: 2340, safeZones: GALAXY_SAFE_ZONES },
+  { value: "ipadpro13", label: "iPad Pro 13\" (portrait)", platform: "ipad", width: 2064, height: 2752, safeZones: IPAD_PORTRAIT_SAFE_ZONES },
+  { value: "ipadpro13landscape", label: "iPad Pro 13\" (landscape)", platform: "ipad", width: 2752, height: 2064, safeZones: IPAD_LANDSCAPE_SAFE_ZONES },
+  { value: "ipadair11", label: "iPad Air 11\" (portrait)", platform: "ipad", width: 1640, height: 2360, safeZones: IPAD_PORTRAIT_SAFE_ZONES },
+  { value: "ipadair11landscape", label: "iPad Air 11\" (landscape)", platform: "ipad", width: 2360, height: 1640, safeZones: IPAD_LANDSCAPE_SAFE_ZONES },
+  { value: "desktop1080p", label: "Full HD (1920x1080)", platform: "desktop", width: 1920, height: 1080, safeZones: DESKTOP_SAFE_ZONES },
+  { value: "desktop1440p", label: "QHD (2560x1440)", platform: "desktop", width: 2560, height: 1440, safeZones: DESKTOP_SAFE_ZONES },
+  { value: "ultrawide1440p", label: "Ultrawide (3440x1440)", platform: "desktop", width: 3440, height: 1440, safeZones: DESKTOP_SAFE_ZONES },
+  // Watch faces use the compact watch layout: patch, next opponent and kickoff only
+  { value: "watch49", label: "Apple Watch Ultra 49mm", platform: "watch", layout: "watch", width: 410, height: 502, safeZones: WATCH_SAFE_ZONES },
+  { value: "watch45", label: "Apple Watch 45mm", platform: "watch", layout: "watch", width: 396, height: 484, safeZones: WATCH_SAFE_ZONES },
+  { value: "watch41", label: "Apple Watch 41mm", platform: "watch", layout: "watch", width: 352, height: 430, safeZones: WATCH_SAFE_ZONES },
+  // Width and height come from the custom size inputs; these are the defaults
+  { value: "custom", label: "Custom size", platform: "custom", width: 1080, height: 2337, safeZones: [] },
+];
+
+// Limits for the custom device size, in pixels
+export const CUSTOM_DEVICE_LIMITS = {
+  minWidth: 320,
+  maxWidth: 4096,
+  minHeight: 320,
+  maxHeight: 4096
+};
 
 // Font options
 export const FONT_OPTIONS = [
@@ -43,3 +264,11 @@ export const FONT_OPTIONS = [
   "Verdana",
   "Lethal Slime"
 ];
+
+// Custom font files served from /public/fonts, keyed by font family
+export const FONT_FILES = {
+  "Another Danger": "Another Danger.otf",
+  "Lethal Slime": "Lethal Slime.ttf",
+  "Rose": "Rose.otf",
+  "Urban Jungle": "UrbanJungle.otf"
+};
@@ -1,55 +1,13 @@
-import { clearTextEffects } from './textEffects';
-
-/**
- * Parse a date string in a way that works across browsers (including iOS Safari)
- * @param {string} dateTimeString - The date/time string from the API
- * @returns {Date} - A JavaScript Date object
- */
-const parseDateSafely = dateTimeString => {
-  try {
-    // Handle empty or invalid input
-    if (!dateTimeString) return null;
-
-    // The API provides UTC datetime strings like "2025-07-06 02:30:00" or "2025-07-06"
-    // Split into components for cross-browser compatibility, especially iOS Safari
-    const parts = dateTimeString.split(' ');
-    const dateParts = parts[0].split('-');
-    
-    if (parts.length >= 2) {
-      // Has time components - "2025-07-06 02:30:00"
-      const timeParts = parts[1].split(':');
-      
-      // Create date using individual components for maximum compatibility
-      return new Date(Date.UTC(
-        parseInt(dateParts[0], 10),    // year
-        parseInt(dateParts[1], 10) - 1, // month (0-based)
-        parseInt(dateParts[2], 10),    // day
-        parseInt(timeParts[0], 10),    // hour
-        parseInt(timeParts[1], 10),    // minute
-        parseInt(timeParts[2] || 0, 10) // second (default to 0)
-      ));
-    } else {
-      // Date only - "2025-07-06"
-      return new Date(Date.UTC(
-        parseInt(dateParts[0], 10),    // year
-        parseInt(dateParts[1], 10) - 1, // month (0-based)
-        parseInt(dateParts[2], 10)     // day
-      ));
-    }
-  } catch (e) {
-    console.error('Error parsing date:', e, dateTimeString);
-    return null;
-  }
-};
+import { clearTextEffects } from './textEffects.js';
+import { parseScheduleDate, SCHEDULE_TIME_ZONE } from './scheduleDates.js';
 
 /**
  * Format a date string for display in the UI
- * @param {string} dateTimeString - The date/time string from the API
+ * @param {string} dateTimeString - Kickoff from the schedule, see parseScheduleDate()
  * @returns {string} - Formatted date string
  */
 export const formatDate = dateTimeString => {
-  // Parse the date safely for iOS compatibility
-  const parsedDate = parseDateSafely(dateTimeString);
+  const parsedDate = parseScheduleDate(dateTimeString);
   if (!parsedDate) return 'TBD';
   
   try {
@@ -57,7 +15,7 @@ export const formatDate = dateTimeString => {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
-      timeZone: 'America/Los_Angeles',
+      timeZone: SCHEDULE_TIME_ZONE,
     });
   } catch (e) {
     console.error('Error formatting date:', e);
@@ -67,12 +25,11 @@ export const formatDate = dateTimeString => {
 
 /**
  * Format a time string for display in the UI
- * @param {string} dateTimeString - The date/time string from the API
+ * @param {string} dateTimeString - Kickoff from the schedule, see parseScheduleDate()
  * @returns {string} - Formatted time string
  */
 export const formatTime = dateTimeString => {
-  // Parse the date safely for iOS compatibility
-  const parsedDate = parseDateSafely(dateTimeString);
+  const parsedDate = parseScheduleDate(dateTimeString);
   if (!parsedDate) return 'TBD';
   
   try {
@@ -80,7 +37,7 @@ export const formatTime = dateTimeString => {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-      timeZone: 'America/Los_Angeles',
+      timeZone: SCHEDULE_TIME_ZONE,
     });
   } catch (e) {
     console.error('Error formatting time:', e);
@@ -90,12 +47,11 @@ export const formatTime = dateTimeString => {
 
 /**
  * Format a date string for display on the wallpaper
- * @param {string} dateTimeString - The date/time string from the API
+ * @param {string} dateTimeString - Kickoff from the schedule, see parseScheduleDate()
  * @returns {string} - Formatted date string for wallpaper
  */
 export const formatDateForWallpaper = dateTimeString => {
-  // Parse the date safely for iOS compatibility
-  const parsedDate = parseDateSafely(dateTimeString);
+  const parsedDate = parseScheduleDate(dateTimeString);
   if (!parsedDate) return 'TBD';
   
   try {
@@ -103,7 +59,7 @@ export const formatDateForWallpaper = dateTimeString => {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
-      timeZone: 'America/Los_Angeles',
+      timeZone: SCHEDULE_TIME_ZONE,
     });
   } catch (e) {
     console.error('Error formatting wallpaper date:', e);
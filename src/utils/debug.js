@@ -11,7 +11,7 @@
  * @returns {boolean} Whether debug mode is enabled
  */
 export const isDebugEnabled = () => {
-  return import.meta.env.VITE_DEBUG_MODE === 'true';
+  return import.meta.env?.VITE_DEBUG_MODE === 'true';
 };
 
 /**
@@ -0,0 +1,52 @@
+import { DEVICE_MODELS, DEVICE_PLATFORMS, CUSTOM_DEVICE_LIMITS } from './constants.js';
+
+/**
+ * Limit a custom size to CUSTOM_DEVICE_LIMITS, falling back to the default custom size for invalid input
+ * @param {{width: number, height: number}} size - Requested size in pixels
+ * @returns {{width: number, height: number}} Whole-pixel size within the limits
+ */
+export const clampCustomSize = ({ width, height }) => {
+  const fallback = DEVICE_MODELS.find(model => model.value === 'custom');
+  const clamp = (value, min, max, defaultValue) => {
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) return defaultValue;
+    return Math.min(max, Math.max(min, number));
+  };
+
+  return {
+    width: clamp(width, CUSTOM_DEVICE_LIMITS.minWidth, CUSTOM_DEVICE_LIMITS.maxWidth, fallback.width),
+    height: clamp(height, CUSTOM_DEVICE_LIMITS.minHeight, CUSTOM_DEVICE_LIMITS.maxHeight, fallback.height)
+  };
+};
+
+/**
+ * Look up a device, applying the custom size when the custom device is selected
+ * @param {string} value - Device id from DEVICE_MODELS
+ * @param {{width: number, height: number}} [customSize] - Size for the custom device
+ * @returns {Object|null} Device with width, height, platform and safe zones, or null for an unknown id
+ */
+export const getDevice = (value, customSize) => {
+  const device = DEVICE_MODELS.find(model => model.value === value);
+  if (!device) return null;
+  if (device.value !== 'custom' || !customSize) return device;
+  return { ...device, ...clampCustomSize(customSize) };
+};
+
+/**
+ * Get the lock screen conventions for a device's platform
+ * @param {Object} device - Device from DEVICE_MODELS
+ * @returns {Object} Platform from DEVICE_PLATFORMS
+ */
+export const getDevicePlatform = (device) => {
+  const platform = device && DEVICE_PLATFORMS.find(p => p.value === device.platform);
+  return platform || DEVICE_PLATFORMS[DEVICE_PLATFORMS.length - 1];
+};
+
+/**
+ * Group devices by platform, in DEVICE_PLATFORMS order
+ * @param {Array} [devices] - Devices to group
+ * @returns {Array<{platform: Object, devices: Array}>} Non-empty groups
+ */
+export const groupDevicesByPlatform = (devices = DEVICE_MODELS) => DEVICE_PLATFORMS
+  .map(platform => ({ platform, devices: devices.filter(device => device.platform === platform.value) }))
+  .filter(group => group.devices.length > 0);
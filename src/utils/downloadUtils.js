@@ -33,6 +33,18 @@ export const captureCanvasToBlob = (canvas, type = 'image/png', quality = 1.0) =
   });
 };
 
+/**
+ * Get the download filename for a wallpaper variant
+ * 
+ * @param {string} filename - Base filename, e.g. timbers-wallpaper.png
+ * @param {Object} variant - Variant from WALLPAPER_VARIANTS
+ * @returns {string} Filename with the variant suffix, e.g. timbers-wallpaper-home.png
+ */
+export const getVariantFilename = (filename, variant) => {
+  if (!variant.filenameSuffix) return filename;
+  return filename.replace(/(\.[^.]+)?$/, `${variant.filenameSuffix}$1`);
+};
+
 /**
  * Downloads a blob as a file
  * 
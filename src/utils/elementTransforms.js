@@ -0,0 +1,145 @@
+import {
+  MIN_ELEMENT_SCALE,
+  MAX_ELEMENT_SCALE,
+  SAFE_MARGIN,
+  SNAP_DISTANCE,
+  ROTATION_SNAP_DEGREES
+} from './constants';
+
+// Elements that can be moved directly on the preview, topmost first for hit testing
+export const DRAGGABLE_ELEMENTS = ['matchRow', 'fixtureList', 'compactList', 'calendar', 'seasonRecord', 'cascadiaTable', 'headline', 'patch'];
+
+/**
+ * Work out how the canvas bitmap is drawn inside its element with object-fit: cover
+ * @param {DOMRect} rect - Bounding rect of the canvas element
+ * @param {{width: number, height: number}} dimensions - Canvas bitmap size
+ * @returns {{scale: number, offsetX: number, offsetY: number}} Display scale and offsets in CSS pixels
+ */
+export const getPreviewMapping = (rect, { width, height }) => {
+  const scale = Math.max(rect.width / width, rect.height / height);
+  return {
+    scale,
+    offsetX: (rect.width - width * scale) / 2,
+    offsetY: (rect.height - height * scale) / 2
+  };
+};
+
+/**
+ * Convert a pointer position into canvas pixel coordinates
+ * @param {number} clientX - Pointer X in the viewport
+ * @param {number} clientY - Pointer Y in the viewport
+ * @param {DOMRect} rect - Bounding rect of the canvas element
+ * @param {{width: number, height: number}} dimensions - Canvas bitmap size
+ * @returns {{x: number, y: number}} Point on the canvas
+ */
+export const toCanvasPoint = (clientX, clientY, rect, dimensions) => {
+  const { scale, offsetX, offsetY } = getPreviewMapping(rect, dimensions);
+  return {
+    x: (clientX - rect.left - offsetX) / scale,
+    y: (clientY - rect.top - offsetY) / scale
+  };
+};
+
+/**
+ * Find the draggable element under a canvas point, taking element rotation into account
+ * @param {{x: number, y: number}} point - Point on the canvas
+ * @param {Object} layout - Resolved layout boxes from renderWallpaper()
+ * @param {number} padding - Extra hit area around each box in canvas pixels
+ * @param {Array<string>} [names] - Candidate elements, topmost first
+ * @returns {string|null} Element name, or null when nothing is hit
+ */
+export const hitTestElement = (point, layout, padding = 0, names = DRAGGABLE_ELEMENTS) => {
+  if (!layout) return null;
+
+  return names.find(name => {
+    const box = layout[name];
+    if (!box || box.hidden || box.height <= 0) return false;
+
+    // Rotate the point into the element's unrotated frame
+    const angle = (-(box.rotation || 0) * Math.PI) / 180;
+    const dx = point.x - box.x;
+    const dy = point.y - box.y;
+    const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+    const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+
+    return Math.abs(localX) <= box.width / 2 + padding && Math.abs(localY) <= box.height / 2 + padding;
+  }) || null;
+};
+
+/**
+ * Get the current transform of an element from its resolved layout box
+ * @param {Object} box - Resolved layout box
+ * @param {{width: number, height: number}} dimensions - Canvas size
+ * @returns {{x: number, y: number, scale: number, rotation: number}} Transform with x/y as canvas fractions
+ */
+export const getElementTransform = (box, { width, height }) => ({
+  x: box.x / width,
+  y: box.y / height,
+  scale: box.scale || 1,
+  rotation: box.rotation || 0
+});
+
+/**
+ * Find the closest snap target for one axis
+ * @param {number} center - Element center in pixels
+ * @param {number} halfSize - Half the element size along the axis
+ * @param {number} length - Canvas length along the axis
+ * @param {number} margin - Safe margin in pixels
+ * @param {number} threshold - Maximum snapping distance in pixels
+ * @returns {{center: number, guide: number}|null} Snapped center and guide position, or null
+ */
+const findSnap = (center, halfSize, length, margin, threshold) => {
+  const candidates = [
+    { center: length / 2, guide: length / 2 },
+    { center: margin + halfSize, guide: margin },
+    { center: length - margin - halfSize, guide: length - margin }
+  ];
+
+  return candidates
+    .map(candidate => ({ ...candidate, distance: Math.abs(candidate.center - center) }))
+    .filter(candidate => candidate.distance <= threshold)
+    .sort((a, b) => a.distance - b.distance)[0] || null;
+};
+
+/**
+ * Limit a transform to sensible values and snap it to the center lines and safe margins
+ * @param {Object} transform - Proposed `{ x, y, scale, rotation }`
+ * @param {Object} box - The element's current layout box, used for its size
+ * @param {{width: number, height: number}} dimensions - Canvas size
+ * @returns {{transform: Object, guides: Array<{orientation: string, position: number}>}} Snapped transform and guides to show
+ */
+export const snapTransform = (transform, box, { width, height }) => {
+  const scale = Math.min(MAX_ELEMENT_SCALE, Math.max(MIN_ELEMENT_SCALE, transform.scale));
+  const sizeRatio = scale / (box.scale || 1);
+  const halfWidth = (box.width * sizeRatio) / 2;
+  const halfHeight = (box.height * sizeRatio) / 2;
+  const margin = SAFE_MARGIN * width;
+  const threshold = SNAP_DISTANCE * width;
+  const guides = [];
+
+  let centerX = transform.x * width;
+  let centerY = transform.y * height;
+
+  const snapX = findSnap(centerX, halfWidth, width, margin, threshold);
+  if (snapX) {
+    centerX = snapX.center;
+    guides.push({ orientation: 'vertical', position: snapX.guide });
+  }
+
+  const snapY = findSnap(centerY, halfHeight, height, margin, threshold);
+  if (snapY) {
+    centerY = snapY.center;
+    guides.push({ orientation: 'horizontal', position: snapY.guide });
+  }
+
+  // Keep rotation in -180..180 and pull it upright when close
+  let rotation = ((transform.rotation % 360) + 540) % 360 - 180;
+  if (Math.abs(rotation) <= ROTATION_SNAP_DEGREES) {
+    rotation = 0;
+  }
+
+  return {
+    transform: { x: centerX / width, y: centerY / height, scale, rotation },
+    guides
+  };
+};
@@ -0,0 +1,96 @@
+/**
+ * Extra wallpaper layers
+ *
+ * Layers are free-form text, image and shape elements drawn above the fixed
+ * patch, headline, match row and footer. They live in `config.layers`, bottom
+ * layer first, and each one carries its own style and a transform in the same
+ * `{ x, y, scale, rotation }` form used for direct manipulation on the preview.
+ */
+
+import { DEFAULT_TEXT_COLOR, TIMBERS_GOLD } from './constants.js';
+
+// Layout boxes for layers are keyed by this prefix plus the layer id
+export const LAYER_PREFIX = 'layer:';
+
+export const LAYER_TYPES = ['text', 'image', 'shape'];
+export const SHAPE_TYPES = ['rectangle', 'circle'];
+
+// Default style for each layer type; sizes are relative to the canvas width
+const LAYER_DEFAULTS = {
+  text: { text: 'RCTID', font: 'Rose', color: DEFAULT_TEXT_COLOR, fontSize: 80 },
+  image: { src: '', size: 0.3 },
+  shape: { shape: 'rectangle', color: TIMBERS_GOLD, width: 0.6, height: 0.02 }
+};
+
+const LAYER_NAMES = { text: 'Text', image: 'Image', shape: 'Shape' };
+
+let layerCounter = 0;
+
+/**
+ * Create a new layer with default settings, centered on the canvas
+ * @param {string} type - "text", "image" or "shape"
+ * @param {Array} existingLayers - Current layers, used to number the layer name
+ * @param {Object} [overrides] - Settings that replace the defaults
+ * @returns {Object} New layer
+ */
+export const createLayer = (type, existingLayers = [], overrides = {}) => {
+  if (!LAYER_TYPES.includes(type)) {
+    throw new Error(`Unknown layer type "${type}"`);
+  }
+
+  layerCounter += 1;
+  const sameType = existingLayers.filter(layer => layer.type === type).length;
+
+  return {
+    id: `${type}-${Date.now().toString(36)}-${layerCounter}`,
+    type,
+    name: `${LAYER_NAMES[type]} ${sameType + 1}`,
+    visible: true,
+    locked: false,
+    opacity: 1,
+    transform: { x: 0.5, y: 0.5, scale: 1, rotation: 0 },
+    ...LAYER_DEFAULTS[type],
+    ...overrides
+  };
+};
+
+/**
+ * Get the layout key for a layer
+ * @param {Object} layer - Layer
+ * @returns {string} Key such as "layer:text-abc-1"
+ */
+export const getLayerKey = (layer) => `${LAYER_PREFIX}${layer.id}`;
+
+/**
+ * Get the layer id from a layout key
+ * @param {string} key - Layout key
+ * @returns {string|null} Layer id, or null when the key is not a layer
+ */
+export const getLayerIdFromKey = (key) => (key.startsWith(LAYER_PREFIX) ? key.slice(LAYER_PREFIX.length) : null);
+
+/**
+ * Update one layer in a list
+ * @param {Array} layers - Current layers
+ * @param {string} id - Layer id
+ * @param {Object} changes - Settings to merge into the layer
+ * @returns {Array} New layer list
+ */
+export const updateLayer = (layers, id, changes) =>
+  layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer));
+
+/**
+ * Move a layer up (towards the front) or down (towards the back)
+ * @param {Array} layers - Current layers, bottom layer first
+ * @param {string} id - Layer id
+ * @param {number} direction - 1 to bring forward, -1 to send backward
+ * @returns {Array} New layer list
+ */
+export const moveLayer = (layers, id, direction) => {
+  const index = layers.findIndex(layer => layer.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= layers.length) return layers;
+
+  const reordered = [...layers];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
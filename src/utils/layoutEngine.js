@@ -0,0 +1,403 @@
+/**
+ * Declarative layout engine
+ *
+ * Resolves a layout description (see src/assets/layouts) into pixel boxes for a
+ * given canvas size. Lengths in a layout are written relative to the canvas:
+ *
+ *   "50%w"   - percentage of canvas width
+ *   "40%h"   - percentage of canvas height
+ *   "40%min" - percentage of the shorter canvas side
+ *   24       - plain numbers are pixels
+ *
+ * Each element is placed either at an absolute `y` or relative to another
+ * element with `below`/`above` plus a `gap`. The `anchor` says which point of
+ * the element box sits at that position. Instead of clamping elements into
+ * place, the engine reports every pair of elements that overlaps or sits
+ * closer than the minimum gap declared in `gaps`.
+ *
+ * Elements the user has moved directly on the preview carry a transform
+ * `{ x, y, scale, rotation }`: x and y place the element center as fractions of
+ * the canvas, scale multiplies its size and rotation (degrees) is applied by
+ * the renderer around the center. Collisions use the unrotated box.
+ *
+ * Safe zones are the parts of the lock screen covered by the system UI (clock,
+ * widgets, Dynamic Island, flashlight and camera buttons), given as canvas
+ * fractions `{ id, label, x, y, width, height }`. Elements overlapping a zone
+ * are reported as collisions. With `avoidSafeZones` on, elements marked
+ * `avoidSafeZones` in the layout are moved just clear of any zone they touch;
+ * elements the user has placed by hand stay where they are.
+ *
+ * An element can also be kept clear of others with `keepBelow` and `keepAbove`
+ * lists: it sits at least the declared minimum gap below or above each visible
+ * element named there, after any zone avoidance. An element marked
+ * `shrinkToFit` scales down to the space left between them instead of moving,
+ * but never below its `minScale` (0.5 unless given).
+ */
+
+import portraitLayout from '../assets/layouts/portrait.json' with { type: 'json' };
+import landscapeLayout from '../assets/layouts/landscape.json' with { type: 'json' };
+import watchLayout from '../assets/layouts/watch.json' with { type: 'json' };
+
+export const DEFAULT_LAYOUT = portraitLayout;
+
+// Built-in layouts by id
+export const LAYOUTS = {
+  [portraitLayout.id]: portraitLayout,
+  [landscapeLayout.id]: landscapeLayout,
+  [watchLayout.id]: watchLayout
+};
+
+/**
+ * Pick the built-in layout for a canvas shape: landscape canvases (desktops,
+ * tablets held sideways) get the two-column layout, everything else the portrait one
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @returns {Object} Layout description
+ */
+export const getLayoutForSize = ({ width, height }) => (width > height ? landscapeLayout : portraitLayout);
+
+/**
+ * Get the layout to render with
+ * @param {Object|string} [layout] - Layout description, a built-in layout id, or nothing to pick by canvas shape
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @returns {Object} Layout description
+ */
+export const getLayout = (layout, dimensions) => {
+  if (!layout) return getLayoutForSize(dimensions);
+  if (typeof layout !== 'string') return layout;
+
+  if (!LAYOUTS[layout]) {
+    throw new Error(`Unknown layout "${layout}". Available: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+  return LAYOUTS[layout];
+};
+
+/**
+ * Get the ratio between a canvas and the size a layout's pixel font sizes were designed for.
+ * Layouts give either a `baseWidth` (portrait phones) or a `baseHeight` (landscape screens).
+ * @param {Object} layout - Layout description
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @returns {number} Font scale factor
+ */
+export const getLayoutFontScale = (layout, { width, height }) => {
+  if (layout.baseHeight) return height / layout.baseHeight;
+  return width / (layout.baseWidth || width);
+};
+
+const UNIT_PATTERN = /^(-?\d+(?:\.\d+)?)\s*(%w|%h|%min|px)?$/;
+
+/**
+ * Convert a layout length into pixels
+ * @param {string|number} value - Length such as "20%w", "3%h", "40%min" or a pixel number
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @returns {number} Length in pixels
+ */
+export const resolveUnit = (value, { width, height }) => {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null) return 0;
+
+  const match = UNIT_PATTERN.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid layout length "${value}"`);
+  }
+
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case '%w':
+      return (amount / 100) * width;
+    case '%h':
+      return (amount / 100) * height;
+    case '%min':
+      return (amount / 100) * Math.min(width, height);
+    default:
+      return amount;
+  }
+};
+
+/**
+ * Get the distance from the top of a box to its anchor point
+ * @param {string} anchor - "top", "center" or "bottom"
+ * @param {number} height - Box height
+ * @returns {number} Offset in pixels
+ */
+const getAnchorOffset = (anchor, height) => {
+  switch (anchor) {
+    case 'top':
+      return 0;
+    case 'bottom':
+      return height;
+    default:
+      return height / 2;
+  }
+};
+
+/**
+ * Get the position of an element from a user setting, e.g. the patchPositionY slider
+ * @param {Object} setting - Setting definition from the layout
+ * @param {Object} settings - Current user settings
+ * @param {number} height - Canvas height
+ * @returns {number|null} Y position in pixels, or null when the setting is not provided
+ */
+const getSettingPosition = (setting, settings, height) => {
+  const value = settings[setting.name];
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+  // The range is part of the layout description, so limiting to it is not a silent clamp
+  const [min, max] = setting.range || [0, 1];
+  const fraction = Math.max(min, Math.min(max, value));
+  return setting.fromBottom ? height * (1 - fraction) : height * fraction;
+};
+
+/**
+ * Build a box from a top edge, height and horizontal center
+ * @returns {Object} Box with left, top, right, bottom, width, height and center coordinates
+ */
+const makeBox = (centerX, top, width, height) => ({
+  x: centerX,
+  y: top + height / 2,
+  left: centerX - width / 2,
+  right: centerX + width / 2,
+  top,
+  bottom: top + height,
+  width,
+  height
+});
+
+/**
+ * Measure the vertical distance between two boxes, negative when they overlap
+ * @param {Object} a - First box
+ * @param {Object} b - Second box
+ * @returns {number} Gap in pixels
+ */
+const getVerticalGap = (a, b) => Math.max(a.top - b.bottom, b.top - a.bottom);
+
+/**
+ * Check whether two boxes share any horizontal span
+ * @param {Object} a - First box
+ * @param {Object} b - Second box
+ * @returns {boolean} True when the boxes overlap horizontally
+ */
+const overlapsHorizontally = (a, b) => a.left < b.right && b.left < a.right;
+
+/**
+ * Convert safe zones from canvas fractions into pixel boxes
+ * @param {Array} zones - Safe zones `{ id, label, x, y, width, height }`
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @returns {Array} Zones with left, right, top and bottom in pixels
+ */
+const resolveZones = (zones, { width, height }) => zones.map(zone => ({
+  id: zone.id,
+  label: zone.label,
+  left: zone.x * width,
+  right: (zone.x + zone.width) * width,
+  top: zone.y * height,
+  bottom: (zone.y + zone.height) * height
+}));
+
+/**
+ * Move a box vertically until it no longer overlaps any safe zone
+ * @param {number} top - Proposed top edge
+ * @param {number} centerX - Horizontal center of the box
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {Array} zones - Safe zones in pixels
+ * @param {number} margin - Space to keep between the box and a zone
+ * @param {number} canvasHeight - Canvas height, the box is never moved off the canvas
+ * @returns {number} Adjusted top edge
+ */
+const avoidZones = (top, centerX, width, height, zones, margin, canvasHeight) => {
+  // Each pass clears one zone; moving away from one zone can only run into another so many times
+  for (let pass = 0; pass <= zones.length; pass++) {
+    const box = makeBox(centerX, top, width, height);
+    const zone = zones.find(z => overlapsHorizontally(box, z) && getVerticalGap(box, z) < margin);
+    if (!zone) break;
+
+    // Move towards whichever side of the zone the element is already closer to, as long as it stays on the canvas
+    const above = zone.top - margin - height;
+    const below = zone.bottom + margin;
+    const fitsAbove = above >= 0;
+    const fitsBelow = below + height <= canvasHeight;
+    if (fitsAbove && fitsBelow) {
+      top = box.y < (zone.top + zone.bottom) / 2 ? above : below;
+    } else {
+      top = fitsAbove ? above : below;
+    }
+  }
+  return top;
+};
+
+/**
+ * Resolve a layout description into pixel boxes for one canvas size
+ *
+ * @param {Object} layout - Layout description
+ * @param {{width: number, height: number}} dimensions - Canvas dimensions
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.settings] - User settings referenced by element `setting` entries
+ * @param {Object} [options.measurements] - Per-element `{ width, height, anchorOffset }` measured by the renderer
+ * @param {Array<string>} [options.hidden] - Elements that are not drawn; they collapse to their anchor point
+ * @param {Object} [options.transforms] - Per-element `{ x, y, scale, rotation }` set by direct manipulation
+ * @param {Array} [options.safeZones] - Lock screen areas covered by the system UI, as canvas fractions
+ * @param {boolean} [options.avoidSafeZones] - Move elements marked `avoidSafeZones` out of the safe zones
+ * @returns {{elements: Object, collisions: Array}} Resolved boxes by element name and detected collisions
+ */
+export const resolveLayout = (layout, dimensions, {
+  settings = {},
+  measurements = {},
+  hidden = [],
+  transforms = {},
+  safeZones = [],
+  avoidSafeZones = false
+} = {}) => {
+  const definitions = layout.elements || {};
+  const elements = {};
+  const resolving = new Set();
+  const zones = resolveZones(safeZones, dimensions);
+  const zoneMargin = resolveUnit(layout.safeZoneMargin, dimensions);
+
+  // Minimum gaps declared in the layout, keyed by element pair
+  const minimumGaps = {};
+  (layout.gaps || []).forEach(({ between, min }) => {
+    minimumGaps[[...between].sort().join('|')] = resolveUnit(min, dimensions);
+  });
+  const getMinimumGap = (a, b) => minimumGaps[[a, b].sort().join('|')] ?? 0;
+
+  /**
+   * Keep an element clear of the visible elements in its `keepBelow` and `keepAbove` lists
+   * @param {string} name - Element name
+   * @param {Object} definition - Element definition
+   * @param {number} top - Proposed top edge
+   * @param {number} height - Element height
+   * @returns {{top: number, fit: number}} Adjusted top edge and the factor to scale the element by
+   */
+  const stackElement = (name, definition, top, height) => {
+    const getNeighbours = (names = []) => names
+      .map(other => ({ other, box: resolveElement(other) }))
+      .filter(({ box }) => !box.hidden && box.height > 0);
+    const floor = Math.max(-Infinity, ...getNeighbours(definition.keepBelow).map(({ other, box }) => box.bottom + getMinimumGap(name, other)));
+    const ceiling = Math.min(Infinity, ...getNeighbours(definition.keepAbove).map(({ other, box }) => box.top - getMinimumGap(name, other)));
+    const minHeight = definition.shrinkToFit ? height * (definition.minScale ?? 0.5) : height;
+
+    // Pushed down by an element above: shrinkable elements keep their bottom edge where it was
+    let fitHeight = height;
+    if (top < floor) {
+      fitHeight = Math.max(minHeight, Math.min(height, top + height - floor));
+      top = floor;
+    }
+    // Running into an element below: shrink, then move up as far as the floor allows
+    if (top + fitHeight > ceiling) {
+      fitHeight = Math.max(minHeight, Math.min(fitHeight, ceiling - top));
+      top = Math.min(top, Math.max(floor, ceiling - fitHeight));
+    }
+
+    return { top, fit: height > 0 ? fitHeight / height : 1 };
+  };
+
+  const resolveElement = (name) => {
+    if (elements[name]) return elements[name];
+
+    const definition = definitions[name];
+    if (!definition) {
+      throw new Error(`Layout "${layout.id}" has no element "${name}"`);
+    }
+    if (resolving.has(name)) {
+      throw new Error(`Layout "${layout.id}" has a circular reference at "${name}"`);
+    }
+    resolving.add(name);
+
+    const isHidden = hidden.includes(name);
+    const measured = measurements[name] || {};
+    const transform = transforms[name] || {};
+    let scale = transform.scale ?? 1;
+    const size = definition.size !== undefined ? resolveUnit(definition.size, dimensions) : null;
+    let width = isHidden ? 0 : scale * (measured.width ?? (definition.width !== undefined ? resolveUnit(definition.width, dimensions) : size ?? 0));
+    let height = isHidden ? 0 : scale * (measured.height ?? size ?? 0);
+    let anchorOffset = isHidden ? 0 : scale * (measured.anchorOffset ?? getAnchorOffset(definition.anchor, height / scale));
+    const centerX = typeof transform.x === 'number'
+      ? transform.x * dimensions.width
+      : resolveUnit(definition.x ?? '50%w', dimensions);
+
+    let top;
+    if (typeof transform.y === 'number') {
+      top = transform.y * dimensions.height - height / 2;
+    } else if (definition.below || definition.above) {
+      const reference = resolveElement(definition.below || definition.above);
+      const gap = resolveUnit(definition.gap, dimensions);
+      top = definition.below
+        ? reference.bottom + gap
+        : reference.top - gap - height;
+    } else {
+      const settingY = definition.setting ? getSettingPosition(definition.setting, settings, dimensions.height) : null;
+      const y = settingY ?? resolveUnit(definition.y, dimensions);
+      top = y - anchorOffset;
+    }
+
+    if (avoidSafeZones && definition.avoidSafeZones && !isHidden && typeof transform.y !== 'number') {
+      top = avoidZones(top, centerX, width, height, zones, zoneMargin, dimensions.height);
+    }
+
+    if ((definition.keepBelow || definition.keepAbove) && !isHidden && typeof transform.y !== 'number') {
+      const fitted = stackElement(name, definition, top, height);
+      top = fitted.top;
+      if (fitted.fit < 1) {
+        scale *= fitted.fit;
+        width *= fitted.fit;
+        height *= fitted.fit;
+        anchorOffset *= fitted.fit;
+      }
+    }
+
+    const box = {
+      ...makeBox(centerX, top, width, height),
+      anchorY: top + anchorOffset,
+      scale,
+      rotation: transform.rotation ?? 0,
+      hidden: isHidden
+    };
+    elements[name] = box;
+    resolving.delete(name);
+    return box;
+  };
+
+  Object.keys(definitions).forEach(resolveElement);
+
+  const collisions = [];
+  const names = Object.keys(elements).filter(name => !elements[name].hidden && elements[name].height > 0);
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const a = elements[names[i]];
+      const b = elements[names[j]];
+      if (!overlapsHorizontally(a, b)) continue;
+
+      const minGap = getMinimumGap(names[i], names[j]);
+      const gap = getVerticalGap(a, b);
+      // Sub-pixel shortfalls, e.g. from stacking an element exactly at the minimum gap, don't count
+      if (gap < minGap - 0.5) {
+        collisions.push({ elements: [names[i], names[j]], gap: Math.round(gap), minGap: Math.round(minGap) });
+      }
+    }
+  }
+
+  // Elements under the lock screen clock, widgets or buttons
+  names.forEach(name => {
+    const box = elements[name];
+    zones.forEach(zone => {
+      const gap = getVerticalGap(box, zone);
+      if (overlapsHorizontally(box, zone) && gap < 0) {
+        collisions.push({ elements: [name, zone.id], zone: zone.label, gap: Math.round(gap), minGap: 0 });
+      }
+    });
+  });
+
+  // Elements pushed off the canvas are collisions with its edges
+  names.forEach(name => {
+    const box = elements[name];
+    if (box.top < 0 || box.bottom > dimensions.height) {
+      collisions.push({
+        elements: [name, 'canvas'],
+        gap: Math.round(Math.min(box.top, dimensions.height - box.bottom)),
+        minGap: 0
+      });
+    }
+  });
+
+  return { elements, collisions };
+};
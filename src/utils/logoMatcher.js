@@ -0,0 +1,36 @@
+/**
+ * Find the logo manifest entry for a team
+ * 
+ * Matches by short code first (most reliable), then by name in either direction
+ * so "Seattle Sounders" matches "Seattle Sounders FC".
+ * 
+ * @param {Array} logos - The `logos` array from logo-manifest.json
+ * @param {string} teamName - The name of the team to look up
+ * @param {string} shortCode - The short code of the team (e.g., 'SJE', 'TOR')
+ * @returns {Object|null} - The matching manifest entry, or null if none matches
+ */
+export const findManifestLogo = (logos, teamName, shortCode) => {
+  if (!teamName && !shortCode) return null;
+  if (!Array.isArray(logos)) return null;
+
+  if (shortCode) {
+    const normalizedCode = shortCode.trim().toUpperCase();
+    const shortCodeMatch = logos.find(logo =>
+      logo.short_code && logo.short_code.trim().toUpperCase() === normalizedCode
+    );
+
+    if (shortCodeMatch) return shortCodeMatch;
+  }
+
+  if (teamName) {
+    const normalizedName = teamName.trim().toLowerCase();
+    const nameMatch = logos.find(logo => {
+      const logoName = logo.name.trim().toLowerCase();
+      return normalizedName.includes(logoName) || logoName.includes(normalizedName);
+    });
+
+    if (nameMatch) return nameMatch;
+  }
+
+  return null;
+};
@@ -0,0 +1,1533 @@
+/**
+ * Framework-free wallpaper renderer
+ *
+ * Draws a complete wallpaper onto any 2D canvas context from a plain config
+ * object and a set of pre-loaded assets. It has no dependency on React, the
+ * DOM or Vite, so the browser preview, the Node `canvas` scripts and tests all
+ * share the same drawing code.
+ */
+
+import { getThemeGradient, addThemeEffects, createFallbackGradient, TIMBERS_GOLD } from './backgroundRenderers.js';
+import { drawDateAndTime } from './dateFormatters.js';
+import { parseScheduleDate, getPacificDateParts, SCHEDULE_TIME_ZONE } from './scheduleDates.js';
+import { clearTextEffects, resetCanvas } from './textEffects.js';
+import { debugLog, debugWarn } from './debug.js';
+import { getLayout, getLayoutFontScale, resolveLayout, resolveUnit } from './layoutEngine.js';
+import { getLayerKey } from './layers.js';
+import {
+  DEFAULT_PATCH_POSITION_Y,
+  DEFAULT_MATCH_POSITION_Y,
+  DEFAULT_TEXT,
+  DEFAULT_TEXT_COLOR,
+  DEFAULT_FONT_SIZE_MULTIPLIER,
+  DEFAULT_WALLPAPER_VARIANT,
+  DEFAULT_SCHEDULE_STYLE,
+  MAX_FIXTURE_COUNT,
+  RESULT_COLORS,
+  WALLPAPER_VARIANTS
+} from './constants.js';
+
+// Fonts that only contain capital letters and ship without a fallback stack
+const CAPS_ONLY_FONTS = ['Lethal Slime', 'Another Danger', 'Rose', 'Urban Jungle'];
+
+// Headline font sizes per custom font, indexed by the text length brackets below
+const HEADLINE_LENGTH_BRACKETS = [8, 12, 16, 20, 25, 30];
+const HEADLINE_FONT_SIZES = {
+  'Lethal Slime': [60, 50, 44, 38, 32, 28, 24],
+  'Another Danger': [75, 65, 58, 52, 46, 42, 38],
+  'Rose': [78, 72, 66, 60, 54, 50, 46],
+  'Urban Jungle': [82, 74, 68, 62, 56, 52, 48]
+};
+
+const FOOTER_TEXT = 'Rose City Till I Die! 🌹⚽';
+
+// Darkening over image backgrounds to keep text readable
+const BACKGROUND_OVERLAY_OPACITY = 0.3;
+
+// Layout element drawn for each schedule style, see SCHEDULE_STYLES
+const SCHEDULE_ELEMENTS = {
+  row: 'matchRow',
+  list: 'fixtureList',
+  compact: 'compactList',
+  calendar: 'calendar'
+};
+
+// Calendar weeks start on Sunday
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// Opacity of calendar days without a match
+const CALENDAR_DIMMED_OPACITY = 0.35;
+
+// Heading above the Cascadia Cup table
+const CASCADIA_TABLE_TITLE = 'CASCADIA CUP';
+
+// Marks after the score for results decided after 90 minutes
+const RESULT_MARKS = {
+  extraTime: 'AET',
+  penalties: 'PEN'
+};
+
+/**
+ * Default configuration used for any value missing from the config passed to renderWallpaper
+ */
+export const DEFAULT_WALLPAPER_CONFIG = {
+  width: 1179,
+  height: 2556,
+  theme: 'classic',
+  backgroundThemes: [],
+  showPatchImage: true,
+  text: DEFAULT_TEXT,
+  font: 'Arial',
+  fontSizeMultiplier: DEFAULT_FONT_SIZE_MULTIPLIER,
+  textColor: DEFAULT_TEXT_COLOR,
+  patchPositionY: DEFAULT_PATCH_POSITION_Y,
+  matchPositionY: DEFAULT_MATCH_POSITION_Y,
+  matches: [],
+  includeMatches: true,
+  includeDateTime: false,
+  transforms: {},
+  layers: [],
+  safeZones: [],
+  avoidSafeZones: false,
+  variant: DEFAULT_WALLPAPER_VARIANT,
+  depthEffect: true,
+  scheduleStyle: DEFAULT_SCHEDULE_STYLE,
+  calendar: null,
+  showSeasonRecord: false,
+  seasonRecord: null,
+  showCascadiaTable: false,
+  cascadiaStandings: null
+};
+
+/**
+ * Apply a sharpening filter to an ImageData object
+ * @param {ImageData} imageData - The image data to sharpen
+ * @param {number} strength - Sharpening strength, from 0 to 1
+ * @returns {Uint8ClampedArray} The sharpened pixel data
+ */
+const sharpenPixels = (imageData, strength = 0.5) => {
+  // Constrain strength to sensible values
+  strength = Math.min(Math.max(strength, 0), 1);
+
+  const width = imageData.width;
+  const height = imageData.height;
+  const data = imageData.data;
+  const buffer = new Uint8ClampedArray(data);
+
+  // Sharpening convolution kernel
+  // [ 0, -1,  0]
+  // [-1,  5, -1] × strength + identity × (1-strength)
+  // [ 0, -1,  0]
+
+  // Skip edge pixels to avoid boundary checks
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      // For each color channel (R,G,B)
+      for (let c = 0; c < 3; c++) {
+        const i = (y * width + x) * 4 + c;
+
+        const current = data[i];
+        const top = data[i - width * 4];
+        const bottom = data[i + width * 4];
+        const left = data[i - 4];
+        const right = data[i + 4];
+
+        // Central pixel gets boosted weight, neighbors get negative weights
+        const sharpened = 5 * current - top - bottom - left - right;
+
+        // Blend with original based on strength
+        buffer[i] = Math.round(current * (1 - strength) + sharpened * strength);
+      }
+      // Don't modify the alpha channel - keep original transparency
+    }
+  }
+
+  return buffer;
+};
+
+/**
+ * Get the headline font size and weight for a font and text length
+ * @param {string} font - Font family name
+ * @param {string} text - Headline text
+ * @param {number} multiplier - Font size multiplier (1.0 is default)
+ * @returns {{fontSize: number, fontWeight: string}} Font size in pixels and CSS font weight
+ */
+export const getHeadlineFont = (font, text, multiplier = 1.0) => {
+  const sizes = HEADLINE_FONT_SIZES[font];
+
+  if (sizes) {
+    const bracket = HEADLINE_LENGTH_BRACKETS.findIndex(maxLength => text.length <= maxLength);
+    const fontSize = sizes[bracket === -1 ? sizes.length - 1 : bracket];
+    return { fontSize: Math.round(fontSize * multiplier), fontWeight: 'normal' };
+  }
+
+  // Normal handling for system fonts
+  let fontSize = 68;
+  if (text.length > 30) {
+    fontSize = 62;
+  }
+  if (text.length > 40) {
+    fontSize = 58;
+  }
+
+  return {
+    fontSize: Math.round(fontSize * multiplier),
+    fontWeight: ['Verdana'].includes(font) ? 'bold' : 'normal'
+  };
+};
+
+/**
+ * Build a CSS font string for the selected font
+ * @param {string} font - Font family name
+ * @param {number} fontSize - Font size in pixels
+ * @param {string} fontWeight - CSS font weight
+ * @returns {string} CSS font shorthand
+ */
+const buildFont = (font, fontSize, fontWeight) => {
+  const fallbackFonts = CAPS_ONLY_FONTS.includes(font) ? '' : ', sans-serif';
+  return `${fontWeight} ${fontSize}px "${font}"${fallbackFonts}`;
+};
+
+/**
+ * Measure the rendered width of a line of text
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {string} text - Text to measure
+ * @param {string} fontString - CSS font shorthand to measure with
+ * @returns {number} Width in pixels, or 0 if the context cannot measure text
+ */
+const measureTextWidth = (ctx, text, fontString) => {
+  if (!text || typeof ctx.measureText !== 'function') return 0;
+
+  ctx.font = fontString;
+  return ctx.measureText(text).width;
+};
+
+/**
+ * Format a match date as M/D in Portland time for the match row
+ * @param {string} dateString - Kickoff from the schedule, see parseScheduleDate()
+ * @returns {string} Short date, or 'TBD'
+ */
+const formatShortDate = (dateString) => {
+  const matchDate = parseScheduleDate(dateString);
+  if (!matchDate) return 'TBD';
+
+  const { month, day } = getPacificDateParts(matchDate);
+  return `${month + 1}/${day}`;
+};
+
+/**
+ * Format a match kickoff as a compact Portland time such as "7:30p"
+ * @param {string} dateTimeString - Kickoff from the schedule, or null when the time isn't known
+ * @returns {string} Short time, or 'TBD'
+ */
+const formatShortTime = (dateTimeString) => {
+  const matchDateTime = parseScheduleDate(dateTimeString);
+  if (!matchDateTime) return 'TBD';
+
+  const pacificTime = matchDateTime.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: SCHEDULE_TIME_ZONE
+  });
+
+  // Format as "1:30p" style
+  return pacificTime
+    .replace(':00', '') // Remove :00 for whole hours
+    .replace(/\s?(AM|PM)$/i, (match) => match.trim().toLowerCase().charAt(0));
+};
+
+/**
+ * Format a finished match's score from the Timbers' side, e.g. "2–1" or "1–1 PEN"
+ * @param {Object} result - Match result from the schedule parser
+ * @returns {string} Score, with the extra-time or penalties mark
+ */
+const formatResultScore = (result) => {
+  const score = `${result.goalsFor}–${result.goalsAgainst}`;
+  return result.decidedBy ? `${score} ${RESULT_MARKS[result.decidedBy]}` : score;
+};
+
+/**
+ * Draw a round W, D or L badge in the outcome's color
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {string} outcome - 'W', 'D' or 'L'
+ * @param {number} centerX - Badge center X
+ * @param {number} centerY - Badge center Y
+ * @param {number} size - Badge diameter in pixels
+ */
+const drawResultBadge = (ctx, outcome, centerX, centerY, size) => {
+  ctx.save();
+  ctx.shadowColor = 'transparent';
+  ctx.fillStyle = RESULT_COLORS[outcome] || RESULT_COLORS.D;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size / 2, 0, 2 * Math.PI);
+  ctx.fill();
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = `bold ${Math.round(size * 0.6)}px "Avenir Next"`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(outcome, centerX, centerY);
+  ctx.restore();
+};
+
+/**
+ * Clear the context and reset all drawing state before a render
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+const prepareContext = (ctx, width, height) => {
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+
+  resetCanvas(ctx, width, height);
+
+  // Force buffer flush where the context supports it
+  ctx.flush && ctx.flush();
+
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+  ctx.beginPath();
+};
+
+/**
+ * Work out where to draw an image so it covers the whole canvas, centered
+ * @param {CanvasImageSource} image - Image with width and height
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number}} Draw rectangle
+ */
+const getCoverRect = (image, width, height) => {
+  const imgAspect = image.width / image.height;
+  const canvasAspect = width / height;
+
+  if (imgAspect > canvasAspect) {
+    // Image is wider than canvas aspect ratio
+    const drawWidth = height * imgAspect;
+    return { x: (width - drawWidth) / 2, y: 0, width: drawWidth, height };
+  }
+
+  // Image is taller than canvas aspect ratio
+  const drawHeight = width / imgAspect;
+  return { x: 0, y: (height - drawHeight) / 2, width, height: drawHeight };
+};
+
+/**
+ * Draw the theme background, either a cover-fitted image or the theme gradient
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} config - Resolved wallpaper config
+ * @param {CanvasImageSource|null} backgroundImage - Loaded image for image themes
+ * @param {number} [blur=0] - Blur radius in pixels, where the context supports filters
+ */
+const drawBackground = (ctx, config, backgroundImage, blur = 0) => {
+  const { width, height, theme, backgroundThemes } = config;
+
+  // Contexts without filter support (such as node-canvas) draw the background sharp
+  if (blur > 0) {
+    ctx.filter = `blur(${Math.round(blur)}px)`;
+  }
+
+  if (backgroundImage) {
+    try {
+      // Scale and center the image to cover the entire canvas
+      const rect = getCoverRect(backgroundImage, width, height);
+
+      // Draw the image using a more cautious approach for iOS
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.clip();
+      ctx.drawImage(backgroundImage, rect.x, rect.y, rect.width, rect.height);
+      ctx.restore();
+
+      // Add a subtle dark overlay to ensure text readability
+      ctx.fillStyle = `rgba(0, 0, 0, ${BACKGROUND_OVERLAY_OPACITY})`;
+      ctx.fillRect(0, 0, width, height);
+
+      debugLog('Successfully drew image background');
+    } catch (error) {
+      // In case of drawing error, fall back to a gradient
+      debugWarn('Error drawing image background:', error);
+      ctx.fillStyle = createFallbackGradient(ctx, width, height);
+      ctx.fillRect(0, 0, width, height);
+    }
+  } else {
+    ctx.fillStyle = theme
+      ? getThemeGradient(theme, ctx, width, height, backgroundThemes)
+      : createFallbackGradient(ctx, width, height);
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Add theme-specific effects
+  addThemeEffects(theme, ctx, width, height, backgroundThemes);
+
+  if (blur > 0) {
+    ctx.filter = 'none';
+  }
+};
+
+/**
+ * Draw just the subject of an image background, cut out with the theme's foreground mask.
+ *
+ * Drawn over the headline where it meets the clock for an iOS-style depth effect,
+ * and by the preview over its mock clock. The subject matches the background exactly: same cover fit and
+ * the same darkening overlay.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} config - Wallpaper config with width and height
+ * @param {Object} assets - Pre-loaded images with background, foregroundMask and createCanvas
+ * @returns {boolean} Whether a subject was drawn
+ */
+export const drawForegroundSubject = (ctx, config, assets = {}) => {
+  const { width, height } = { ...DEFAULT_WALLPAPER_CONFIG, ...config };
+  const { background, foregroundMask, createCanvas } = assets;
+  if (!background || !foregroundMask || !createCanvas) return false;
+
+  try {
+    const subjectCanvas = createCanvas(width, height);
+    const subjectCtx = subjectCanvas.getContext('2d');
+    const rect = getCoverRect(background, width, height);
+
+    subjectCtx.drawImage(background, rect.x, rect.y, rect.width, rect.height);
+    subjectCtx.fillStyle = `rgba(0, 0, 0, ${BACKGROUND_OVERLAY_OPACITY})`;
+    subjectCtx.fillRect(0, 0, width, height);
+
+    // Keep only the pixels the mask covers
+    subjectCtx.globalCompositeOperation = 'destination-in';
+    subjectCtx.drawImage(foregroundMask, rect.x, rect.y, rect.width, rect.height);
+
+    ctx.drawImage(subjectCanvas, 0, 0, width, height);
+    return true;
+  } catch (error) {
+    debugWarn('Failed to draw foreground subject:', error);
+    return false;
+  }
+};
+
+/**
+ * Find where the depth effect draws the subject in front of the headline: only where
+ * the headline runs into the lock screen clock, as the subject would otherwise cover
+ * the patch and the rest of the headline
+ * @param {Object} [headlineBox] - Resolved headline layout box
+ * @param {Array} safeZones - Lock screen areas in canvas fractions, see DEVICE_MODELS
+ * @param {{width: number, height: number}} dimensions - Canvas size
+ * @returns {{left: number, top: number, width: number, height: number}|null} Region in
+ *   pixels, or null when the headline stays clear of the clock
+ */
+const getDepthEffectRegion = (headlineBox, safeZones, { width, height }) => {
+  const clockZone = safeZones.find(zone => zone.id === 'clock');
+  if (!headlineBox || !clockZone) return null;
+
+  // Bounds of the headline box once rotated
+  const angle = ((headlineBox.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const halfWidth = (cos * headlineBox.width + sin * headlineBox.height) / 2;
+  const halfHeight = (sin * headlineBox.width + cos * headlineBox.height) / 2;
+
+  const left = Math.max(headlineBox.x - halfWidth, clockZone.x * width);
+  const right = Math.min(headlineBox.x + halfWidth, (clockZone.x + clockZone.width) * width);
+  const top = Math.max(headlineBox.y - halfHeight, clockZone.y * height);
+  const bottom = Math.min(headlineBox.y + halfHeight, (clockZone.y + clockZone.height) * height);
+  return right > left && bottom > top ? { left, top, width: right - left, height: bottom - top } : null;
+};
+
+/**
+ * Cover the canvas with a translucent black overlay
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} opacity - Overlay opacity, from 0 to 1
+ */
+const dimCanvas = (ctx, width, height, opacity) => {
+  if (!opacity) return;
+
+  ctx.save();
+  ctx.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+};
+
+/**
+ * Draw the patch image clipped into a gold-bordered circle
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {CanvasImageSource} patchImage - Loaded patch image
+ * @param {number} centerX - Circle center X
+ * @param {number} centerY - Circle center Y
+ * @param {number} radius - Circle radius
+ */
+const drawPatch = (ctx, patchImage, centerX, centerY, radius) => {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+  ctx.clip();
+
+  // Fit image in circle while maintaining aspect ratio
+  const imgAspect = patchImage.width / patchImage.height;
+  const circleSize = radius * 2;
+
+  let imgWidth, imgHeight;
+  if (imgAspect > 1) {
+    // Image is wider than tall
+    imgWidth = circleSize;
+    imgHeight = circleSize / imgAspect;
+  } else {
+    // Image is taller than wide
+    imgHeight = circleSize;
+    imgWidth = circleSize * imgAspect;
+  }
+
+  ctx.drawImage(patchImage, centerX - imgWidth / 2, centerY - imgHeight / 2, imgWidth, imgHeight);
+  ctx.restore();
+
+  // Add a subtle border around the circular image
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+  ctx.strokeStyle = TIMBERS_GOLD;
+  ctx.lineWidth = 4;
+  ctx.stroke();
+};
+
+/**
+ * Draw a text-based placeholder logo when an opponent logo is unavailable
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {string} text - Text to show inside the placeholder
+ * @param {number} centerX - Logo center X
+ * @param {number} centerY - Logo center Y
+ * @param {number} size - Logo size in pixels
+ */
+const drawFallbackLogo = (ctx, text, centerX, centerY, size) => {
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size / 2, 0, 2 * Math.PI);
+  ctx.fill();
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = `bold ${Math.round(size * 0.24)}px Arial`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text || 'TBD', centerX, centerY);
+  ctx.restore();
+};
+
+/**
+ * Draw an opponent logo, sharpened through an offscreen canvas when one can be created
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {CanvasImageSource} logo - Loaded logo image
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} size - Logo size in pixels
+ * @param {Function} [createCanvas] - Factory returning an offscreen canvas of the given size
+ */
+const drawSharpenedLogo = (ctx, logo, x, y, size, createCanvas) => {
+  if (!createCanvas) {
+    ctx.drawImage(logo, x, y, size, size);
+    return;
+  }
+
+  try {
+    const offscreenCanvas = createCanvas(size, size);
+    const offCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
+    offCtx.drawImage(logo, 0, 0, size, size);
+
+    const imageData = offCtx.getImageData(0, 0, size, size);
+    const sharpened = offCtx.createImageData(size, size);
+    sharpened.data.set(sharpenPixels(imageData, 0.5));
+    offCtx.putImageData(sharpened, 0, 0);
+
+    ctx.drawImage(offscreenCanvas, x, y, size, size);
+  } catch (err) {
+    // Fallback to normal drawing if sharpening fails
+    debugWarn('Error applying sharpening:', err);
+    ctx.drawImage(logo, x, y, size, size);
+  }
+};
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ * @param {CanvasRenderingContext2D} ctx - The canvas context, with the font already set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} The text, shortened if needed
+ */
+const fitText = (ctx, text, maxWidth) => {
+  if (typeof ctx.measureText !== 'function' || ctx.measureText(text).width <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+};
+
+/**
+ * Draw matches as a vertical list: opponent logo on the left, then
+ * "vs"/"@" and the opponent name (or its short code) above the date and kickoff time,
+ * and optionally the competition and home venue. Finished matches show the score
+ * instead of the kickoff time, and a result badge at the end of the row.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} box - Local list box
+ * @param {Array} matches - Matches to list, one per row
+ * @param {Array<CanvasImageSource|null>} logos - Opponent logos, in the same order as matches
+ * @param {Object} options - Row metrics in pixels, plus textColor, shortNames, showCompetition and createCanvas
+ */
+const drawFixtureList = (ctx, box, matches, logos, options) => {
+  const { rowHeight, logoSize, logoGap, titleFontSize, detailFontSize, textColor, shortNames, showCompetition, createCanvas } = options;
+  const textLeft = box.left + logoSize + logoGap;
+  const badgeSize = Math.round(titleFontSize * 1.4);
+
+  matches.forEach((match, i) => {
+    const rowCenterY = box.top + rowHeight * i + rowHeight / 2;
+    const logo = logos[i];
+    const textWidth = box.right - textLeft - (match.result ? badgeSize + logoGap : 0);
+
+    if (logo) {
+      drawSharpenedLogo(ctx, logo, box.left, rowCenterY - logoSize / 2, logoSize, createCanvas);
+    } else {
+      drawFallbackLogo(ctx, match.opponentShort, box.left + logoSize / 2, rowCenterY, logoSize);
+    }
+
+    const lines = [
+      { text: `${match.isHome ? 'vs' : '@'} ${shortNames ? match.opponentShort : match.opponent}`, font: `bold ${titleFontSize}px "Avenir Next"`, size: titleFontSize },
+      {
+        text: `${formatShortDate(match.date)} · ${match.result ? formatResultScore(match.result) : formatShortTime(match.time)}`,
+        font: `${detailFontSize}px "Avenir Next"`,
+        size: detailFontSize
+      }
+    ];
+    if (showCompetition) {
+      const competition = [match.competition, match.isHome ? match.venue : null].filter(Boolean).join(' · ');
+      lines.push({ text: competition, font: `${detailFontSize}px "Avenir Next"`, size: detailFontSize, opacity: 0.8 });
+    }
+
+    clearTextEffects(ctx, { keepTransform: true });
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    // Stack the lines, centered on the logo
+    const lineHeights = lines.map(line => line.size * 1.3);
+    let lineTop = rowCenterY - lineHeights.reduce((total, lineHeight) => total + lineHeight, 0) / 2;
+    lines.forEach((line, lineIndex) => {
+      ctx.font = line.font;
+      ctx.globalAlpha = line.opacity ?? 1;
+      ctx.fillText(fitText(ctx, line.text, textWidth), textLeft, lineTop + lineHeights[lineIndex] / 2);
+      lineTop += lineHeights[lineIndex];
+    });
+
+    if (match.result) {
+      drawResultBadge(ctx, match.result.outcome, box.right - badgeSize / 2, rowCenterY, badgeSize);
+    }
+  });
+
+  clearTextEffects(ctx, { keepTransform: true });
+};
+
+/**
+ * Draw matches as a compact list, one line per match: a small logo and
+ * "vs"/"@" with the opponent's short code on the left, the date and kickoff time on the right.
+ * Finished matches show the score and a result badge on the right instead.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} box - Local list box
+ * @param {Array} matches - Matches to list, one per row
+ * @param {Array<CanvasImageSource|null>} logos - Opponent logos, in the same order as matches
+ * @param {Object} options - Row metrics in pixels, plus textColor and createCanvas
+ */
+const drawCompactList = (ctx, box, matches, logos, options) => {
+  const { rowHeight, logoSize, logoGap, fontSize, textColor, createCanvas } = options;
+
+  matches.forEach((match, i) => {
+    const rowCenterY = box.top + rowHeight * i + rowHeight / 2;
+    const logo = logos[i];
+
+    if (logo) {
+      drawSharpenedLogo(ctx, logo, box.left, rowCenterY - logoSize / 2, logoSize, createCanvas);
+    } else {
+      drawFallbackLogo(ctx, match.opponentShort, box.left + logoSize / 2, rowCenterY, logoSize);
+    }
+
+    clearTextEffects(ctx, { keepTransform: true });
+    ctx.fillStyle = textColor;
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    const badgeSize = match.result ? Math.round(fontSize * 1.2) : 0;
+    const whenRight = match.result ? box.right - badgeSize - logoGap / 2 : box.right;
+    ctx.font = `${fontSize}px "Avenir Next"`;
+    ctx.textAlign = 'right';
+    const when = match.result
+      ? formatResultScore(match.result)
+      : `${formatShortDate(match.date)} · ${formatShortTime(match.time)}`;
+    ctx.fillText(when, whenRight, rowCenterY);
+    if (match.result) {
+      drawResultBadge(ctx, match.result.outcome, box.right - badgeSize / 2, rowCenterY, badgeSize);
+    }
+
+    const whenWidth = (typeof ctx.measureText === 'function' ? ctx.measureText(when).width : 0) + box.right - whenRight;
+    const opponentLeft = box.left + logoSize + logoGap;
+    ctx.font = `bold ${fontSize}px "Avenir Next"`;
+    ctx.textAlign = 'left';
+    const opponent = `${match.isHome ? 'vs' : '@'} ${match.opponentShort}`;
+    ctx.fillText(fitText(ctx, opponent, box.right - whenWidth - logoGap - opponentLeft), opponentLeft, rowCenterY);
+  });
+
+  clearTextEffects(ctx, { keepTransform: true });
+};
+
+/**
+ * Format a season record as e.g. "8W 4D 5L · GF 25 GA 20"
+ * @param {Object} record - Season record from computeSeasonRecord()
+ * @returns {string} Record text
+ */
+const formatSeasonRecord = (record) =>
+  `${record.wins}W ${record.draws}D ${record.losses}L · GF ${record.goalsFor} GA ${record.goalsAgainst}`;
+
+/**
+ * Measure the season record strip: the record text, then one form dot per recent result
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} record - Season record from computeSeasonRecord()
+ * @param {Object} options - fontSize, dotSize and dotGap in pixels
+ * @returns {{width: number, height: number}} Strip size in pixels
+ */
+const measureSeasonRecord = (ctx, record, { fontSize, dotSize, dotGap }) => {
+  const textWidth = measureTextWidth(ctx, formatSeasonRecord(record), `bold ${fontSize}px "Avenir Next"`);
+  const dotsWidth = record.form.length > 0 ? dotGap * 2 + record.form.length * dotSize + (record.form.length - 1) * dotGap : 0;
+  return { width: textWidth + dotsWidth, height: Math.max(fontSize, dotSize) };
+};
+
+/**
+ * Draw the season record strip, with the form guide as colored dots, oldest first
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} box - Local strip box
+ * @param {Object} record - Season record from computeSeasonRecord()
+ * @param {Object} options - fontSize, dotSize and dotGap in pixels, plus textColor
+ */
+const drawSeasonRecord = (ctx, box, record, { fontSize, dotSize, dotGap, textColor }) => {
+  const centerY = box.top + box.height / 2;
+  const text = formatSeasonRecord(record);
+
+  clearTextEffects(ctx, { keepTransform: true });
+  ctx.fillStyle = textColor;
+  ctx.font = `bold ${fontSize}px "Avenir Next"`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+  ctx.shadowBlur = 4;
+  ctx.shadowOffsetX = 2;
+  ctx.shadowOffsetY = 2;
+  ctx.fillText(text, box.left, centerY);
+
+  let dotX = box.left + measureTextWidth(ctx, text, ctx.font) + dotGap * 2 + dotSize / 2;
+  clearTextEffects(ctx, { keepTransform: true });
+  record.form.forEach(outcome => {
+    ctx.fillStyle = RESULT_COLORS[outcome] || RESULT_COLORS.D;
+    ctx.beginPath();
+    ctx.arc(dotX, centerY, dotSize / 2, 0, 2 * Math.PI);
+    ctx.fill();
+    dotX += dotSize + dotGap;
+  });
+};
+
+/**
+ * Format a goal difference with its sign, e.g. "+3", "0" or "-2"
+ * @param {number} goalDifference - Goals for minus goals against
+ * @returns {string} Signed goal difference
+ */
+const formatGoalDifference = (goalDifference) => (goalDifference > 0 ? `+${goalDifference}` : String(goalDifference));
+
+/**
+ * Measure each column of the Cascadia Cup table: a logo, then the points above the goal difference
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Array} standings - Rows from computeCascadiaCupStandings()
+ * @param {Object} options - Table metrics in pixels
+ * @returns {{width: number, height: number, columnWidths: Array<number>}} Table size and column widths
+ */
+const measureCascadiaTable = (ctx, standings, { titleFontSize, titleGap, logoSize, logoGap, fontSize, detailFontSize, columnGap }) => {
+  const columnWidths = standings.map(row => logoSize + logoGap + Math.max(
+    measureTextWidth(ctx, `${row.points} PTS`, `bold ${fontSize}px "Avenir Next"`),
+    measureTextWidth(ctx, `GD ${formatGoalDifference(row.goalDifference)}`, `${detailFontSize}px "Avenir Next"`)
+  ));
+  const columnsWidth = columnWidths.reduce((total, width) => total + width, 0) + columnGap * (standings.length - 1);
+  const titleWidth = measureTextWidth(ctx, CASCADIA_TABLE_TITLE, `bold ${titleFontSize}px "Avenir Next"`);
+
+  return {
+    width: Math.max(columnsWidth, titleWidth),
+    height: titleFontSize + titleGap + logoSize,
+    columnWidths
+  };
+};
+
+/**
+ * Draw the Cascadia Cup table as a titled row of clubs in table order, each with its
+ * logo, points and goal difference
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} box - Local table box
+ * @param {Array} standings - Rows from computeCascadiaCupStandings()
+ * @param {Array<CanvasImageSource|null>} logos - Club logos, in the same order as standings
+ * @param {Object} options - Table metrics in pixels and column widths, plus textColor and createCanvas
+ */
+const drawCascadiaTable = (ctx, box, standings, logos, options) => {
+  const { titleFontSize, titleGap, logoSize, logoGap, fontSize, detailFontSize, columnGap, columnWidths, textColor, createCanvas } = options;
+  const applyTextStyle = () => {
+    clearTextEffects(ctx, { keepTransform: true });
+    ctx.fillStyle = textColor;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+  };
+
+  applyTextStyle();
+  ctx.font = `bold ${titleFontSize}px "Avenir Next"`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText(CASCADIA_TABLE_TITLE, 0, box.top);
+
+  const rowTop = box.top + titleFontSize + titleGap;
+  const rowCenterY = rowTop + logoSize / 2;
+  const columnsWidth = columnWidths.reduce((total, width) => total + width, 0) + columnGap * (standings.length - 1);
+  let columnLeft = -columnsWidth / 2;
+
+  standings.forEach((row, i) => {
+    const logo = logos[i];
+    if (logo) {
+      drawSharpenedLogo(ctx, logo, columnLeft, rowTop, logoSize, createCanvas);
+    } else {
+      drawFallbackLogo(ctx, row.shortCode, columnLeft + logoSize / 2, rowCenterY, logoSize);
+    }
+
+    const textLeft = columnLeft + logoSize + logoGap;
+    applyTextStyle();
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${fontSize}px "Avenir Next"`;
+    ctx.fillText(`${row.points} PTS`, textLeft, rowCenterY - detailFontSize * 0.6);
+    ctx.font = `${detailFontSize}px "Avenir Next"`;
+    ctx.globalAlpha = 0.8;
+    ctx.fillText(`GD ${formatGoalDifference(row.goalDifference)}`, textLeft, rowCenterY + fontSize * 0.6);
+
+    columnLeft += columnWidths[i] + columnGap;
+  });
+
+  clearTextEffects(ctx, { keepTransform: true });
+};
+
+/**
+ * Size the match row for the number of matches. Logos grow to fill the row, up to the
+ * layout's maxLogoSize for one or two matches, and shrink to fit eight; the date and
+ * time text follow the logo size, but no smaller than minTextScale.
+ * @param {Object} definition - matchRow layout definition
+ * @param {{width: number, height: number}} dimensions - Canvas size
+ * @param {number} count - Number of matches in the row
+ * @returns {Object} Logo size, text offsets and font sizes in pixels
+ */
+const getMatchRowMetrics = (definition, dimensions, count) => {
+  const baseLogoSize = resolveUnit(definition.logoSize, dimensions);
+  const maxLogoSize = definition.maxLogoSize ? resolveUnit(definition.maxLogoSize, dimensions) : baseLogoSize;
+  const itemWidth = resolveUnit(definition.width, dimensions) / Math.max(count, 1);
+  const logoSize = Math.floor(Math.min(maxLogoSize, itemWidth - resolveUnit(definition.itemGap, dimensions)));
+  const textScale = Math.min(Math.max(logoSize / baseLogoSize, definition.minTextScale ?? 1), maxLogoSize / baseLogoSize);
+
+  return {
+    logoSize,
+    dateOffset: resolveUnit(definition.dateOffset, dimensions) * textScale,
+    timeOffset: resolveUnit(definition.timeOffset, dimensions) * textScale,
+    dateFontSize: Math.floor(resolveUnit(definition.dateFontSize, dimensions) * textScale),
+    timeFontSize: Math.floor(resolveUnit(definition.timeFontSize, dimensions) * textScale)
+  };
+};
+
+/**
+ * Pick the layout element that shows the schedule. Layouts without the element for
+ * the chosen style, such as the watch layout, use their first match row or list.
+ * @param {Object} definitions - Layout element definitions
+ * @param {string} scheduleStyle - Style from SCHEDULE_STYLES
+ * @param {boolean} hasCalendar - Whether a month was passed for the calendar
+ * @returns {string|null} Element name, or null when the layout has no schedule
+ */
+const getScheduleElement = (definitions, scheduleStyle, hasCalendar) => {
+  const preferred = SCHEDULE_ELEMENTS[scheduleStyle];
+  if (definitions[preferred] && (preferred !== 'calendar' || hasCalendar)) return preferred;
+
+  return ['matchRow', 'fixtureList', 'compactList'].find(name => definitions[name]) || null;
+};
+
+/**
+ * Work out how a month fills a calendar grid with weeks starting on Sunday
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @returns {{firstWeekday: number, daysInMonth: number, weeks: number}} Weekday of the 1st, number of days and grid rows
+ */
+const getCalendarGrid = (year, month) => {
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return { firstWeekday, daysInMonth, weeks: Math.ceil((firstWeekday + daysInMonth) / 7) };
+};
+
+/**
+ * Draw a month as a 7-column calendar. Match days show the opponent logo with an
+ * H or A marker for home and away; days without a match are dimmed.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} box - Local calendar box
+ * @param {{year: number, month: number, matches: Array}} calendar - Month and its matches, each with a `day`
+ * @param {Array<CanvasImageSource|null>} logos - Opponent logos, in the same order as calendar.matches
+ * @param {Object} options - Grid metrics in pixels, plus textColor and createCanvas
+ */
+const drawMonthCalendar = (ctx, box, calendar, logos, options) => {
+  const { headerHeight, weekdayHeight, cellHeight, logoSize, titleFontSize, weekdayFontSize, dayFontSize, textColor, createCanvas } = options;
+  const { firstWeekday, daysInMonth } = getCalendarGrid(calendar.year, calendar.month);
+  const cellWidth = box.width / 7;
+  const gridTop = box.top + headerHeight + weekdayHeight;
+  const padding = dayFontSize * 0.4;
+
+  // Month title and weekday initials
+  clearTextEffects(ctx, { keepTransform: true });
+  ctx.fillStyle = textColor;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+  ctx.shadowBlur = 4;
+  ctx.shadowOffsetX = 2;
+  ctx.shadowOffsetY = 2;
+
+  const monthName = new Date(Date.UTC(calendar.year, calendar.month, 1))
+    .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  ctx.font = `bold ${titleFontSize}px "Avenir Next"`;
+  ctx.fillText(monthName.toUpperCase(), box.x, box.top + headerHeight / 2);
+
+  ctx.font = `bold ${weekdayFontSize}px "Avenir Next"`;
+  WEEKDAY_LABELS.forEach((label, column) => {
+    ctx.fillText(label, box.left + cellWidth * (column + 0.5), box.top + headerHeight + weekdayHeight / 2);
+  });
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const index = firstWeekday + day - 1;
+    const cellLeft = box.left + (index % 7) * cellWidth;
+    const cellTop = gridTop + Math.floor(index / 7) * cellHeight;
+    const matchIndex = calendar.matches.findIndex(match => match.day === day);
+    const match = calendar.matches[matchIndex];
+
+    clearTextEffects(ctx, { keepTransform: true });
+
+    if (match) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+      ctx.fillRect(cellLeft + 2, cellTop + 2, cellWidth - 4, cellHeight - 4);
+
+      const logoCenterX = cellLeft + cellWidth / 2;
+      const logoCenterY = cellTop + cellHeight - padding - logoSize / 2;
+      const logo = logos[matchIndex];
+      if (logo) {
+        drawSharpenedLogo(ctx, logo, logoCenterX - logoSize / 2, logoCenterY - logoSize / 2, logoSize, createCanvas);
+      } else {
+        drawFallbackLogo(ctx, match.opponentShort, logoCenterX, logoCenterY, logoSize);
+      }
+
+      // Home or away marker in the top right corner
+      clearTextEffects(ctx, { keepTransform: true });
+      ctx.fillStyle = TIMBERS_GOLD;
+      ctx.font = `bold ${dayFontSize}px "Avenir Next"`;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(match.isHome ? 'H' : 'A', cellLeft + cellWidth - padding, cellTop + padding);
+    } else {
+      ctx.globalAlpha = CALENDAR_DIMMED_OPACITY;
+    }
+
+    ctx.fillStyle = textColor;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = 3;
+    ctx.font = `${match ? 'bold ' : ''}${dayFontSize}px "Avenir Next"`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(String(day), cellLeft + padding, cellTop + padding);
+  }
+
+  clearTextEffects(ctx, { keepTransform: true });
+};
+
+/**
+ * Draw an element in its own coordinate frame, centered on its layout box.
+ *
+ * The callback receives the box relative to the element center and at its
+ * unscaled size; the element's scale and rotation are applied to the context.
+ * Elements the layout doesn't include have no box and are skipped.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} [box] - Resolved layout box
+ * @param {Function} draw - Callback `(localBox) => void`
+ */
+const drawInElementFrame = (ctx, box, draw) => {
+  if (!box) return;
+
+  const scale = box.scale || 1;
+  const width = box.width / scale;
+  const height = box.height / scale;
+
+  ctx.save();
+  ctx.translate(box.x, box.y);
+  if (box.rotation) {
+    ctx.rotate((box.rotation * Math.PI) / 180);
+  }
+  if (scale !== 1) {
+    ctx.scale(scale, scale);
+  }
+
+  draw({
+    x: 0,
+    y: 0,
+    left: -width / 2,
+    right: width / 2,
+    top: -height / 2,
+    bottom: height / 2,
+    width,
+    height,
+    anchorY: (box.anchorY - box.y) / scale
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Work out the unscaled size of a layer before its transform is applied
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} layer - Layer settings
+ * @param {CanvasImageSource|null} image - Loaded image for image layers
+ * @param {number} width - Canvas width
+ * @param {number} fontScale - Ratio of the canvas width to the layout base width
+ * @returns {{width: number, height: number}|null} Layer size, or null when there is nothing to draw
+ */
+const measureLayer = (ctx, layer, image, width, fontScale) => {
+  switch (layer.type) {
+    case 'text': {
+      if (!layer.text) return null;
+      const fontSize = Math.round(layer.fontSize * fontScale);
+      return {
+        width: measureTextWidth(ctx, layer.text, buildFont(layer.font, fontSize, 'normal')),
+        height: fontSize
+      };
+    }
+    case 'image': {
+      if (!image || !image.width || !image.height) return null;
+      const imageWidth = layer.size * width;
+      return { width: imageWidth, height: imageWidth * (image.height / image.width) };
+    }
+    case 'shape': {
+      const shapeWidth = layer.width * width;
+      return { width: shapeWidth, height: layer.shape === 'circle' ? shapeWidth : layer.height * width };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Draw one extra layer inside its element frame
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} layer - Layer settings
+ * @param {Object} box - Local, unscaled layer box
+ * @param {CanvasImageSource|null} image - Loaded image for image layers
+ * @param {number} fontScale - Ratio of the canvas width to the layout base width
+ */
+const drawLayer = (ctx, layer, box, image, fontScale) => {
+  clearTextEffects(ctx, { keepTransform: true });
+  ctx.globalAlpha = Math.min(Math.max(layer.opacity ?? 1, 0), 1);
+
+  switch (layer.type) {
+    case 'text':
+      ctx.font = buildFont(layer.font, Math.round(layer.fontSize * fontScale), 'normal');
+      ctx.fillStyle = layer.color;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+      ctx.shadowBlur = 4;
+      ctx.shadowOffsetX = 2;
+      ctx.shadowOffsetY = 2;
+      ctx.fillText(CAPS_ONLY_FONTS.includes(layer.font) ? layer.text.toUpperCase() : layer.text, box.x, box.y);
+      break;
+    case 'image':
+      ctx.drawImage(image, box.left, box.top, box.width, box.height);
+      break;
+    case 'shape':
+      ctx.fillStyle = layer.color;
+      ctx.beginPath();
+      if (layer.shape === 'circle') {
+        ctx.arc(box.x, box.y, box.width / 2, 0, 2 * Math.PI);
+      } else {
+        ctx.rect(box.left, box.top, box.width, box.height);
+      }
+      ctx.fill();
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Draw the extra layers in order and work out their layout boxes
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Array} layers - Layers, bottom layer first
+ * @param {Object} layerImages - Loaded images for image layers, keyed by layer id
+ * @param {{width: number, height: number}} dimensions - Canvas size
+ * @param {number} fontScale - Ratio of the canvas width to the layout base width
+ * @returns {Object} Layout boxes keyed by layer key
+ */
+const drawLayers = (ctx, layers, layerImages, { width, height }, fontScale) => {
+  const boxes = {};
+
+  layers.forEach(layer => {
+    const image = layerImages[layer.id] || null;
+    const size = layer.visible === false ? null : measureLayer(ctx, layer, image, width, fontScale);
+    const { x = 0.5, y = 0.5, scale = 1, rotation = 0 } = layer.transform || {};
+    const boxWidth = size ? size.width * scale : 0;
+    const boxHeight = size ? size.height * scale : 0;
+    const centerX = x * width;
+    const centerY = y * height;
+
+    const box = {
+      x: centerX,
+      y: centerY,
+      left: centerX - boxWidth / 2,
+      right: centerX + boxWidth / 2,
+      top: centerY - boxHeight / 2,
+      bottom: centerY + boxHeight / 2,
+      width: boxWidth,
+      height: boxHeight,
+      anchorY: centerY,
+      scale,
+      rotation,
+      hidden: !size
+    };
+    boxes[getLayerKey(layer)] = box;
+
+    if (size) {
+      drawInElementFrame(ctx, box, (localBox) => drawLayer(ctx, layer, localBox, image, fontScale));
+    }
+  });
+
+  clearTextEffects(ctx);
+  return boxes;
+};
+
+/**
+ * Render a complete wallpaper onto a 2D context.
+ *
+ * The context is expected to belong to a canvas already sized to
+ * `config.width` x `config.height`. All images must be loaded up front, which
+ * keeps this function synchronous and free of any environment-specific
+ * loading code. Element positions come from the layout description; overlaps
+ * are reported in the returned collisions rather than corrected.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target 2D context
+ * @param {Object} config - Wallpaper settings, see DEFAULT_WALLPAPER_CONFIG
+ * @param {number} config.width - Canvas width in pixels
+ * @param {number} config.height - Canvas height in pixels
+ * @param {string} config.theme - Background theme ID
+ * @param {Array} config.backgroundThemes - Theme definitions from the background manifest
+ * @param {boolean} config.showPatchImage - Whether to draw the patch circle
+ * @param {string} config.text - Headline text
+ * @param {string} config.font - Font family for the headline and footer
+ * @param {number} config.fontSizeMultiplier - Multiplier for font size (1.0 is default)
+ * @param {string} config.textColor - Color for all text elements
+ * @param {number} config.patchPositionY - Vertical position of the patch (0.2 to 0.8 of height)
+ * @param {number} config.matchPositionY - Match row margin from the bottom (0.1 to 0.4 of height)
+ * @param {Array} config.matches - Matches as returned by getScheduleMatches(), up to MAX_FIXTURE_COUNT; finished ones with a `result` show the score and a W/D/L badge
+ * @param {boolean} config.includeMatches - Whether to draw the match row
+ * @param {boolean} config.includeDateTime - Whether to draw the current date and time
+ * @param {Object|string} [config.layout] - Layout description or built-in layout id such as "watch"; defaults to the portrait layout, or the landscape layout for wide canvases
+ * @param {Object} [config.transforms] - Per-element `{ x, y, scale, rotation }` from direct manipulation
+ * @param {Array} [config.layers] - Extra text, image and shape layers drawn on top, bottom layer first
+ * @param {Array} [config.safeZones] - Lock screen areas covered by the system UI, e.g. DEVICE_MODELS[n].safeZones
+ * @param {boolean} [config.avoidSafeZones] - Keep the patch, headline and match row out of the safe zones
+ * @param {string} [config.variant] - "lock", "home" (blurred, patch only) or "alwaysOn" (darkened), see WALLPAPER_VARIANTS
+ * @param {boolean} [config.depthEffect] - Draw the background's subject over the headline where it meets the lock screen clock, when the theme has a foreground mask
+ * @param {string} [config.scheduleStyle] - "row", "list" or "compact" for the next matches, or "calendar" for a month calendar, where the layout has room for it; see SCHEDULE_STYLES
+ * @param {Object} [config.calendar] - Month for the calendar as returned by getMonthMatches()
+ * @param {boolean} [config.showSeasonRecord] - Draw the season record and form guide strip, where the layout has one
+ * @param {Object} [config.seasonRecord] - Record from computeSeasonRecord(), e.g. one of getSeasonRecords()
+ * @param {boolean} [config.showCascadiaTable] - Draw the Cascadia Cup table, where the layout has one
+ * @param {Array} [config.cascadiaStandings] - Table rows from computeCascadiaCupStandings()
+ * @param {Object} [assets] - Pre-loaded images
+ * @param {CanvasImageSource} [assets.background] - Background image for image themes
+ * @param {CanvasImageSource} [assets.foregroundMask] - Alpha mask of the background's subject, for the depth effect
+ * @param {CanvasImageSource} [assets.patch] - Patch image
+ * @param {Array<CanvasImageSource|null>} [assets.logos] - Opponent logos, in the same order as config.matches
+ * @param {Array<CanvasImageSource|null>} [assets.calendarLogos] - Opponent logos, in the same order as config.calendar.matches
+ * @param {Array<CanvasImageSource|null>} [assets.cascadiaLogos] - Club logos, in the same order as config.cascadiaStandings
+ * @param {Object} [assets.layerImages] - Images for image layers, keyed by layer id
+ * @param {Function} [assets.createCanvas] - Factory `(width, height) => canvas` used for logo sharpening
+ * @returns {{layout: Object, collisions: Array}|null} Resolved element boxes and any layout collisions
+ */
+export const renderWallpaper = (ctx, config, assets = {}) => {
+  const settings = { ...DEFAULT_WALLPAPER_CONFIG, ...config };
+  const {
+    width,
+    height,
+    theme,
+    showPatchImage,
+    text,
+    font,
+    fontSizeMultiplier,
+    textColor,
+    patchPositionY,
+    matchPositionY,
+    matches,
+    includeMatches,
+    includeDateTime,
+    transforms,
+    layers,
+    safeZones,
+    avoidSafeZones,
+    variant,
+    depthEffect,
+    scheduleStyle,
+    calendar,
+    showSeasonRecord,
+    seasonRecord,
+    showCascadiaTable,
+    cascadiaStandings
+  } = settings;
+
+  if (!ctx) {
+    debugWarn('renderWallpaper: no context provided');
+    return null;
+  }
+
+  if (!width || !height || width <= 0 || height <= 0) {
+    debugWarn('Invalid dimensions for wallpaper generation:', { width, height });
+    return null;
+  }
+
+  debugLog('Rendering wallpaper:', { width, height, theme, showPatchImage });
+
+  // The home screen variant keeps only the patch, since app icons cover the rest
+  const variantOptions = WALLPAPER_VARIANTS.find(option => option.value === variant) || WALLPAPER_VARIANTS[0];
+  const patchOnly = Boolean(variantOptions.patchOnly);
+
+  const dimensions = { width, height };
+  const layout = getLayout(settings.layout, dimensions);
+  const elementDefinitions = layout.elements;
+  const fontScale = getLayoutFontScale(layout, dimensions);
+
+  // The schedule is drawn as a logo row, a detailed or compact list, or a month calendar
+  const scheduleElement = getScheduleElement(elementDefinitions, scheduleStyle, Boolean(calendar));
+  const showCalendar = !patchOnly && includeMatches && scheduleElement === 'calendar';
+  const hasMatches = !patchOnly && !showCalendar && includeMatches && matches && matches.length > 0;
+  const visibleMatches = hasMatches ? matches.slice(0, MAX_FIXTURE_COUNT) : [];
+
+  const matchRowDefinition = scheduleElement === 'matchRow' ? elementDefinitions.matchRow : null;
+  const fixtureListDefinition = scheduleElement === 'fixtureList' ? elementDefinitions.fixtureList : null;
+  const compactListDefinition = scheduleElement === 'compactList' ? elementDefinitions.compactList : null;
+  const calendarDefinition = showCalendar ? elementDefinitions.calendar : null;
+  const listDefinition = fixtureListDefinition || compactListDefinition;
+  // Lists with fewer rows than matches, such as the watch face, start from the next
+  // upcoming match, or keep the latest results when every match is finished
+  const listRows = listDefinition ? listDefinition.maxRows || MAX_FIXTURE_COUNT : 0;
+  const nextUpcomingIndex = visibleMatches.findIndex(match => !match.result);
+  const listStart = nextUpcomingIndex >= 0
+    ? Math.min(nextUpcomingIndex, Math.max(visibleMatches.length - listRows, 0))
+    : Math.max(visibleMatches.length - listRows, 0);
+  const listMatches = listDefinition ? visibleMatches.slice(listStart, listStart + listRows) : [];
+  const listLogos = (assets.logos || []).slice(listStart);
+
+  // Measure elements whose size depends on their content
+  const { fontSize, fontWeight } = getHeadlineFont(font, text, fontSizeMultiplier * fontScale);
+  const footerFontSize = elementDefinitions.footer
+    ? Math.round(resolveUnit(elementDefinitions.footer.fontSize, dimensions) * fontSizeMultiplier)
+    : 0;
+  const matchRowMetrics = matchRowDefinition
+    ? getMatchRowMetrics(matchRowDefinition, dimensions, visibleMatches.length)
+    : { logoSize: 0, dateOffset: 0, timeOffset: 0 };
+  const { logoSize, dateOffset, timeOffset } = matchRowMetrics;
+
+  // Long lists shrink their rows to stay within the layout's maxHeight
+  const listBaseRowHeight = listDefinition ? resolveUnit(listDefinition.rowHeight, dimensions) : 0;
+  const listScale = listDefinition && listDefinition.maxHeight && listMatches.length > 0
+    ? Math.min(1, resolveUnit(listDefinition.maxHeight, dimensions) / (listBaseRowHeight * listMatches.length))
+    : 1;
+  const listRowHeight = listBaseRowHeight * listScale;
+  const resolveListUnit = (value) => Math.floor(resolveUnit(value, dimensions) * listScale);
+  const calendarMetrics = showCalendar ? {
+    headerHeight: resolveUnit(calendarDefinition.headerHeight, dimensions),
+    weekdayHeight: resolveUnit(calendarDefinition.weekdayHeight, dimensions),
+    cellHeight: resolveUnit(calendarDefinition.cellHeight, dimensions),
+    logoSize: Math.floor(resolveUnit(calendarDefinition.logoSize, dimensions)),
+    titleFontSize: Math.floor(resolveUnit(calendarDefinition.titleFontSize, dimensions)),
+    weekdayFontSize: Math.floor(resolveUnit(calendarDefinition.weekdayFontSize, dimensions)),
+    dayFontSize: Math.floor(resolveUnit(calendarDefinition.dayFontSize, dimensions))
+  } : null;
+  const seasonRecordDefinition = elementDefinitions.seasonRecord;
+  const hasSeasonRecord = !patchOnly && showSeasonRecord && Boolean(seasonRecord) && seasonRecord.played > 0 && Boolean(seasonRecordDefinition);
+  const seasonRecordMetrics = hasSeasonRecord ? {
+    fontSize: Math.floor(resolveUnit(seasonRecordDefinition.fontSize, dimensions)),
+    dotSize: Math.floor(resolveUnit(seasonRecordDefinition.dotSize, dimensions)),
+    dotGap: resolveUnit(seasonRecordDefinition.dotGap, dimensions)
+  } : null;
+
+  const cascadiaTableDefinition = elementDefinitions.cascadiaTable;
+  const hasCascadiaTable = !patchOnly && showCascadiaTable && Array.isArray(cascadiaStandings) && cascadiaStandings.length > 0 && Boolean(cascadiaTableDefinition);
+  const cascadiaTableMetrics = hasCascadiaTable ? {
+    titleFontSize: Math.floor(resolveUnit(cascadiaTableDefinition.titleFontSize, dimensions)),
+    titleGap: resolveUnit(cascadiaTableDefinition.titleGap, dimensions),
+    logoSize: Math.floor(resolveUnit(cascadiaTableDefinition.logoSize, dimensions)),
+    logoGap: resolveUnit(cascadiaTableDefinition.logoGap, dimensions),
+    fontSize: Math.floor(resolveUnit(cascadiaTableDefinition.fontSize, dimensions)),
+    detailFontSize: Math.floor(resolveUnit(cascadiaTableDefinition.detailFontSize, dimensions)),
+    columnGap: resolveUnit(cascadiaTableDefinition.columnGap, dimensions)
+  } : null;
+  const cascadiaTableSize = hasCascadiaTable ? measureCascadiaTable(ctx, cascadiaStandings, cascadiaTableMetrics) : null;
+
+  const calendarHeight = calendarMetrics
+    ? calendarMetrics.headerHeight + calendarMetrics.weekdayHeight + calendarMetrics.cellHeight * getCalendarGrid(calendar.year, calendar.month).weeks
+    : 0;
+
+  // Ensure text doesn't get too long and wrap, and caps-only fonts are always uppercase
+  const isCapsOnly = CAPS_ONLY_FONTS.includes(font);
+  const truncatedText = text.length > 50 ? text.substring(0, 50) : text;
+  const displayText = isCapsOnly ? truncatedText.toUpperCase() : truncatedText;
+  const footerText = isCapsOnly ? FOOTER_TEXT.toUpperCase() : FOOTER_TEXT;
+  const headlineFont = buildFont(font, fontSize, fontWeight);
+  const footerFont = buildFont(font, footerFontSize, ['Verdana'].includes(font) ? 'bold' : 'normal');
+
+  const { elements, collisions } = resolveLayout(layout, dimensions, {
+    settings: { patchPositionY, matchPositionY },
+    measurements: {
+      headline: { width: measureTextWidth(ctx, displayText, headlineFont), height: text ? fontSize : 0 },
+      matchRow: { height: logoSize + timeOffset, anchorOffset: logoSize / 2 },
+      fixtureList: { height: listRowHeight * listMatches.length },
+      compactList: { height: listRowHeight * listMatches.length },
+      calendar: { height: calendarHeight },
+      seasonRecord: hasSeasonRecord ? measureSeasonRecord(ctx, seasonRecord, seasonRecordMetrics) : {},
+      cascadiaTable: cascadiaTableSize ? { width: cascadiaTableSize.width, height: cascadiaTableSize.height } : {},
+      footer: { width: measureTextWidth(ctx, footerText, footerFont), height: footerFontSize }
+    },
+    hidden: [
+      ...(showPatchImage ? [] : ['patch']),
+      ...Object.values(SCHEDULE_ELEMENTS).filter(name => name !== scheduleElement || !(hasMatches || showCalendar)),
+      ...(patchOnly ? ['headline', 'footer'] : []),
+      ...(hasSeasonRecord ? [] : ['seasonRecord']),
+      ...(hasCascadiaTable ? [] : ['cascadiaTable'])
+    ],
+    transforms,
+    safeZones,
+    avoidSafeZones
+  });
+
+  collisions.forEach(collision => {
+    debugWarn(`Layout collision between ${collision.elements.join(' and ')}:`, collision);
+  });
+
+  prepareContext(ctx, width, height);
+  drawBackground(ctx, settings, assets.background || null, (variantOptions.blur || 0) * width);
+  if (patchOnly) {
+    dimCanvas(ctx, width, height, variantOptions.dim);
+  }
+
+  // Patch image in the circular area if enabled
+  const patchBox = elements.patch;
+  if (showPatchImage && assets.patch) {
+    drawInElementFrame(ctx, patchBox, (box) => {
+      try {
+        drawPatch(ctx, assets.patch, box.x, box.y, Math.floor(box.height / 2));
+      } catch (error) {
+        debugWarn('Failed to draw patch image:', error);
+      }
+    });
+  }
+
+  if (patchOnly) {
+    debugLog('Wallpaper render complete (patch only)');
+    return { layout: elements, collisions };
+  }
+
+  // Headline text, drawn on the bottom edge of its box
+  drawInElementFrame(ctx, elements.headline, (headlineBox) => {
+    clearTextEffects(ctx, { keepTransform: true });
+    ctx.font = headlineFont;
+
+    // Caps-only fonts get extra letter spacing
+    if (isCapsOnly) {
+      ctx.letterSpacing = font === 'Another Danger' ? '4px' : '2px';
+    } else {
+      ctx.letterSpacing = '0px';
+    }
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = textColor;
+
+    // Add text shadow for better readability
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    // Add subtle gold border around text for extra pop against dark backgrounds
+    if (theme === 'night' || theme === 'forest') {
+      ctx.strokeStyle = TIMBERS_GOLD;
+      ctx.lineWidth = 1;
+      ctx.strokeText(displayText, headlineBox.x, headlineBox.bottom);
+    }
+
+    ctx.fillText(displayText, headlineBox.x, headlineBox.bottom);
+    clearTextEffects(ctx, { keepTransform: true });
+  });
+
+  if (includeDateTime) {
+    drawDateAndTime(ctx, width, height, patchBox.y, Math.floor(patchBox.height / 2), textColor);
+  }
+
+  // Depth effect: the background's subject in front of the headline where it meets the clock
+  const depthEffectRegion = depthEffect ? getDepthEffectRegion(elements.headline, safeZones || [], dimensions) : null;
+  if (depthEffectRegion) {
+    clearTextEffects(ctx);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(depthEffectRegion.left, depthEffectRegion.top, depthEffectRegion.width, depthEffectRegion.height);
+    ctx.clip();
+    drawForegroundSubject(ctx, settings, assets);
+    ctx.restore();
+  }
+
+  // Schedule section - Horizontal layout in a single row
+  if (hasMatches && matchRowDefinition) {
+    drawInElementFrame(ctx, elements.matchRow, (matchRowBox) => {
+      const scheduleY = matchRowBox.anchorY;
+
+      const maxMatches = visibleMatches.length;
+      const itemWidth = matchRowBox.width / maxMatches;
+      const logos = assets.logos || [];
+      const dateFont = matchRowMetrics.dateFontSize;
+      const timeFont = matchRowMetrics.timeFontSize;
+
+      for (let i = 0; i < maxMatches; i++) {
+        const match = visibleMatches[i];
+        const itemCenterX = matchRowBox.left + (i * itemWidth) + (itemWidth / 2);
+        const logo = logos[i];
+
+        // Draw opponent logo - no background, no border, no clipping
+        if (logo) {
+          drawSharpenedLogo(ctx, logo, itemCenterX - logoSize / 2, scheduleY - logoSize / 2, logoSize, assets.createCanvas);
+        } else {
+          drawFallbackLogo(ctx, match.opponentShort, itemCenterX, scheduleY, logoSize);
+        }
+
+        // Draw date below logo with padding, or the final score for a finished match
+        clearTextEffects(ctx, { keepTransform: true });
+        ctx.fillStyle = textColor;
+        ctx.font = `bold ${dateFont}px "Avenir Next"`;
+        ctx.textAlign = 'center';
+        const dateText = match.result ? formatResultScore(match.result) : formatShortDate(match.date);
+        ctx.fillText(fitText(ctx, dateText, itemWidth), itemCenterX, scheduleY + logoSize / 2 + dateOffset);
+
+        // Draw time below date with padding, or the result badge in its place
+        if (match.result) {
+          const badgeSize = timeFont;
+          drawResultBadge(ctx, match.result.outcome, itemCenterX, matchRowBox.bottom - badgeSize / 2, badgeSize);
+        } else {
+          clearTextEffects(ctx, { keepTransform: true });
+          ctx.fillStyle = textColor;
+          ctx.font = `bold ${timeFont}px "Avenir Next"`;
+          ctx.textAlign = 'center';
+          ctx.fillText(formatShortTime(match.time), itemCenterX, matchRowBox.bottom);
+        }
+      }
+    });
+  }
+
+  // Schedule section - Vertical list with the match details
+  if (hasMatches && fixtureListDefinition) {
+    drawInElementFrame(ctx, elements.fixtureList, (listBox) => {
+      drawFixtureList(ctx, listBox, listMatches, listLogos, {
+        rowHeight: listRowHeight,
+        logoSize: resolveListUnit(fixtureListDefinition.logoSize),
+        logoGap: resolveListUnit(fixtureListDefinition.logoGap),
+        titleFontSize: resolveListUnit(fixtureListDefinition.titleFontSize),
+        detailFontSize: resolveListUnit(fixtureListDefinition.detailFontSize),
+        textColor,
+        shortNames: Boolean(fixtureListDefinition.shortNames),
+        showCompetition: Boolean(fixtureListDefinition.showCompetition),
+        createCanvas: assets.createCanvas
+      });
+    });
+  }
+
+  // Schedule section - Compact list, one line per match
+  if (hasMatches && compactListDefinition) {
+    drawInElementFrame(ctx, elements.compactList, (listBox) => {
+      drawCompactList(ctx, listBox, listMatches, listLogos, {
+        rowHeight: listRowHeight,
+        logoSize: resolveListUnit(compactListDefinition.logoSize),
+        logoGap: resolveListUnit(compactListDefinition.logoGap),
+        fontSize: resolveListUnit(compactListDefinition.fontSize),
+        textColor,
+        createCanvas: assets.createCanvas
+      });
+    });
+  }
+
+  // Schedule section - Month calendar
+  if (showCalendar) {
+    drawInElementFrame(ctx, elements.calendar, (calendarBox) => {
+      drawMonthCalendar(ctx, calendarBox, calendar, assets.calendarLogos || [], {
+        ...calendarMetrics,
+        textColor,
+        createCanvas: assets.createCanvas
+      });
+    });
+  }
+
+  // Season record and form guide
+  if (hasSeasonRecord) {
+    drawInElementFrame(ctx, elements.seasonRecord, (recordBox) => {
+      drawSeasonRecord(ctx, recordBox, seasonRecord, { ...seasonRecordMetrics, textColor });
+    });
+  }
+
+  // Cascadia Cup table
+  if (hasCascadiaTable) {
+    drawInElementFrame(ctx, elements.cascadiaTable, (tableBox) => {
+      drawCascadiaTable(ctx, tableBox, cascadiaStandings, assets.cascadiaLogos || [], {
+        ...cascadiaTableMetrics,
+        columnWidths: cascadiaTableSize.columnWidths,
+        textColor,
+        createCanvas: assets.createCanvas
+      });
+    });
+  }
+
+  // Footer - uses the selected font without shadow effects
+  const footerBox = elements.footer;
+  if (footerBox) {
+    clearTextEffects(ctx);
+    ctx.fillStyle = textColor;
+    ctx.font = footerFont;
+    ctx.textAlign = 'center';
+
+    // For dark themes, add a gold outline without shadows
+    if (theme === 'night' || theme === 'forest') {
+      ctx.strokeStyle = TIMBERS_GOLD;
+      ctx.lineWidth = 1;
+      ctx.strokeText(footerText, footerBox.x, footerBox.bottom);
+    }
+
+    ctx.fillText(footerText, footerBox.x, footerBox.bottom);
+    clearTextEffects(ctx);
+  }
+
+  // Extra layers on top of the fixed elements
+  const layerBoxes = drawLayers(ctx, layers || [], assets.layerImages || {}, dimensions, fontScale);
+
+  // Darken everything for the always-on display
+  dimCanvas(ctx, width, height, variantOptions.dim);
+
+  debugLog('Wallpaper render complete');
+  return { layout: { ...elements, ...layerBoxes }, collisions };
+};
+
+export default renderWallpaper;
@@ -0,0 +1,673 @@
+/**
+ * Schedule sources. Each adapter turns one schedule format into the Match model the
+ * rest of the app works with, so the parser, wallpaper and scripts don't depend on
+ * where a schedule came from. Like scheduleParser.js, this module must not import
+ * JSON or Vite-only assets so it can run anywhere.
+ */
+
+import { SCHEDULE_COMPETITIONS, TIMBERS_TEAM_ID, CASCADIA_RIVALS } from './constants.js';
+import { parseScheduleDate, fromPacificTime, fromZonedTime, isSupportedTimeZone, toKickoffString, SCHEDULE_TIME_ZONE } from './scheduleDates.js';
+
+// The Timbers' stadium, for Sportmonks matches and to spot home games in calendar events
+const HOME_VENUE = 'Providence Park';
+
+/**
+ * A match from the team's point of view, whatever the source
+ * @typedef {Object} Match
+ * @property {string} id - Stable ID, unique within the schedule
+ * @property {string} kickoff - Kickoff in UTC as "YYYY-MM-DD HH:MM:SS", see parseScheduleDate()
+ * @property {boolean} timeConfirmed - False when only the day is known; kickoff is then midday in Portland
+ * @property {number|null} length - Match length in minutes, when the source gives one
+ * @property {string} opponent - Opponent name
+ * @property {string} opponentShort - Opponent short code, or 'TBD'
+ * @property {number|null} opponentId - Sportmonks team ID, when the source has one
+ * @property {string} opponentLogoUrl - Logo from the source, used when the logo manifest has none
+ * @property {boolean} isHome - Whether the team is at home
+ * @property {string} venue - Stadium, or 'Away' when the source doesn't say
+ * @property {string} competition - Competition or stage name as the source gives it
+ * @property {string|null} competitionId - Value from SCHEDULE_COMPETITIONS, or null for other competitions
+ * @property {string} status - 'scheduled', 'finished', or 'other' for postponed, cancelled or live matches
+ * @property {Object|null} result - goalsFor, goalsAgainst, outcome ('W', 'D' or 'L') and decidedBy
+ *   ('extraTime', 'penalties' or null) for finished matches
+ */
+
+/**
+ * Find the competition a Sportmonks league belongs to, see SCHEDULE_COMPETITIONS
+ * @param {number} leagueId - Sportmonks league ID
+ * @returns {string|null} Competition value, or null for leagues not in the list
+ */
+const getCompetitionId = (leagueId) => {
+  const competition = SCHEDULE_COMPETITIONS.find(option => option.leagueId === leagueId);
+  return competition ? competition.value : null;
+};
+
+/**
+ * Flatten all fixtures in a Sportmonks schedule, tagging each with its stage name
+ * and competition
+ * @param {Array} schedule - Stages from schedule.json
+ * @returns {Array} Fixtures with `competition` and `competitionId` fields
+ */
+export const collectFixtures = (schedule) => {
+  const fixtures = [];
+
+  (schedule || []).forEach(stage => {
+    // Direct fixtures in stage
+    if (stage.fixtures) {
+      stage.fixtures.forEach(fixture => {
+        fixtures.push({ ...fixture, competition: stage.name, competitionId: getCompetitionId(stage.league_id) });
+      });
+    }
+
+    // Process rounds within stages
+    if (stage.rounds) {
+      stage.rounds.forEach(round => {
+        if (round.fixtures) {
+          round.fixtures.forEach(fixture => {
+            fixtures.push({ ...fixture, competition: stage.name, competitionId: getCompetitionId(stage.league_id) });
+          });
+        }
+      });
+    }
+  });
+
+  return fixtures;
+};
+
+/**
+ * Read a team's final goals from a Sportmonks fixture's CURRENT score
+ * @param {Object} fixture - Fixture with scores
+ * @param {number} teamId - Sportmonks team ID
+ * @returns {number|null} Goals, or null when the fixture has no score for the team
+ */
+const getFinalGoals = (fixture, teamId) => {
+  const score = (fixture.scores || []).find(entry => entry.participant_id === teamId && entry.description === 'CURRENT');
+  return score ? score.score.goals : null;
+};
+
+/**
+ * Read the team's result from a finished Sportmonks fixture. The outcome follows
+ * `meta.winner`, so a shootout win is a W even though the score is level. Fixtures
+ * without a `result_info`, such as upcoming or cancelled ones, have no result.
+ * @param {Object} fixture - Fixture with participants and scores
+ * @param {Object} team - The team's participant entry
+ * @param {Object} [opponent] - The opponent's participant entry
+ * @returns {Object|null} Result, see Match
+ */
+const getSportmonksResult = (fixture, team, opponent) => {
+  if (fixture.state_id === 1 || !fixture.result_info) return null;
+
+  let outcome = 'D';
+  if (team.meta?.winner) outcome = 'W';
+  else if (opponent?.meta?.winner) outcome = 'L';
+
+  let decidedBy = null;
+  if (/penalt/i.test(fixture.result_info)) decidedBy = 'penalties';
+  else if (/extra[- ]time/i.test(fixture.result_info)) decidedBy = 'extraTime';
+
+  return {
+    goalsFor: getFinalGoals(fixture, team.id) ?? 0,
+    goalsAgainst: getFinalGoals(fixture, opponent?.id) ?? 0,
+    outcome,
+    decidedBy
+  };
+};
+
+/**
+ * Sportmonks schedule dumps, as written by scripts/sync-schedule.js: stages holding
+ * fixtures directly or in rounds, with participants and scores
+ */
+export const sportmonksAdapter = {
+  id: 'sportmonks',
+  label: 'Sportmonks schedule',
+
+  /**
+   * @param {Array} schedule - Stages from schedule.json
+   * @param {Object} [options] - Adapter options
+   * @param {number} [options.teamId] - Sportmonks ID of the team whose schedule it is
+   * @returns {Array<Match>} The team's matches, skipping fixtures it isn't in
+   */
+  toMatches(schedule, { teamId = TIMBERS_TEAM_ID } = {}) {
+    return collectFixtures(schedule).flatMap(fixture => {
+      const team = (fixture.participants || []).find(p => p.id === teamId);
+      const kickoff = parseScheduleDate(fixture.starting_at);
+      if (!team || !kickoff) return [];
+
+      const opponent = fixture.participants.find(p => p.id !== teamId);
+      const isHome = team.meta?.location === 'home';
+      const result = getSportmonksResult(fixture, team, opponent);
+
+      let status = 'other';
+      if (fixture.state_id === 1) status = 'scheduled';
+      else if (result) status = 'finished';
+
+      return [{
+        id: `sportmonks-${fixture.id}`,
+        kickoff: toKickoffString(kickoff),
+        timeConfirmed: true,
+        length: fixture.length ?? null,
+        opponent: opponent?.name || 'TBD',
+        opponentShort: opponent?.short_code || 'TBD',
+        opponentId: opponent?.id ?? null,
+        opponentLogoUrl: opponent?.image_path || '',
+        isHome,
+        venue: isHome ? HOME_VENUE : 'Away',
+        competition: fixture.competition || 'MLS',
+        competitionId: fixture.competitionId || null,
+        status,
+        result
+      }];
+    });
+  }
+};
+
+/**
+ * Parse a kickoff time such as "19:30", "7:30 PM" or "7pm"
+ * @param {string} value - Time as written
+ * @returns {{hour: number, minute: number}|null} 24-hour time, or null when it's blank or "TBD"
+ */
+const parseClockTime = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text || text === 'tbd') return null;
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!match) throw new Error(`invalid time "${value}"; use 19:30 or 7:30 PM`);
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3]?.charAt(0);
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) throw new Error(`invalid time "${value}"`);
+
+  return { hour, minute };
+};
+
+/**
+ * Parse a hand-written score such as "2-1", "2-1 AET" or "1-1 PEN"
+ * @param {string} score - Score with the team's goals first
+ * @param {string} [outcome] - W, D or L; needed for shootouts, otherwise taken from the goals
+ * @returns {Object|null} Result, see Match, or null when there's no score
+ */
+const parseHandWrittenResult = (score, outcome) => {
+  const text = String(score ?? '').trim();
+  if (!text) return null;
+
+  const match = text.match(/^(\d+)\s*[-–:]\s*(\d+)(?:\s+(aet|pen))?$/i);
+  if (!match) throw new Error(`invalid score "${score}"; use 2-1, 2-1 AET or 1-1 PEN`);
+
+  const goalsFor = Number(match[1]);
+  const goalsAgainst = Number(match[2]);
+  const decidedBy = { aet: 'extraTime', pen: 'penalties' }[match[3]?.toLowerCase()] || null;
+
+  let resolvedOutcome = String(outcome ?? '').trim().toUpperCase();
+  if (resolvedOutcome && !['W', 'D', 'L'].includes(resolvedOutcome)) {
+    throw new Error(`invalid result "${outcome}"; use W, D or L`);
+  }
+  if (!resolvedOutcome) {
+    resolvedOutcome = goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D';
+  }
+
+  return { goalsFor, goalsAgainst, outcome: resolvedOutcome, decidedBy };
+};
+
+/**
+ * Find the SCHEDULE_COMPETITIONS value for a hand-written competition name
+ * @param {string} competition - Competition value or label, e.g. "mls" or "Leagues Cup"
+ * @returns {string|null} Competition value, or null for other competitions
+ */
+const findCompetitionId = (competition) => {
+  const name = String(competition ?? '').trim().toLowerCase();
+  const option = SCHEDULE_COMPETITIONS.find(entry => entry.value.toLowerCase() === name || entry.label.toLowerCase() === name);
+  return option ? option.value : null;
+};
+
+/**
+ * Turn one hand-written schedule entry into a Match. Dates and times are Portland time.
+ * @param {Object} entry - date, time, opponent, opponentShort, location ('home' or 'away'),
+ *   venue, competition, score, result and logo; only date, opponent and location are required
+ * @returns {Match} Match
+ */
+const fromHandWrittenEntry = (entry) => {
+  const date = String(entry.date ?? '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !parseScheduleDate(date)) {
+    throw new Error(`invalid date "${entry.date ?? ''}"; use YYYY-MM-DD`);
+  }
+
+  const opponent = String(entry.opponent ?? '').trim();
+  if (!opponent) throw new Error('missing opponent');
+
+  const location = String(entry.location ?? '').trim().toLowerCase();
+  if (!['home', 'away'].includes(location)) {
+    throw new Error(`invalid location "${entry.location ?? ''}"; use home or away`);
+  }
+
+  const time = parseClockTime(entry.time);
+  const result = parseHandWrittenResult(entry.score, entry.result);
+  const isHome = location === 'home';
+  const competition = String(entry.competition ?? '').trim();
+  const slug = opponent.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  return {
+    id: `${date}-${slug}`,
+    // Without a time, midday keeps the match on its day in any nearby time zone
+    kickoff: toKickoffString(time ? fromPacificTime(date, time.hour, time.minute) : fromPacificTime(date, 12)),
+    timeConfirmed: Boolean(time),
+    length: null,
+    opponent,
+    opponentShort: String(entry.opponentShort ?? '').trim().toUpperCase() || 'TBD',
+    opponentId: null,
+    opponentLogoUrl: String(entry.logo ?? '').trim(),
+    isHome,
+    venue: String(entry.venue ?? '').trim() || (isHome ? '' : 'Away'),
+    competition,
+    competitionId: findCompetitionId(competition),
+    status: result ? 'finished' : 'scheduled',
+    result
+  };
+};
+
+/**
+ * Turn hand-written entries into Matches, naming the entry in any error
+ * @param {Array<Object>} entries - Entries, see fromHandWrittenEntry()
+ * @param {Function} describe - `(index) => string` naming an entry, e.g. "row 3"
+ * @returns {Array<Match>} Matches with IDs made unique
+ */
+const fromHandWrittenEntries = (entries, describe) => {
+  const ids = new Map();
+
+  return entries.map((entry, index) => {
+    let match;
+    try {
+      match = fromHandWrittenEntry(entry);
+    } catch (error) {
+      throw new Error(`Schedule ${describe(index)}: ${error.message}`);
+    }
+
+    // Two matches against the same opponent on one day, e.g. a preseason double-header
+    const count = ids.get(match.id) || 0;
+    ids.set(match.id, count + 1);
+    return count > 0 ? { ...match, id: `${match.id}-${count + 1}` } : match;
+  });
+};
+
+/**
+ * Hand-written JSON schedules: an array of entries, or an object with a `matches` array
+ *
+ *   { "matches": [{ "date": "2026-02-14", "time": "19:30", "opponent": "Portland Thorns",
+ *     "location": "home", "competition": "Preseason", "score": "2-1" }] }
+ */
+export const jsonAdapter = {
+  id: 'json',
+  label: 'JSON schedule',
+
+  /**
+   * @param {Array|Object} data - Parsed JSON
+   * @returns {Array<Match>} Matches
+   */
+  toMatches(data) {
+    const entries = Array.isArray(data) ? data : data?.matches;
+    if (!Array.isArray(entries)) {
+      throw new Error('A JSON schedule must be an array of matches, or an object with a "matches" array');
+    }
+    return fromHandWrittenEntries(entries, index => `match ${index + 1}`);
+  }
+};
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Hand-written CSV schedules with a header row naming the same fields as the JSON
+ * format, in any order:
+ *
+ *   date,time,opponent,location,competition,score
+ *   2026-02-14,19:30,Portland Thorns,home,Preseason,2-1
+ */
+export const csvAdapter = {
+  id: 'csv',
+  label: 'CSV schedule',
+
+  /**
+   * @param {string} text - CSV text
+   * @returns {Array<Match>} Matches
+   */
+  toMatches(text) {
+    const [header = [], ...rows] = parseCsvRows(String(text ?? ''));
+    const columns = header.map(name => name.trim());
+    const missing = ['date', 'opponent', 'location'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`A CSV schedule needs a header row with ${missing.join(', ')} columns`);
+    }
+
+    const entries = rows.map(fields => Object.fromEntries(columns.map((name, index) => [name, fields[index]])));
+    // Row numbers as shown in a spreadsheet, counting the header
+    return fromHandWrittenEntries(entries, index => `row ${index + 2}`);
+  }
+};
+
+/**
+ * Split iCalendar text into its content lines, joining folded lines back together
+ * @param {string} text - .ics file contents
+ * @returns {Array<{name: string, params: Object, value: string}>} Properties in file order
+ */
+const parseIcsLines = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => {
+    // The value starts after the first colon outside a quoted parameter
+    let quoted = false;
+    let split = -1;
+    for (let i = 0; i < line.length && split < 0; i++) {
+      if (line[i] === '"') quoted = !quoted;
+      else if (line[i] === ':' && !quoted) split = i;
+    }
+    if (split < 0) return null;
+
+    const [name, ...params] = line.slice(0, split).split(';');
+    return {
+      name: name.toUpperCase(),
+      params: Object.fromEntries(params.map(param => {
+        const [key, ...value] = param.split('=');
+        return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+      })),
+      value: line.slice(split + 1)
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * Undo iCalendar text escaping
+ * @param {string} value - Escaped TEXT value
+ * @returns {string} Plain text
+ */
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+/**
+ * Collect the properties of each VEVENT, leaving out nested components such as alarms
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} One object per event, keyed by property name
+ */
+const parseIcsEvents = (text) => {
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  parseIcsLines(text).forEach(property => {
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT') {
+        event = {};
+        depth = 0;
+      } else if (event) {
+        depth++;
+      }
+    } else if (property.name === 'END') {
+      if (event && depth > 0) {
+        depth--;
+      } else if (event && property.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && depth === 0 && !event[property.name]) {
+      event[property.name] = property;
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Read an event's DTSTART or DTEND: UTC ("Z"), in its TZID, floating (taken as Portland
+ * time) or a whole day. Unknown TZIDs, such as Windows zone names, are taken as Portland time too.
+ * @param {Object} property - DTSTART or DTEND property
+ * @returns {{kickoff: Date, timeConfirmed: boolean}} The moment; whole days get midday in Portland
+ */
+const parseIcsDateTime = ({ name, value, params }) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) throw new Error(`invalid ${name} "${value}"`);
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const isoDate = `${year}-${month}-${day}`;
+  if (!parseScheduleDate(isoDate)) throw new Error(`invalid ${name} "${value}"`);
+
+  if (!hour || params.VALUE === 'DATE') {
+    return { kickoff: fromPacificTime(isoDate, 12), timeConfirmed: false };
+  }
+  if (utc) {
+    return { kickoff: parseScheduleDate(`${isoDate} ${hour}:${minute}:00`), timeConfirmed: true };
+  }
+
+  const timeZone = (params.TZID || '').replace(/^\//, '');
+  return {
+    kickoff: fromZonedTime(isoDate, Number(hour), Number(minute), isSupportedTimeZone(timeZone) ? timeZone : SCHEDULE_TIME_ZONE),
+    timeConfirmed: true
+  };
+};
+
+/**
+ * Escape text for use as a literal in a regular expression
+ * @param {string} text - Plain text
+ * @returns {string} Escaped pattern
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words between the two sides of an event summary. "at" and "@" put the home side second.
+const SUMMARY_SEPARATOR = /\s+(vs\.?|v\.?|versus|at|@)\s+/i;
+
+/**
+ * Find the opponent and venue in an event summary such as "Timbers vs LA Galaxy",
+ * "Portland Timbers at Seattle Sounders FC" or "🌲 Sporting KC @ Timbers (MLS)"
+ * @param {string} summary - Event summary
+ * @param {RegExp} teamPattern - Matches the team's own name
+ * @returns {{opponent: string, isHome: boolean, explicitAway: boolean}|null} Null when the
+ *   summary doesn't name the team and one opponent
+ */
+const parseIcsSummary = (summary, teamPattern) => {
+  const text = summary
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/^[^:]*:\s+(?=.*\s(?:vs\.?|v\.?|versus|at|@)\s)/i, '')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.]+$/gu, '')
+    .replace(/\s+/g, ' ');
+
+  const separator = text.match(SUMMARY_SEPARATOR);
+  if (!separator) return null;
+
+  const first = text.slice(0, separator.index).trim();
+  const second = text.slice(separator.index + separator[0].length).trim();
+  const teamFirst = teamPattern.test(first);
+  if (teamFirst === teamPattern.test(second)) return null;
+
+  const firstIsHome = !/^(at|@)$/i.test(separator[1]);
+  return {
+    opponent: teamFirst ? second : first,
+    isHome: teamFirst === firstIsHome,
+    explicitAway: !firstIsHome
+  };
+};
+
+/**
+ * Find a SCHEDULE_COMPETITIONS entry named in an event's text
+ * @param {string} text - Summary, categories and description
+ * @returns {Object|undefined} Competition
+ */
+const findCompetitionInText = (text) => SCHEDULE_COMPETITIONS.find(competition => {
+  const names = competition.value === 'friendly' ? [competition.label, 'friendly', 'preseason'] : [competition.label];
+  return names.some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text));
+});
+
+/**
+ * iCalendar (.ics) files such as a club calendar subscription. Each VEVENT whose summary
+ * names the team and an opponent becomes a match; other events, like "Timbers Army
+ * tailgate at Providence Park", are skipped. Calendars don't carry scores, so every match
+ * is scheduled.
+ */
+export const icsAdapter = {
+  id: 'ics',
+  label: 'iCalendar file',
+
+  /**
+   * @param {string} text - .ics file contents
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.teamName] - Name the team goes by in event summaries
+   * @returns {Array<Match>} Matches
+   */
+  toMatches(text, { teamName = 'Timbers' } = {}) {
+    if (!/^\s*BEGIN:VCALENDAR/i.test(String(text ?? ''))) {
+      throw new Error('Not an iCalendar file: it should start with BEGIN:VCALENDAR');
+    }
+
+    const teamPattern = new RegExp(escapeRegExp(teamName), 'i');
+    return parseIcsEvents(text).flatMap((event, index) => {
+      const summary = unescapeIcsText(event.SUMMARY?.value || '');
+      const sides = parseIcsSummary(summary, teamPattern);
+      if (!sides || !event.DTSTART) return [];
+
+      // "at" also introduces places, so an opponent that is really the venue isn't a match
+      const location = unescapeIcsText(event.LOCATION?.value || '').trim();
+      const opponentKey = sides.opponent.toLowerCase();
+      const places = [HOME_VENUE, location, location.split(',')[0]].map(place => place.trim().toLowerCase());
+      if (places.includes(opponentKey)) return [];
+
+      let start;
+      try {
+        start = parseIcsDateTime(event.DTSTART);
+      } catch (error) {
+        throw new Error(`Calendar event ${index + 1} (${summary}): ${error.message}`);
+      }
+
+      let length = null;
+      if (start.timeConfirmed && event.DTEND) {
+        try {
+          const end = parseIcsDateTime(event.DTEND);
+          if (end.timeConfirmed && end.kickoff > start.kickoff) length = Math.round((end.kickoff - start.kickoff) / 60000);
+        } catch {
+          // The start is enough to place the match
+        }
+      }
+
+      // "vs" is loose in club calendars, so the home stadium overrides it; "at" or "@" doesn't
+      const isHome = sides.isHome || (!sides.explicitAway && location.toLowerCase().includes(HOME_VENUE.toLowerCase()));
+      const competition = findCompetitionInText([summary, event.CATEGORIES?.value, event.DESCRIPTION?.value].filter(Boolean).join(' '));
+      const date = toKickoffString(start.kickoff).slice(0, 10);
+      const uid = unescapeIcsText(event.UID?.value || '').trim();
+
+      return [{
+        id: uid ? `ics-${uid}` : `${date}-${sides.opponent.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        kickoff: toKickoffString(start.kickoff),
+        timeConfirmed: start.timeConfirmed,
+        length,
+        opponent: sides.opponent,
+        opponentShort: 'TBD',
+        opponentId: null,
+        opponentLogoUrl: '',
+        isHome,
+        venue: location.split(',')[0].trim() || (isHome ? HOME_VENUE : 'Away'),
+        competition: competition ? competition.label : '',
+        competitionId: competition ? competition.value : null,
+        status: (event.STATUS?.value || '').toUpperCase() === 'CANCELLED' ? 'other' : 'scheduled',
+        result: null
+      }];
+    });
+  }
+};
+
+export const SCHEDULE_ADAPTERS = [sportmonksAdapter, jsonAdapter, csvAdapter, icsAdapter];
+
+/**
+ * Guess the format of schedule data
+ * @param {Array|Object|string} data - Parsed JSON, or the text of a file
+ * @returns {string} Adapter ID from SCHEDULE_ADAPTERS
+ */
+export const detectScheduleFormat = (data) => {
+  if (typeof data === 'string') {
+    if (/^\s*BEGIN:VCALENDAR/i.test(data)) return 'ics';
+    return /^\s*[[{]/.test(data) ? detectScheduleFormat(JSON.parse(data)) : 'csv';
+  }
+  if (Array.isArray(data) && data.some(entry => entry && (entry.fixtures || entry.rounds))) {
+    return 'sportmonks';
+  }
+  return 'json';
+};
+
+/**
+ * Turn schedule data in any supported format into Matches sorted by kickoff
+ * @param {Array|Object|string} data - Parsed JSON, or the text of a JSON, CSV or .ics file
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - Adapter ID from SCHEDULE_ADAPTERS; detected when omitted
+ * @param {number} [options.teamId] - Sportmonks team ID, for Sportmonks schedules
+ * @param {string} [options.teamName] - Team name in event summaries, for iCalendar files
+ * @returns {Array<Match>} Matches
+ */
+export const parseSchedule = (data, { format, ...options } = {}) => {
+  const adapterId = format || detectScheduleFormat(data);
+  const adapter = SCHEDULE_ADAPTERS.find(entry => entry.id === adapterId);
+  if (!adapter) {
+    throw new Error(`Unknown schedule format "${adapterId}". Available: ${SCHEDULE_ADAPTERS.map(entry => entry.id).join(', ')}`);
+  }
+
+  const input = typeof data === 'string' && !['csv', 'ics'].includes(adapter.id) ? JSON.parse(data) : data;
+  return adapter.toMatches(input, options)
+    .sort((a, b) => parseScheduleDate(a.kickoff) - parseScheduleDate(b.kickoff));
+};
+
+/**
+ * Parse Seattle's or Vancouver's schedule for the Cascadia Cup table. Results are read
+ * from that club's point of view, like the Timbers schedule.
+ * @param {Array|Object|string} data - Schedule in any format parseSchedule() reads
+ * @param {string} shortCode - The club's short code from CASCADIA_RIVALS, e.g. 'SEA'
+ * @returns {{teamId: number, matches: Array<Match>}} Entry for computeCascadiaCupStandings() rivalSchedules
+ * @throws {Error} When the club isn't a Cascadia rival or the schedule can't be parsed
+ */
+export const parseRivalSchedule = (data, shortCode) => {
+  const team = CASCADIA_RIVALS.find(entry => entry.shortCode === String(shortCode).toUpperCase());
+  if (!team) {
+    throw new Error(`Unknown Cascadia rival "${shortCode}". Available: ${CASCADIA_RIVALS.map(entry => entry.shortCode).join(', ')}`);
+  }
+  return {
+    teamId: team.id,
+    matches: parseSchedule(data, { teamId: team.id, teamName: team.name.split(' ')[0] })
+  };
+};
@@ -0,0 +1,277 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvAdapter, jsonAdapter, sportmonksAdapter, detectScheduleFormat, parseSchedule, parseRivalSchedule } from './scheduleAdapters.js';
+
+/**
+ * Build a Sportmonks participant
+ * @param {number} id - Team ID
+ * @param {string} name - Team name
+ * @param {string} location - 'home' or 'away'
+ * @param {boolean|null} [winner] - meta.winner
+ * @returns {Object} Participant
+ */
+const participant = (id, name, location, winner = null) => ({
+  id,
+  name,
+  short_code: name.slice(0, 3).toUpperCase(),
+  image_path: `https://cdn.sportmonks.com/images/soccer/teams/${id}.png`,
+  meta: { location, winner, position: null }
+});
+
+/**
+ * Build a Sportmonks fixture for the Timbers (607) against Seattle (2649)
+ * @param {Object} fields - Fixture fields to set
+ * @param {Array<number>} [goals] - Final goals for Portland and Seattle, or nothing for no score
+ * @param {Array<boolean|null>} [winners] - meta.winner for Portland and Seattle
+ * @returns {Object} Fixture
+ */
+const fixture = (fields, goals, winners = [null, null]) => ({
+  state_id: 5,
+  result_info: null,
+  length: 90,
+  participants: [participant(607, 'Portland Timbers', 'home', winners[0]), participant(2649, 'Seattle Sounders FC', 'away', winners[1])],
+  scores: goals
+    ? [
+      { participant_id: 607, description: 'CURRENT', score: { goals: goals[0], participant: 'home' } },
+      { participant_id: 2649, description: 'CURRENT', score: { goals: goals[1], participant: 'away' } },
+      { participant_id: 607, description: '1ST_HALF', score: { goals: 0, participant: 'home' } }
+    ]
+    : [],
+  ...fields
+});
+
+const SPORTMONKS_SCHEDULE = [
+  {
+    id: 1,
+    league_id: 779,
+    name: 'Regular Season',
+    fixtures: [
+      fixture({ id: 10, starting_at: '2025-10-19 01:00:00', state_id: 1 }),
+      fixture({ id: 11, starting_at: '2025-05-11 02:30:00', result_info: 'Portland Timbers won after full-time.' }, [2, 1], [true, false]),
+      fixture({ id: 12, starting_at: '2025-08-30 20:00:00', state_id: 10 }),
+      fixture({ id: 13, starting_at: '2025-06-01 02:30:00', participants: [participant(1, 'LA Galaxy', 'home'), participant(2, 'LAFC', 'away')] })
+    ]
+  },
+  {
+    id: 2,
+    league_id: 3211,
+    name: 'Group Stage',
+    rounds: [
+      {
+        id: 20,
+        fixtures: [
+          fixture({ id: 21, starting_at: '2025-08-01 22:00:00', result_info: 'Portland Timbers won after penalties.' }, [1, 1], [true, false]),
+          fixture({ id: 22, starting_at: '2025-08-06 03:00:00', result_info: 'Seattle Sounders FC won after extra-time.' }, [1, 2], [false, true])
+        ]
+      }
+    ]
+  }
+];
+
+describe('detectScheduleFormat', () => {
+  it('recognises Sportmonks stages', () => {
+    assert.equal(detectScheduleFormat(SPORTMONKS_SCHEDULE), 'sportmonks');
+    assert.equal(detectScheduleFormat([{ id: 1, rounds: [] }]), 'sportmonks');
+  });
+
+  it('treats other JSON as a hand-written schedule', () => {
+    assert.equal(detectScheduleFormat([{ date: '2026-02-14', opponent: 'Portland Thorns', location: 'home' }]), 'json');
+    assert.equal(detectScheduleFormat({ matches: [] }), 'json');
+  });
+
+  it('reads file text by its first characters', () => {
+    assert.equal(detectScheduleFormat(JSON.stringify(SPORTMONKS_SCHEDULE)), 'sportmonks');
+    assert.equal(detectScheduleFormat('\n  {"matches": []}'), 'json');
+    assert.equal(detectScheduleFormat('date,opponent,location\n2026-02-14,Portland Thorns,home'), 'csv');
+    assert.equal(detectScheduleFormat('\r\nBEGIN:VCALENDAR\r\nVERSION:2.0\r\nEND:VCALENDAR\r\n'), 'ics');
+  });
+});
+
+describe('sportmonksAdapter', () => {
+  const matches = sportmonksAdapter.toMatches(SPORTMONKS_SCHEDULE);
+  const byId = (id) => matches.find(match => match.id === `sportmonks-${id}`);
+
+  it("reads only the team's fixtures, in and out of rounds", () => {
+    assert.deepEqual(matches.map(match => match.id), ['sportmonks-10', 'sportmonks-11', 'sportmonks-12', 'sportmonks-21', 'sportmonks-22']);
+  });
+
+  it('maps an upcoming fixture', () => {
+    assert.deepEqual(byId(10), {
+      id: 'sportmonks-10',
+      kickoff: '2025-10-19 01:00:00',
+      timeConfirmed: true,
+      length: 90,
+      opponent: 'Seattle Sounders FC',
+      opponentShort: 'SEA',
+      opponentId: 2649,
+      opponentLogoUrl: 'https://cdn.sportmonks.com/images/soccer/teams/2649.png',
+      isHome: true,
+      venue: 'Providence Park',
+      competition: 'Regular Season',
+      competitionId: 'mls',
+      status: 'scheduled',
+      result: null
+    });
+  });
+
+  it('reads the final score of a finished fixture', () => {
+    assert.equal(byId(11).status, 'finished');
+    assert.deepEqual(byId(11).result, { goalsFor: 2, goalsAgainst: 1, outcome: 'W', decidedBy: null });
+  });
+
+  it('takes shootout and extra-time outcomes from the winner', () => {
+    assert.deepEqual(byId(21).result, { goalsFor: 1, goalsAgainst: 1, outcome: 'W', decidedBy: 'penalties' });
+    assert.deepEqual(byId(22).result, { goalsFor: 1, goalsAgainst: 2, outcome: 'L', decidedBy: 'extraTime' });
+    assert.equal(byId(21).competitionId, 'leaguesCup');
+  });
+
+  it('leaves cancelled fixtures without a result', () => {
+    assert.equal(byId(12).status, 'other');
+    assert.equal(byId(12).result, null);
+  });
+
+  it('reads the schedule of another team', () => {
+    const seattle = sportmonksAdapter.toMatches(SPORTMONKS_SCHEDULE, { teamId: 2649 });
+    assert.equal(seattle.length, 5);
+    assert.equal(seattle[0].opponent, 'Portland Timbers');
+    assert.equal(seattle[0].isHome, false);
+    assert.equal(seattle[0].venue, 'Away');
+    assert.deepEqual(seattle[1].result, { goalsFor: 1, goalsAgainst: 2, outcome: 'L', decidedBy: null });
+  });
+});
+
+describe('jsonAdapter', () => {
+  it('reads an array or an object with matches', () => {
+    const entry = { date: '2026-02-14', opponent: 'Portland Thorns', location: 'home' };
+    assert.equal(jsonAdapter.toMatches([entry]).length, 1);
+    assert.equal(jsonAdapter.toMatches({ matches: [entry] }).length, 1);
+    assert.throws(() => jsonAdapter.toMatches({ fixtures: [entry] }), /must be an array of matches/);
+  });
+
+  it('converts Portland times to UTC and marks missing times', () => {
+    const [evening, tbd] = jsonAdapter.toMatches([
+      { date: '2026-02-14', time: '7:30 PM', opponent: 'Portland Thorns', location: 'home' },
+      { date: '2026-07-04', time: 'TBD', opponent: 'Tacoma Defiance', location: 'away' }
+    ]);
+
+    assert.equal(evening.kickoff, '2026-02-15 03:30:00');
+    assert.equal(evening.timeConfirmed, true);
+    assert.equal(tbd.kickoff, '2026-07-04 19:00:00');
+    assert.equal(tbd.timeConfirmed, false);
+    assert.equal(tbd.venue, 'Away');
+  });
+
+  it('maps scores to results', () => {
+    const results = jsonAdapter.toMatches([
+      { date: '2026-02-14', opponent: 'A', location: 'home', score: '2-1' },
+      { date: '2026-02-15', opponent: 'B', location: 'home', score: '0 - 0' },
+      { date: '2026-02-16', opponent: 'C', location: 'away', score: '1–3' },
+      { date: '2026-02-17', opponent: 'D', location: 'home', score: '2-1 AET' },
+      { date: '2026-02-18', opponent: 'E', location: 'away', score: '1-1 PEN', result: 'l' },
+      { date: '2026-02-19', opponent: 'F', location: 'away' }
+    ]).map(match => match.result);
+
+    assert.deepEqual(results, [
+      { goalsFor: 2, goalsAgainst: 1, outcome: 'W', decidedBy: null },
+      { goalsFor: 0, goalsAgainst: 0, outcome: 'D', decidedBy: null },
+      { goalsFor: 1, goalsAgainst: 3, outcome: 'L', decidedBy: null },
+      { goalsFor: 2, goalsAgainst: 1, outcome: 'W', decidedBy: 'extraTime' },
+      { goalsFor: 1, goalsAgainst: 1, outcome: 'L', decidedBy: 'penalties' },
+      null
+    ]);
+  });
+
+  it('matches competitions by value or label', () => {
+    const [cup, league, preseason] = jsonAdapter.toMatches([
+      { date: '2026-08-01', opponent: 'Querétaro', location: 'home', competition: 'Leagues Cup' },
+      { date: '2026-08-02', opponent: 'LA Galaxy', location: 'home', competition: 'mls' },
+      { date: '2026-08-03', opponent: 'Portland Thorns', location: 'home', competition: 'Preseason' }
+    ]);
+
+    assert.equal(cup.competitionId, 'leaguesCup');
+    assert.equal(league.competitionId, 'mls');
+    assert.equal(preseason.competitionId, null);
+    assert.equal(preseason.competition, 'Preseason');
+  });
+
+  it('names the entry with a problem', () => {
+    const valid = { date: '2026-02-14', opponent: 'Portland Thorns', location: 'home' };
+    assert.throws(() => jsonAdapter.toMatches([valid, { ...valid, date: '14/02/2026' }]), /^Error: Schedule match 2: invalid date "14\/02\/2026"/);
+    assert.throws(() => jsonAdapter.toMatches([{ ...valid, location: 'neutral' }]), /match 1: invalid location "neutral"/);
+    assert.throws(() => jsonAdapter.toMatches([{ ...valid, time: '25:00' }]), /match 1: invalid time "25:00"/);
+    assert.throws(() => jsonAdapter.toMatches([{ ...valid, score: 'won' }]), /match 1: invalid score "won"/);
+    assert.throws(() => jsonAdapter.toMatches([{ ...valid, score: '1-1 PEN', result: 'X' }]), /match 1: invalid result "X"/);
+  });
+});
+
+describe('csvAdapter', () => {
+  it('reads columns in any order, with quoted fields', () => {
+    const text = [
+      '﻿opponent,date,location,venue,competition,time',
+      '"Seattle Sounders FC",2026-03-07,away,"Lumen Field, Seattle",MLS,19:30',
+      '"The ""Other"" Portland",2026-03-14,home,"Providence Park',
+      'Portland, OR",Friendlies,'
+    ].join('\r\n');
+
+    const [seattle, friendly] = csvAdapter.toMatches(text);
+
+    assert.equal(seattle.opponent, 'Seattle Sounders FC');
+    assert.equal(seattle.venue, 'Lumen Field, Seattle');
+    assert.equal(seattle.isHome, false);
+    assert.equal(seattle.competitionId, 'mls');
+    assert.equal(seattle.kickoff, '2026-03-08 03:30:00');
+    assert.equal(friendly.opponent, 'The "Other" Portland');
+    assert.equal(friendly.venue, 'Providence Park\r\nPortland, OR');
+    assert.equal(friendly.competitionId, 'friendly');
+    assert.equal(friendly.timeConfirmed, false);
+  });
+
+  it('skips blank lines and keeps IDs unique', () => {
+    const matches = csvAdapter.toMatches('date,opponent,location\n\n2026-02-14,Portland Thorns,home\n , , \n2026-02-14,Portland Thorns,home\n');
+
+    assert.deepEqual(matches.map(match => match.id), ['2026-02-14-portland-thorns', '2026-02-14-portland-thorns-2']);
+  });
+
+  it('needs the required columns', () => {
+    assert.throws(() => csvAdapter.toMatches('date,team\n2026-02-14,Portland Thorns'), /header row with opponent, location columns/);
+    assert.throws(() => csvAdapter.toMatches(''), /header row with date, opponent, location columns/);
+  });
+
+  it('names rows as a spreadsheet does', () => {
+    assert.throws(
+      () => csvAdapter.toMatches('date,opponent,location\n2026-02-14,Portland Thorns,home\n2026-02-30,Tacoma Defiance,home'),
+      /Schedule row 3: invalid date "2026-02-30"/
+    );
+  });
+});
+
+describe('parseSchedule', () => {
+  it('detects the format and sorts by kickoff', () => {
+    const matches = parseSchedule('date,opponent,location\n2026-03-14,B,home\n2026-02-14,A,away');
+    assert.deepEqual(matches.map(match => match.opponent), ['A', 'B']);
+
+    const sportmonks = parseSchedule(JSON.stringify(SPORTMONKS_SCHEDULE));
+    assert.deepEqual(sportmonks.map(match => match.kickoff), [...sportmonks.map(match => match.kickoff)].sort());
+  });
+
+  it('uses a given format', () => {
+    assert.throws(() => parseSchedule('[]', { format: 'xml' }), /Unknown schedule format "xml". Available: sportmonks, json, csv, ics/);
+    assert.deepEqual(parseSchedule('date,opponent,location', { format: 'csv' }), []);
+  });
+});
+
+describe('parseRivalSchedule', () => {
+  it("reads Seattle's or Vancouver's schedule from that club's side", () => {
+    const { teamId, matches } = parseRivalSchedule(JSON.stringify(SPORTMONKS_SCHEDULE), 'sea');
+
+    assert.equal(teamId, 2649);
+    const result = matches.find(match => match.id === 'sportmonks-11');
+    assert.equal(result.opponent, 'Portland Timbers');
+    assert.equal(result.isHome, false);
+    assert.deepEqual([result.result.goalsFor, result.result.goalsAgainst, result.result.outcome], [1, 2, 'L']);
+  });
+
+  it('only takes the Cascadia rivals', () => {
+    assert.throws(() => parseRivalSchedule('date,opponent,location', 'POR'), /Unknown Cascadia rival "POR". Available: SEA, VAN/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Build iCalendar (RFC 5545) files from wallpaper matches, for "Add to calendar" in the
+ * app and the Worker's subscription feed. Like scheduleParser.js, this module must not
+ * import JSON or Vite-only assets so it can run anywhere.
+ */
+
+import { SCHEDULE_COMPETITIONS } from './constants.js';
+import { parseScheduleDate, getPacificDateParts, toIsoDate } from './scheduleDates.js';
+
+// Event length when the fixture doesn't give one, in minutes
+const DEFAULT_MATCH_LENGTH = 90;
+
+// Domain part of event UIDs, so they stay unique among the user's other calendars
+const UID_DOMAIN = 'timbers-wallpaper';
+
+/**
+ * Format a moment as an iCalendar UTC date-time, e.g. "20250706T023000Z"
+ * @param {Date} date - Moment to format
+ * @returns {string} Date-time
+ */
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a YYYY-MM-DD date as an iCalendar DATE, e.g. "20250706"
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {string} Date
+ */
+const formatDate = (isoDate) => isoDate.replace(/-/g, '');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without splitting a character
+ * @param {string} line - Content line
+ * @returns {string} Folded line, joined with CRLF and a space
+ */
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = '';
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Describe a match's competition, e.g. "MLS · Regular Season"
+ * @param {Object} match - Wallpaper match
+ * @returns {string} Competition label and stage, or '' when neither is known
+ */
+const describeCompetition = (match) => {
+  const label = SCHEDULE_COMPETITIONS.find(option => option.value === match.competitionId)?.label;
+  return [label, match.competition]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(' · ');
+};
+
+/**
+ * Build the VEVENT lines for one match. Matches without a kickoff time are whole-day
+ * events on their day in Portland.
+ * @param {Object} match - Wallpaper match from extractScheduleMatches()
+ * @param {Object} options - Event options
+ * @param {string} options.teamName - Team name in the summary
+ * @param {string} options.stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+const buildEvent = (match, { teamName, stamp }) => {
+  const kickoff = parseScheduleDate(match.time || match.date);
+  if (!kickoff) return [];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(`${match.id}@${UID_DOMAIN}`)}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (match.time) {
+    const end = new Date(kickoff.getTime() + (match.length || DEFAULT_MATCH_LENGTH) * 60000);
+    lines.push(`DTSTART:${formatUtcDateTime(kickoff)}`, `DTEND:${formatUtcDateTime(end)}`);
+  } else {
+    const day = getPacificDateParts(kickoff);
+    const nextDay = new Date(Date.UTC(day.year, day.month, day.day + 1));
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(toIsoDate(day))}`, `DTEND;VALUE=DATE:${formatUtcDateTime(nextDay).slice(0, 8)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(`${teamName} ${match.isHome ? 'vs' : '@'} ${match.opponent}`)}`);
+  const description = describeCompetition(match);
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (match.venue && match.venue !== 'Away') {
+    lines.push(`LOCATION:${escapeText(match.venue)}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build an .ics calendar with one event per match. UIDs come from the match IDs, so
+ * importing a newer file updates the events instead of duplicating them.
+ * @param {Array} matches - Wallpaper matches from extractScheduleMatches()
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string} [options.teamName] - Team name in event summaries
+ * @param {Date} [options.now] - Time the file is generated, for DTSTAMP
+ * @returns {string} Calendar text with CRLF line endings
+ */
+export const buildScheduleCalendar = (matches, { name = 'Portland Timbers', teamName = 'Timbers', now = new Date() } = {}) => {
+  const stamp = formatUtcDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Timbers Wallpaper Generator//Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...matches.flatMap(match => buildEvent(match, { teamName, stamp })),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScheduleCalendar } from './scheduleCalendar.js';
+import { parseSchedule } from './scheduleAdapters.js';
+import { extractUpcomingMatches } from './scheduleParser.js';
+import { findManifestLogo } from './logoMatcher.js';
+import { DEFAULT_SCHEDULE_FILTERS, SCHEDULE_COMPETITIONS } from './constants.js';
+import TIMBERS_SCHEDULE from '../assets/schedule.json' with { type: 'json' };
+import LOGO_MANIFEST from '../assets/logo/logo-manifest.json' with { type: 'json' };
+
+const NOW = new Date('2025-01-01T00:00:00Z');
+
+// Every competition, friendlies included
+const ALL_COMPETITIONS = { ...DEFAULT_SCHEDULE_FILTERS, competitions: SCHEDULE_COMPETITIONS.map(option => option.value) };
+
+/**
+ * Find an opponent's logo the way the app does
+ * @param {string} teamName - Team name
+ * @param {string} shortCode - Short code
+ * @returns {string|null} Logo path, or null for an unknown team
+ */
+const resolveLogo = (teamName, shortCode) => findManifestLogo(LOGO_MANIFEST.logos, teamName, shortCode)?.src || null;
+
+/**
+ * Build a wallpaper match, as extractScheduleMatches() returns it
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Wallpaper match
+ */
+const wallpaperMatch = (fields) => ({
+  id: 'sportmonks-1',
+  date: '2025-07-06 02:30:00',
+  time: '2025-07-06 02:30:00',
+  length: 90,
+  opponent: 'Seattle Sounders FC',
+  opponentShort: 'SEA',
+  isHome: true,
+  venue: 'Providence Park',
+  competition: 'Regular Season',
+  competitionId: 'mls',
+  logoUrl: '',
+  result: null,
+  ...fields
+});
+
+/**
+ * Unfold a calendar and return the value of the first line with a property name
+ * @param {string} calendar - Calendar text
+ * @param {string} name - Property name, with any parameters
+ * @returns {string|undefined} Value
+ */
+const getProperty = (calendar, name) => calendar
+  .replace(/\r\n /g, '')
+  .split('\r\n')
+  .find(line => line.startsWith(`${name}:`))
+  ?.slice(name.length + 1);
+
+describe('buildScheduleCalendar', () => {
+  it('builds a calendar with CRLF line endings', () => {
+    const calendar = buildScheduleCalendar([wallpaperMatch({})], { now: NOW });
+
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+    assert.doesNotMatch(calendar, /[^\r]\n/);
+    assert.equal(getProperty(calendar, 'X-WR-CALNAME'), 'Portland Timbers');
+  });
+
+  it('describes a match as an event', () => {
+    const calendar = buildScheduleCalendar([wallpaperMatch({})], { now: NOW });
+
+    assert.equal(getProperty(calendar, 'UID'), 'sportmonks-1@timbers-wallpaper');
+    assert.equal(getProperty(calendar, 'DTSTAMP'), '20250101T000000Z');
+    assert.equal(getProperty(calendar, 'DTSTART'), '20250706T023000Z');
+    assert.equal(getProperty(calendar, 'DTEND'), '20250706T040000Z');
+    assert.equal(getProperty(calendar, 'SUMMARY'), 'Timbers vs Seattle Sounders FC');
+    assert.equal(getProperty(calendar, 'DESCRIPTION'), 'MLS · Regular Season');
+    assert.equal(getProperty(calendar, 'LOCATION'), 'Providence Park');
+  });
+
+  it('ends events after the match length, or 90 minutes without one', () => {
+    const extraTime = buildScheduleCalendar([wallpaperMatch({ length: 120 })], { now: NOW });
+    const unknown = buildScheduleCalendar([wallpaperMatch({ length: null })], { now: NOW });
+
+    assert.equal(getProperty(extraTime, 'DTEND'), '20250706T043000Z');
+    assert.equal(getProperty(unknown, 'DTEND'), '20250706T040000Z');
+  });
+
+  it('makes matches without a kickoff time whole-day events on their Portland date', () => {
+    // 02:30 UTC on the 6th is still the 5th in Portland
+    const calendar = buildScheduleCalendar([wallpaperMatch({ time: null })], { now: NOW });
+
+    assert.equal(getProperty(calendar, 'DTSTART;VALUE=DATE'), '20250705');
+    assert.equal(getProperty(calendar, 'DTEND;VALUE=DATE'), '20250706');
+    assert.equal(getProperty(calendar, 'DTSTART'), undefined);
+  });
+
+  it('writes away matches with "@" and no location', () => {
+    const calendar = buildScheduleCalendar([wallpaperMatch({ isHome: false, venue: 'Away' })], { teamName: 'PTFC', now: NOW });
+
+    assert.equal(getProperty(calendar, 'SUMMARY'), 'PTFC @ Seattle Sounders FC');
+    assert.equal(getProperty(calendar, 'LOCATION'), undefined);
+  });
+
+  it('leaves out matches without a valid date', () => {
+    const calendar = buildScheduleCalendar([wallpaperMatch({ date: 'soon', time: null })], { now: NOW });
+    assert.doesNotMatch(calendar, /BEGIN:VEVENT/);
+  });
+
+  it('escapes backslashes, semicolons, commas and line breaks in text', () => {
+    const calendar = buildScheduleCalendar([wallpaperMatch({
+      opponent: 'Club; "A\\B", United',
+      venue: 'Providence Park\nPortland, OR'
+    })], { name: 'Timbers, 2025', now: NOW });
+
+    assert.equal(getProperty(calendar, 'SUMMARY'), 'Timbers vs Club\\; "A\\\\B"\\, United');
+    assert.equal(getProperty(calendar, 'LOCATION'), 'Providence Park\\nPortland\\, OR');
+    assert.equal(getProperty(calendar, 'X-WR-CALNAME'), 'Timbers\\, 2025');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const opponent = `${'Ñandú Fútbol Club '.repeat(6)}🌲`.repeat(2);
+    const calendar = buildScheduleCalendar([wallpaperMatch({ opponent })], { now: NOW });
+    const lines = calendar.split('\r\n');
+    const encoder = new TextEncoder();
+
+    assert.ok(lines.some(line => line.startsWith(' ')), 'nothing was folded');
+    lines.forEach(line => assert.ok(encoder.encode(line).length <= 75, `"${line}" is longer than 75 octets`));
+    // A split multibyte character would decode to a replacement character
+    lines.forEach(line => assert.doesNotMatch(line, /�/));
+    assert.equal(getProperty(calendar, 'SUMMARY'), `Timbers vs ${opponent}`);
+  });
+});
+
+describe('calendar round trip', () => {
+  it('reads back the matches it was built from', () => {
+    const matches = parseSchedule([
+      { date: '2025-03-01', time: '7:30 PM', opponent: 'Seattle Sounders FC', location: 'home', venue: 'Providence Park', competition: 'MLS' },
+      { date: '2025-03-08', opponent: 'Vancouver Whitecaps FC', location: 'away', competition: 'MLS' },
+      { date: '2025-08-01', time: '17:00', opponent: 'Club Tijuana', location: 'away', competition: 'Leagues Cup' }
+    ], { format: 'json' });
+    const exported = extractUpcomingMatches(matches, { now: NOW, limit: Infinity });
+
+    const imported = parseSchedule(buildScheduleCalendar(exported, { now: NOW }), { format: 'ics' });
+
+    assert.deepEqual(
+      imported.map(({ kickoff, timeConfirmed, opponent, isHome, competitionId }) => ({ kickoff, timeConfirmed, opponent, isHome, competitionId })),
+      matches.map(({ kickoff, timeConfirmed, opponent, isHome, competitionId }) => ({ kickoff, timeConfirmed, opponent, isHome, competitionId }))
+    );
+    assert.deepEqual(imported.map(match => match.length), [90, null, 90]);
+    assert.equal(imported[0].venue, 'Providence Park');
+    assert.equal(imported[0].id, 'ics-2025-03-01-seattle-sounders-fc@timbers-wallpaper');
+  });
+
+  it('keeps every match of the bundled schedule', () => {
+    // Results count as upcoming here, so every match is exported
+    const matches = parseSchedule(TIMBERS_SCHEDULE, { format: 'sportmonks' })
+      .map(match => ({ ...match, status: 'scheduled' }));
+    const exported = extractUpcomingMatches(matches, { now: NOW, limit: Infinity, filters: ALL_COMPETITIONS, resolveLogo });
+
+    const imported = parseSchedule(buildScheduleCalendar(exported, { now: NOW }), { format: 'ics' });
+
+    assert.equal(imported.length, matches.length);
+    imported.forEach((match, index) => {
+      assert.equal(match.id, `ics-${matches[index].id}@timbers-wallpaper`);
+      assert.equal(match.kickoff, matches[index].kickoff);
+      assert.equal(match.opponent, matches[index].opponent);
+      assert.equal(match.isHome, matches[index].isHome, `${match.id} changed sides`);
+      assert.equal(match.length, matches[index].length);
+    });
+  });
+});
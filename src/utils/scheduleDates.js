@@ -0,0 +1,154 @@
+/**
+ * Date helpers for schedule data, shared by the app and the Node scripts. Every
+ * kickoff string is parsed here, so all sources and formatters agree on the day.
+ */
+
+// Schedule dates are shown in Portland time
+export const SCHEDULE_TIME_ZONE = 'America/Los_Angeles';
+
+// Formatters by time zone, as creating one is slow
+const dateTimeFormats = new Map();
+
+/**
+ * Get a formatter that splits a moment into its wall clock parts in a time zone
+ * @param {string} timeZone - IANA time zone, e.g. "America/Los_Angeles"
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} When the time zone isn't supported
+ */
+const getDateTimeFormat = (timeZone) => {
+  if (!dateTimeFormats.has(timeZone)) {
+    dateTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  return dateTimeFormats.get(timeZone);
+};
+
+/**
+ * Check a time zone name can be used for conversions
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} Whether Intl supports it
+ */
+export const isSupportedTimeZone = (timeZone) => {
+  try {
+    getDateTimeFormat(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parse a kickoff from schedule data. Kickoffs are UTC strings like "2025-07-06 02:30:00"
+ * or "2025-07-06"; ISO strings with a "T" and an offset, and Date objects, are accepted
+ * too. The parts are read by hand because iOS Safari rejects the space-separated form.
+ * @param {string|Date} value - Kickoff to parse
+ * @returns {Date|null} The moment, or null when the value is missing or invalid
+ */
+export const parseScheduleDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string' || !value) return null;
+
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, offset] = match;
+  let time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  // Date.UTC rolls over out of range parts, e.g. a 13th month, so check they survived
+  const check = new Date(time);
+  if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day) ||
+      check.getUTCHours() !== Number(hour) || check.getUTCMinutes() !== Number(minute)) {
+    return null;
+  }
+
+  if (offset && offset !== 'Z') {
+    const sign = offset.startsWith('-') ? -1 : 1;
+    const digits = offset.slice(1).replace(':', '');
+    time -= sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  }
+
+  const date = new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the calendar date and time of a moment in a time zone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   Year, zero-based month, day of the month and 24-hour time
+ */
+export const getZonedDateParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getDateTimeFormat(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10) - 1,
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10)
+  };
+};
+
+/**
+ * Get the calendar date and time of a moment in Portland time
+ * @param {Date} date - Moment to convert
+ * @returns {Object} Parts, see getZonedDateParts()
+ */
+export const getPacificDateParts = (date) => getZonedDateParts(date, SCHEDULE_TIME_ZONE);
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {{year: number, month: number, day: number}} parts - Year, zero-based month and day
+ * @returns {string} ISO date
+ */
+export const toIsoDate = ({ year, month, day }) =>
+  `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Convert a wall clock time in a time zone to the moment it happens
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {number} [hour=0] - Hour, 0 to 23
+ * @param {number} [minute=0] - Minute
+ * @param {string} [timeZone] - IANA time zone, Portland time by default
+ * @returns {Date} The moment
+ */
+export const fromZonedTime = (isoDate, hour = 0, minute = 0, timeZone = SCHEDULE_TIME_ZONE) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at that wall clock time, then correct once for a DST change in between
+  let time = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getZonedDateParts(new Date(time), timeZone);
+    const localAsUtc = Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second);
+    time += wallClock - localAsUtc;
+  }
+  return new Date(time);
+};
+
+/**
+ * Convert a wall clock time in Portland to the moment it happens
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {number} [hour=0] - Hour, 0 to 23
+ * @param {number} [minute=0] - Minute
+ * @returns {Date} The moment
+ */
+export const fromPacificTime = (isoDate, hour = 0, minute = 0) => fromZonedTime(isoDate, hour, minute, SCHEDULE_TIME_ZONE);
+
+/**
+ * Format a moment the way kickoffs are stored: UTC as "YYYY-MM-DD HH:MM:SS"
+ * @param {Date} date - Moment to format
+ * @returns {string} Kickoff string
+ */
+export const toKickoffString = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
@@ -0,0 +1,379 @@
+/**
+ * Pure schedule parsing helpers shared by the app and the Node scripts. They work on
+ * Matches from parseSchedule() in scheduleAdapters.js, whatever the schedule's source.
+ * This module must not import JSON or Vite-only assets so it can run anywhere.
+ */
+
+import {
+  MAX_FIXTURE_COUNT,
+  DEFAULT_FIXTURE_COUNT,
+  FIXTURE_COUNT_REST_OF_MONTH,
+  DEFAULT_SCHEDULE_FILTERS,
+  MIXED_SCHEDULE_COUNTS,
+  SEASON_FORM_LENGTH,
+  CASCADIA_CUP_TEAMS,
+  TIMBERS_TEAM_ID
+} from './constants.js';
+import { parseScheduleDate, getPacificDateParts, toIsoDate } from './scheduleDates.js';
+import { debugWarn } from './debug.js';
+
+/**
+ * Get a match's kickoff as a Date
+ * @param {Object} match - Match from parseSchedule()
+ * @returns {Date} Kickoff
+ */
+const getKickoff = (match) => parseScheduleDate(match.kickoff);
+
+/**
+ * Check a match against the schedule filters. Competitions missing from
+ * SCHEDULE_COMPETITIONS can't be filtered out, so they are always kept.
+ * @param {Object} match - Match from parseSchedule()
+ * @param {Object} [filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @returns {boolean} Whether the match passes
+ */
+export const matchesScheduleFilters = (match, filters = DEFAULT_SCHEDULE_FILTERS) => {
+  const { competitions, venue, from, to } = { ...DEFAULT_SCHEDULE_FILTERS, ...filters };
+
+  if (match.competitionId && !competitions.includes(match.competitionId)) return false;
+
+  if (venue !== 'all' && (match.isHome ? 'home' : 'away') !== venue) return false;
+
+  if (from || to) {
+    const date = toIsoDate(getPacificDateParts(getKickoff(match)));
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Turn a match into the shape the wallpaper uses, with the best logo for the opponent
+ * @param {Object} match - Match from parseSchedule()
+ * @param {Function} [resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Object} Wallpaper match; `time` is null when the kickoff time isn't known yet
+ */
+const toWallpaperMatch = (match, resolveLogo) => {
+  // Try to get high quality logo from manifest first, fall back to the schedule's logo
+  let highQualityLogo = null;
+  if (resolveLogo) {
+    try {
+      highQualityLogo = resolveLogo(match.opponent, match.opponentShort === 'TBD' ? '' : match.opponentShort);
+    } catch (error) {
+      debugWarn(`Error finding logo for team ${match.opponent}:`, error);
+    }
+  }
+
+  return {
+    id: match.id,
+    date: match.kickoff,
+    time: match.timeConfirmed ? match.kickoff : null,
+    length: match.length,
+    opponent: match.opponent,
+    opponentShort: match.opponentShort,
+    isHome: match.isHome,
+    venue: match.venue,
+    competition: match.competition,
+    competitionId: match.competitionId,
+    logoUrl: highQualityLogo || match.opponentLogoUrl || '',
+    result: match.result
+  };
+};
+
+/**
+ * Turn the fixture count setting into extraction options
+ * @param {number|string} fixtureCount - Number of matches, or FIXTURE_COUNT_REST_OF_MONTH
+ * @returns {{limit: number, restOfMonth: boolean}} Options for extractUpcomingMatches()
+ */
+export const getFixtureCountOptions = (fixtureCount) => {
+  if (fixtureCount === FIXTURE_COUNT_REST_OF_MONTH) {
+    return { limit: MAX_FIXTURE_COUNT, restOfMonth: true };
+  }
+  return { limit: fixtureCount, restOfMonth: false };
+};
+
+/**
+ * Extract upcoming matches from schedule data
+ * @param {Array} matches - Matches from parseSchedule()
+ * @param {Object} [options] - Extraction options
+ * @param {Date} [options.now] - Only matches after this moment are upcoming (defaults to now)
+ * @param {number} [options.limit] - Maximum number of matches to return
+ * @param {boolean} [options.restOfMonth] - Only include matches in the same month as `now`, in Portland time
+ * @param {Object} [options.filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Array} Array of upcoming matches
+ */
+export const extractUpcomingMatches = (matches, { now = new Date(), limit = 4, restOfMonth = false, filters, resolveLogo } = {}) => {
+  const thisMonth = getPacificDateParts(now);
+  const upcoming = matches.filter(match => {
+    if (!(match.status === 'scheduled' && getKickoff(match) > now)) return false;
+    if (!matchesScheduleFilters(match, filters)) return false;
+    if (!restOfMonth) return true;
+
+    const local = getPacificDateParts(getKickoff(match));
+    return local.year === thisMonth.year && local.month === thisMonth.month;
+  });
+
+  upcoming.sort((a, b) => getKickoff(a) - getKickoff(b));
+
+  return upcoming.slice(0, limit).map(match => toWallpaperMatch(match, resolveLogo));
+};
+
+/**
+ * Extract the most recent results from schedule data, oldest first
+ * @param {Array} matches - Matches from parseSchedule()
+ * @param {Object} [options] - Extraction options
+ * @param {Date} [options.now] - Only matches before this moment count (defaults to now)
+ * @param {number} [options.limit] - Maximum number of results to return
+ * @param {boolean} [options.restOfMonth] - Only include results in the same month as `now`, in Portland time
+ * @param {Object} [options.filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Array} Finished matches, each with a `result`
+ */
+export const extractRecentResults = (matches, { now = new Date(), limit = 4, restOfMonth = false, filters, resolveLogo } = {}) => {
+  const thisMonth = getPacificDateParts(now);
+  const finished = matches.filter(match => {
+    if (!(match.result && getKickoff(match) <= now)) return false;
+    if (!matchesScheduleFilters(match, filters)) return false;
+    if (!restOfMonth) return true;
+
+    const local = getPacificDateParts(getKickoff(match));
+    return local.year === thisMonth.year && local.month === thisMonth.month;
+  });
+
+  finished.sort((a, b) => getKickoff(a) - getKickoff(b));
+
+  return finished.slice(-limit).map(match => toWallpaperMatch(match, resolveLogo));
+};
+
+/**
+ * Extract the matches for a schedule mode: the next fixtures, the last results, or
+ * the last MIXED_SCHEDULE_COUNTS.results results followed by the next fixtures
+ * @param {Array} matches - Matches from parseSchedule()
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.mode] - Mode from SCHEDULE_MODES
+ * @param {number|string} [options.fixtureCount] - Number of matches, or "month"; ignored by the mixed mode
+ * @param {Date} [options.now] - Moment separating results from upcoming fixtures (defaults to now)
+ * @param {Object} [options.filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Array} Matches in date order; finished ones have a `result`
+ */
+export const extractScheduleMatches = (matches, { mode = 'upcoming', fixtureCount = DEFAULT_FIXTURE_COUNT, ...options } = {}) => {
+  if (mode === 'results') {
+    return extractRecentResults(matches, { ...options, ...getFixtureCountOptions(fixtureCount) });
+  }
+  if (mode === 'mixed') {
+    return [
+      ...extractRecentResults(matches, { ...options, limit: MIXED_SCHEDULE_COUNTS.results }),
+      ...extractUpcomingMatches(matches, { ...options, limit: MIXED_SCHEDULE_COUNTS.upcoming })
+    ];
+  }
+  return extractUpcomingMatches(matches, { ...options, ...getFixtureCountOptions(fixtureCount) });
+};
+
+/**
+ * Find the season the latest of some finished matches belongs to. MLS seasons follow
+ * the calendar year in Portland time.
+ * @param {Array<Date>} dates - Kickoff times, in date order
+ * @returns {number|null} Season year, or null when there are none
+ */
+const getSeasonYear = (dates) => dates.length > 0 ? getPacificDateParts(dates[dates.length - 1]).year : null;
+
+/**
+ * Count the Timbers' record over the current season: the Portland year of the latest
+ * result before `now`, so an old schedule still shows its last season
+ * @param {Array} matches - Matches from parseSchedule()
+ * @param {Object} [options] - Record options
+ * @param {Date} [options.now] - Only results before this moment count (defaults to now)
+ * @param {Array<string>} [options.competitions] - Competition ids to count, see SCHEDULE_COMPETITIONS; all when omitted
+ * @param {number} [options.formLength] - Number of recent outcomes in the form guide
+ * @returns {Object} played, wins, draws, losses, goalsFor, goalsAgainst and form
+ *   (the latest outcomes, oldest first)
+ */
+export const computeSeasonRecord = (matches, { now = new Date(), competitions, formLength = SEASON_FORM_LENGTH } = {}) => {
+  const results = matches
+    .filter(match => !competitions || competitions.includes(match.competitionId))
+    .map(match => ({ date: getKickoff(match), result: match.result }))
+    .filter(({ date, result }) => result && date <= now)
+    .sort((a, b) => a.date - b.date);
+
+  const season = getSeasonYear(results.map(({ date }) => date));
+  const seasonResults = results
+    .filter(({ date }) => getPacificDateParts(date).year === season)
+    .map(({ result }) => result);
+
+  return {
+    played: seasonResults.length,
+    wins: seasonResults.filter(result => result.outcome === 'W').length,
+    draws: seasonResults.filter(result => result.outcome === 'D').length,
+    losses: seasonResults.filter(result => result.outcome === 'L').length,
+    goalsFor: seasonResults.reduce((total, result) => total + result.goalsFor, 0),
+    goalsAgainst: seasonResults.reduce((total, result) => total + result.goalsAgainst, 0),
+    form: seasonResults.slice(-formLength).map(result => result.outcome)
+  };
+};
+
+/**
+ * Find the Cascadia Cup club a match is against, by Sportmonks ID or, for schedules
+ * without IDs, by short code or city
+ * @param {Object} match - Match from parseSchedule()
+ * @returns {Object|undefined} CASCADIA_CUP_TEAMS entry
+ */
+const getCascadiaOpponent = (match) => CASCADIA_CUP_TEAMS.find(team => {
+  if (match.opponentId != null) return team.id === match.opponentId;
+  const city = team.name.split(' ')[0].toLowerCase();
+  return team.shortCode === match.opponentShort || String(match.opponent || '').toLowerCase().includes(city);
+});
+
+/**
+ * Whether a result counts for the Cascadia Cup: an MLS match between two of the clubs
+ * @param {number} teamId - CASCADIA_CUP_TEAMS id of the club whose schedule it is
+ * @param {Object} match - Match from parseSchedule()
+ * @param {Date} now - Only results before this moment count
+ * @returns {boolean} Whether the match counts
+ */
+const isCascadiaCupResult = (teamId, match, now) => {
+  const opponent = match.competitionId === 'mls' && match.result && getCascadiaOpponent(match);
+  return Boolean(opponent) && opponent.id !== teamId && getKickoff(match) <= now;
+};
+
+/**
+ * Pick the Seattle v Vancouver results out of one of their schedules. Their matches
+ * against the Timbers are left out, since the Timbers schedule already has them.
+ * @param {Object} rivalSchedule - `{teamId, matches}`, see computeCascadiaCupStandings()
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Only results before this moment count (defaults to now)
+ * @returns {Array} Matches from the rival's schedule
+ */
+export const extractRivalCupResults = ({ teamId, matches }, { now = new Date() } = {}) => matches
+  .filter(match => isCascadiaCupResult(teamId, match, now) && getCascadiaOpponent(match).id !== TIMBERS_TEAM_ID);
+
+/**
+ * Compute the Cascadia Cup table from the MLS matches between Portland, Seattle and
+ * Vancouver in the current season. Teams are ranked by the cup's tiebreakers: points
+ * (3 for a win, 1 for a draw), goal difference, goals scored, then away goals scored.
+ * The Timbers schedule has no Seattle v Vancouver matches, so those only count when
+ * Seattle's or Vancouver's own schedule is passed in `rivalSchedules`.
+ * @param {Array} matches - Timbers matches from parseSchedule()
+ * @param {Object} [options] - Standings options
+ * @param {Date} [options.now] - Only results before this moment count (defaults to now)
+ * @param {Array<{teamId: number, matches: Array}>} [options.rivalSchedules] - Matches from
+ *   parseSchedule() for Seattle or Vancouver, by CASCADIA_CUP_TEAMS id. Only their results
+ *   against each other are used, and a match in both schedules counts once.
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Array} Rows in table order, each a CASCADIA_CUP_TEAMS entry with rank, played,
+ *   wins, draws, losses, goalsFor, goalsAgainst, goalDifference, awayGoals, points and logoUrl
+ */
+export const computeCascadiaCupStandings = (matches, { now = new Date(), rivalSchedules = [], resolveLogo } = {}) => {
+  // A result from one club's schedule as a fixture between two clubs
+  const toFixture = (teamId, match) => {
+    const opponentId = getCascadiaOpponent(match).id;
+    const { goalsFor, goalsAgainst } = match.result;
+    return {
+      kickoff: getKickoff(match),
+      homeId: match.isHome ? teamId : opponentId,
+      awayId: match.isHome ? opponentId : teamId,
+      homeGoals: match.isHome ? goalsFor : goalsAgainst,
+      awayGoals: match.isHome ? goalsAgainst : goalsFor
+    };
+  };
+
+  const timbersFixtures = matches
+    .filter(match => isCascadiaCupResult(TIMBERS_TEAM_ID, match, now))
+    .map(match => toFixture(TIMBERS_TEAM_ID, match));
+
+  const rivalFixtures = new Map();
+  rivalSchedules.forEach(rivalSchedule => {
+    extractRivalCupResults(rivalSchedule, { now })
+      .map(match => toFixture(rivalSchedule.teamId, match))
+      .forEach(fixture => {
+        rivalFixtures.set(`${toIsoDate(getPacificDateParts(fixture.kickoff))}|${fixture.homeId}|${fixture.awayId}`, fixture);
+      });
+  });
+
+  const fixtures = [...timbersFixtures, ...rivalFixtures.values()].sort((a, b) => a.kickoff - b.kickoff);
+  const season = getSeasonYear(fixtures.map(fixture => fixture.kickoff));
+  const rows = CASCADIA_CUP_TEAMS.map(team => ({
+    ...team,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    awayGoals: 0,
+    points: 0
+  }));
+
+  const addResult = (teamId, goalsFor, goalsAgainst, isAway) => {
+    const row = rows.find(entry => entry.id === teamId);
+    row.played += 1;
+    row.goalsFor += goalsFor;
+    row.goalsAgainst += goalsAgainst;
+    if (isAway) row.awayGoals += goalsFor;
+
+    if (goalsFor > goalsAgainst) {
+      row.wins += 1;
+      row.points += 3;
+    } else if (goalsFor < goalsAgainst) {
+      row.losses += 1;
+    } else {
+      row.draws += 1;
+      row.points += 1;
+    }
+  };
+
+  fixtures
+    .filter(fixture => getPacificDateParts(fixture.kickoff).year === season)
+    .forEach(fixture => {
+      addResult(fixture.homeId, fixture.homeGoals, fixture.awayGoals, false);
+      addResult(fixture.awayId, fixture.awayGoals, fixture.homeGoals, true);
+    });
+
+  return rows
+    .map(row => ({ ...row, goalDifference: row.goalsFor - row.goalsAgainst }))
+    .sort((a, b) =>
+      b.points - a.points ||
+      b.goalDifference - a.goalDifference ||
+      b.goalsFor - a.goalsFor ||
+      b.awayGoals - a.awayGoals
+    )
+    .map((row, index) => {
+      let logoUrl = null;
+      if (resolveLogo) {
+        try {
+          logoUrl = resolveLogo(row.name, row.shortCode);
+        } catch (error) {
+          debugWarn(`Error finding logo for team ${row.name}:`, error);
+        }
+      }
+      return { ...row, rank: index + 1, logoUrl };
+    });
+};
+
+/**
+ * Extract every match in one calendar month, played or not, for the month calendar.
+ * Months and days follow Portland time, so a late kickoff stays on its local day.
+ * @param {Array} matches - Matches from parseSchedule()
+ * @param {Object} [options] - Extraction options
+ * @param {Date} [options.now] - Moment the month is counted from (defaults to now)
+ * @param {number} [options.monthOffset] - 0 for the month containing `now`, 1 for the next month
+ * @param {Object} [options.filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {{year: number, month: number, matches: Array}} Zero-based month and its matches, each with a `day` of the month
+ */
+export const extractMonthMatches = (matches, { now = new Date(), monthOffset = 0, filters, resolveLogo } = {}) => {
+  const today = getPacificDateParts(now);
+  const monthStart = new Date(Date.UTC(today.year, today.month + monthOffset, 1));
+  const year = monthStart.getUTCFullYear();
+  const month = monthStart.getUTCMonth();
+
+  const monthMatches = matches
+    .filter(match => matchesScheduleFilters(match, filters))
+    .map(match => ({ match, local: getPacificDateParts(getKickoff(match)) }))
+    .filter(({ local }) => local.year === year && local.month === month)
+    .sort((a, b) => getKickoff(a.match) - getKickoff(b.match))
+    .map(({ match, local }) => ({ ...toWallpaperMatch(match, resolveLogo), day: local.day }));
+
+  return { year, month, matches: monthMatches };
+};
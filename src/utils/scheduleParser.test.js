@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCascadiaCupStandings, extractRivalCupResults } from './scheduleParser.js';
+
+const NOW = new Date('2025-11-01T00:00:00Z');
+
+/**
+ * Build a finished MLS match
+ * @param {string} kickoff - Kickoff in UTC, "YYYY-MM-DD HH:MM:SS"
+ * @param {string} opponent - Opponent name
+ * @param {boolean} isHome - Whether the schedule's team is at home
+ * @param {Array<number>} goals - Goals for and against
+ * @param {Object} [fields] - Other fields to set
+ * @returns {Object} Match
+ */
+const result = (kickoff, opponent, isHome, [goalsFor, goalsAgainst], fields = {}) => ({
+  id: `${kickoff}-${opponent}`,
+  kickoff,
+  opponent,
+  opponentShort: '',
+  opponentId: null,
+  isHome,
+  competitionId: 'mls',
+  status: 'finished',
+  result: { goalsFor, goalsAgainst, outcome: goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D' },
+  ...fields
+});
+
+const TIMBERS = [
+  result('2025-04-20 02:30:00', 'Seattle Sounders FC', true, [2, 1]),
+  result('2025-06-15 02:00:00', 'Vancouver Whitecaps FC', false, [1, 1]),
+  result('2025-07-01 02:00:00', 'LA Galaxy', true, [3, 0]),
+  result('2025-08-01 02:00:00', 'Seattle Sounders FC', false, [0, 0], { competitionId: 'leaguesCup' })
+];
+
+const SEATTLE = {
+  teamId: 2649,
+  matches: [
+    result('2025-04-20 02:30:00', 'Portland Timbers', false, [1, 2]),
+    result('2025-05-10 02:00:00', 'Vancouver Whitecaps FC', true, [3, 1]),
+    result('2025-09-20 02:00:00', 'Vancouver Whitecaps FC', false, [0, 2])
+  ]
+};
+
+const VANCOUVER = {
+  teamId: 292,
+  matches: [
+    result('2025-05-10 02:00:00', 'Seattle Sounders FC', false, [1, 3]),
+    result('2025-09-20 02:00:00', 'Seattle Sounders FC', true, [2, 0])
+  ]
+};
+
+const summarize = standings => standings.map(row => [row.shortCode, row.played, row.points, row.goalDifference]);
+
+describe('computeCascadiaCupStandings', () => {
+  it("ranks the Timbers' MLS meetings with the rivals on points", () => {
+    const standings = computeCascadiaCupStandings(TIMBERS, { now: NOW });
+
+    assert.deepEqual(summarize(standings), [['POR', 2, 4, 1], ['VAN', 1, 1, 0], ['SEA', 1, 0, -1]]);
+    assert.deepEqual(standings.map(row => row.rank), [1, 2, 3]);
+  });
+
+  it('adds Seattle v Vancouver from their schedules, counting each match once', () => {
+    const standings = computeCascadiaCupStandings(TIMBERS, { now: NOW, rivalSchedules: [SEATTLE, VANCOUVER] });
+
+    assert.deepEqual(summarize(standings), [['POR', 2, 4, 1], ['VAN', 3, 4, 0], ['SEA', 3, 3, -1]]);
+  });
+
+  it('breaks ties on goal difference, goals scored, then away goals', () => {
+    const standings = computeCascadiaCupStandings([
+      result('2025-04-20 02:30:00', 'Seattle Sounders FC', true, [2, 2]),
+      result('2025-06-15 02:00:00', 'Vancouver Whitecaps FC', false, [1, 1])
+    ], { now: NOW, rivalSchedules: [{ teamId: 2649, matches: [result('2025-05-10 02:00:00', 'Vancouver Whitecaps FC', false, [0, 0])] }] });
+
+    // Everyone has 2 points and GD 0; Portland scored most, and Seattle's goals were all away
+    assert.deepEqual(standings.map(row => [row.shortCode, row.goalsFor, row.awayGoals]), [['POR', 3, 1], ['SEA', 2, 2], ['VAN', 1, 0]]);
+  });
+
+  it('only counts the latest season before now', () => {
+    const standings = computeCascadiaCupStandings([
+      result('2024-10-01 02:00:00', 'Seattle Sounders FC', true, [0, 5]),
+      ...TIMBERS
+    ], { now: new Date('2025-05-01T00:00:00Z') });
+
+    assert.deepEqual(summarize(standings).find(row => row[0] === 'SEA'), ['SEA', 1, 0, -1]);
+    assert.equal(standings.find(row => row.shortCode === 'VAN').played, 0);
+  });
+});
+
+describe('extractRivalCupResults', () => {
+  it("leaves out the rival's matches against the Timbers", () => {
+    assert.deepEqual(extractRivalCupResults(SEATTLE, { now: NOW }).map(match => match.opponent), ['Vancouver Whitecaps FC', 'Vancouver Whitecaps FC']);
+  });
+});
@@ -1,127 +1,77 @@
 import TIMBERS_SCHEDULE from '../assets/schedule.json';
 import { getTeamLogoFromManifest } from './teamLogoHelper';
+import { parseSchedule } from './scheduleAdapters';
+import { extractScheduleMatches, extractUpcomingMatches, extractMonthMatches, computeSeasonRecord, computeCascadiaCupStandings } from './scheduleParser';
+import { DEFAULT_FIXTURE_COUNT, DEFAULT_SCHEDULE_FILTERS, DEFAULT_SCHEDULE_MODE, SEASON_RECORD_COMPETITIONS } from './constants';
+
+// The bundled Sportmonks schedule, turned into Matches once. Each getter reads it unless
+// given the matches from an imported calendar.
+export const TIMBERS_MATCHES = parseSchedule(TIMBERS_SCHEDULE, { format: 'sportmonks' });
 
 /**
- * Extract next matches from schedule data
- * @returns {Array} Array of upcoming matches
+ * Extract the next matches, the last results, or both from schedule data
+ * @param {string} [mode] - Mode from SCHEDULE_MODES
+ * @param {number|string} [fixtureCount] - Number of matches (1 to 8), or "month" for the rest of this month
+ * @param {Object} [filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Array} [matches] - Matches to read, the bundled schedule by default
+ * @returns {Array} Array of matches in date order; finished ones have a `result`
  */
-export const getNext4Matches = () => {
-  const currentDate = new Date();
-  let upcomingFixtures = [];
-
-  // Process each stage in the schedule
-  TIMBERS_SCHEDULE.forEach(stage => {
-    if (stage.fixtures) {
-      // Direct fixtures in stage
-      stage.fixtures.forEach(fixture => {
-        const matchDate = new Date(fixture.starting_at);
-        if (matchDate > currentDate && fixture.state_id === 1) {
-          upcomingFixtures.push({
-            ...fixture,
-            competition: stage.name,
-          });
-        }
-      });
-    }
-
-    // Process rounds within stages
-    if (stage.rounds) {
-      stage.rounds.forEach(round => {
-        if (round.fixtures) {
-          round.fixtures.forEach(fixture => {
-            const matchDate = new Date(fixture.starting_at);
-            if (matchDate > currentDate && fixture.state_id === 1) {
-              upcomingFixtures.push({
-                ...fixture,
-                competition: stage.name,
-              });
-            }
-          });
-        }
-      });
-    }
+export const getScheduleMatches = (mode = DEFAULT_SCHEDULE_MODE, fixtureCount = DEFAULT_FIXTURE_COUNT, filters = DEFAULT_SCHEDULE_FILTERS, matches = TIMBERS_MATCHES) => {
+  return extractScheduleMatches(matches, {
+    mode,
+    fixtureCount,
+    filters,
+    resolveLogo: getTeamLogoFromManifest
   });
+};
 
-  // Helper function to safely parse dates for sorting (iOS compatible)
-  const parseDateSafely = dateString => {
-    try {
-      if (!dateString) return new Date();
-      
-      const parts = dateString.split(' ');
-      const dateParts = parts[0].split('-');
-      
-      if (parts.length >= 2) {
-        // Has time components
-        const timeParts = parts[1].split(':');
-        return new Date(Date.UTC(
-          parseInt(dateParts[0], 10),    // year
-          parseInt(dateParts[1], 10) - 1, // month (0-based)
-          parseInt(dateParts[2], 10),    // day
-          parseInt(timeParts[0], 10),    // hour
-          parseInt(timeParts[1], 10),    // minute
-          parseInt(timeParts[2] || 0, 10) // second
-        ));
-      } else {
-        // Date only
-        return new Date(Date.UTC(
-          parseInt(dateParts[0], 10),    // year
-          parseInt(dateParts[1], 10) - 1, // month (0-based)
-          parseInt(dateParts[2], 10)     // day
-        ));
-      }
-    } catch (e) {
-      console.error('Error parsing date for sorting:', e);
-      return new Date(); // Return current date as fallback
-    }
-  };
-
-  // Sort by date using the safe parsing method
-  upcomingFixtures.sort((a, b) => 
-    parseDateSafely(a.starting_at) - parseDateSafely(b.starting_at)
-  );
+/**
+ * Extract every upcoming match, e.g. for a calendar export
+ * @param {Object} [filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Array} [matches] - Matches to read, the bundled schedule by default
+ * @returns {Array} Array of matches in date order
+ */
+export const getUpcomingMatches = (filters = DEFAULT_SCHEDULE_FILTERS, matches = TIMBERS_MATCHES) => {
+  return extractUpcomingMatches(matches, {
+    limit: Infinity,
+    filters,
+    resolveLogo: getTeamLogoFromManifest
+  });
+};
 
-  return upcomingFixtures.slice(0, 4).map(fixture => {
-    const opponent = fixture.participants.find(p => p.id !== 607);
-    const timbers = fixture.participants.find(p => p.id === 607);
-    const isHome = timbers.meta.location === 'home';
-    const opponentName = opponent?.name || 'TBD';
+/**
+ * Extract every match in the current or next month from schedule data
+ * @param {number} [monthOffset=0] - 0 for this month, 1 for next month
+ * @param {Object} [filters] - Competitions, venue and date window, see DEFAULT_SCHEDULE_FILTERS
+ * @param {Array} [matches] - Matches to read, the bundled schedule by default
+ * @returns {{year: number, month: number, matches: Array}} The month and its matches
+ */
+export const getMonthMatches = (monthOffset = 0, filters = DEFAULT_SCHEDULE_FILTERS, matches = TIMBERS_MATCHES) => {
+  return extractMonthMatches(matches, {
+    monthOffset,
+    filters,
+    resolveLogo: getTeamLogoFromManifest
+  });
+};
 
-    // Try to get high quality logo from manifest first, fall back to API provided logo
-    let highQualityLogo;
-    
-    try {
-      // Get the opponent's short code
-      const opponentShortCode = opponent?.short_code || '';
-      
-      // Try to match by short code first (more reliable), then by name if that fails
-      highQualityLogo = opponentShortCode ? 
-        getTeamLogoFromManifest(null, opponentShortCode) :
-        getTeamLogoFromManifest(opponentName, null);
-      
-      // If short code match failed, try name match as fallback
-      if (!highQualityLogo && opponentShortCode) {
-        highQualityLogo = getTeamLogoFromManifest(opponentName, null);
-      }
-    } catch (error) {
-      console.error(`Error finding logo for team ${opponentName}:`, error);
-      highQualityLogo = null;
-    }
-    
-    // Use original API logo as fallback
-    const originalLogo = opponent?.image_path || '';
-    
-    // Use the best logo we can find
-    const logoUrl = highQualityLogo || originalLogo;
+/**
+ * Count the season record and form guide for each of SEASON_RECORD_COMPETITIONS
+ * @param {Array} [matches] - Matches to read, the bundled schedule by default
+ * @returns {Array} The competition options, each with its `record` from computeSeasonRecord()
+ */
+export const getSeasonRecords = (matches = TIMBERS_MATCHES) => {
+  return SEASON_RECORD_COMPETITIONS.map(option => ({
+    ...option,
+    record: computeSeasonRecord(matches, { competitions: option.competitions })
+  }));
+};
 
-    return {
-      date: fixture.starting_at,
-      time: fixture.starting_at,
-      opponent: opponentName,
-      opponentShort: opponent?.short_code || 'TBD',
-      isHome: isHome,
-      venue: isHome ? 'Providence Park' : 'Away',
-      competition: fixture.competition || 'MLS',
-      logoUrl: logoUrl,
-    };
-  });
+/**
+ * Rank the Cascadia Cup clubs on this season's league meetings
+ * @param {Array} [matches] - Matches to read, the bundled schedule by default
+ * @param {Array} [rivalSchedules] - Seattle and Vancouver schedules, see computeCascadiaCupStandings()
+ * @returns {Array} Table rows in rank order, see computeCascadiaCupStandings()
+ */
+export const getCascadiaCupStandings = (matches = TIMBERS_MATCHES, rivalSchedules = []) => {
+  return computeCascadiaCupStandings(matches, { rivalSchedules, resolveLogo: getTeamLogoFromManifest });
 };
@@ -5,8 +5,10 @@
 /**
  * Completely clear all shadow and text effects from canvas context
  * @param {CanvasRenderingContext2D} ctx - Canvas context to reset
+ * @param {Object} [options] - Reset options
+ * @param {boolean} [options.keepTransform=false] - Keep the current transform, for drawing inside a moved or rotated element
  */
-export const clearTextEffects = (ctx) => {
+export const clearTextEffects = (ctx, { keepTransform = false } = {}) => {
   if (!ctx) return;
   
   // Don't save/restore because that can preserve states we want to reset
@@ -15,7 +17,9 @@ export const clearTextEffects = (ctx) => {
   // Reset transformation matrix to identity (this is crucial)
   // Try multiple methods with safe fallbacks for different browser implementations
   try {
-    if (ctx.setTransform) {
+    if (keepTransform) {
+      // Elements drawn in their own frame rely on the current transform
+    } else if (ctx.setTransform) {
       ctx.setTransform(1, 0, 0, 1, 0, 0);
     } else if (ctx.resetTransform) {
       ctx.resetTransform();
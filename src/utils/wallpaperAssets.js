@@ -0,0 +1,101 @@
+import { tryLoadImage } from './imageLoader';
+import { loadThemeImage, loadThemeForegroundMask } from './backgroundRenderers';
+import { debugLog, debugWarn } from './debug';
+import { renderWallpaper } from './renderWallpaper';
+
+/**
+ * Create an offscreen canvas in the browser
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement} - The new canvas element
+ */
+export const createBrowserCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Load every image a wallpaper config needs in the browser, ready to pass to renderWallpaper()
+ * @param {Object} config - Wallpaper config (see DEFAULT_WALLPAPER_CONFIG)
+ * @param {string} [config.patch] - Patch filename in src/assets/patches
+ * @returns {Promise<Object>} - Assets object with background, foregroundMask, patch, logos, calendarLogos, cascadiaLogos, layerImages and createCanvas
+ */
+export const loadWallpaperAssets = async (config) => {
+  const { theme, backgroundThemes = [], patch, showPatchImage = true, matches = [], includeMatches = true, layers = [], depthEffect = true, scheduleStyle, calendar, showCascadiaTable = false, cascadiaStandings } = config;
+
+  const loadPatch = async () => {
+    if (!showPatchImage || !patch) return null;
+
+    try {
+      // Import patch from assets instead of public folder
+      const patchImgPath = new URL(`../assets/patches/${patch}`, import.meta.url).href;
+      const patchImg = await tryLoadImage(patchImgPath);
+      debugLog('Selected image loaded successfully');
+      return patchImg;
+    } catch (error) {
+      debugWarn('Failed to load selected image:', error);
+      return null;
+    }
+  };
+
+  const loadLogo = async (match) => {
+    if (!match.logoUrl) return null;
+
+    try {
+      return await tryLoadImage(match.logoUrl);
+    } catch {
+      return null;
+    }
+  };
+
+  const loadLayerImages = async () => {
+    const imageLayers = layers.filter(layer => layer.type === 'image' && layer.src && layer.visible !== false);
+    const images = await Promise.all(imageLayers.map(async (layer) => {
+      try {
+        return [layer.id, await tryLoadImage(layer.src)];
+      } catch (error) {
+        debugWarn(`Failed to load image for layer ${layer.name}:`, error);
+        return [layer.id, null];
+      }
+    }));
+    return Object.fromEntries(images);
+  };
+
+  const calendarMatches = includeMatches && scheduleStyle === 'calendar' && calendar ? calendar.matches : [];
+  const cascadiaRows = showCascadiaTable && cascadiaStandings ? cascadiaStandings : [];
+
+  const [background, foregroundMask, patchImage, logos, calendarLogos, cascadiaLogos, layerImages] = await Promise.all([
+    loadThemeImage(theme, backgroundThemes),
+    depthEffect ? loadThemeForegroundMask(theme, backgroundThemes) : Promise.resolve(null),
+    loadPatch(),
+    includeMatches ? Promise.all(matches.map(loadLogo)) : Promise.resolve([]),
+    Promise.all(calendarMatches.map(loadLogo)),
+    Promise.all(cascadiaRows.map(loadLogo)),
+    loadLayerImages()
+  ]);
+
+  return {
+    background,
+    foregroundMask,
+    patch: patchImage,
+    logos,
+    calendarLogos,
+    cascadiaLogos,
+    layerImages,
+    createCanvas: createBrowserCanvas
+  };
+};
+
+/**
+ * Render a wallpaper config onto a new offscreen canvas, e.g. for a variant that isn't on the preview
+ * @param {Object} config - Wallpaper config (see DEFAULT_WALLPAPER_CONFIG)
+ * @returns {Promise<HTMLCanvasElement>} - The rendered canvas
+ */
+export const renderWallpaperToCanvas = async (config) => {
+  const assets = await loadWallpaperAssets(config);
+  const canvas = createBrowserCanvas(config.width, config.height);
+  renderWallpaper(canvas.getContext('2d'), config, assets);
+  return canvas;
+};
@@ -0,0 +1,141 @@
+/**
+ * Turn wallpaper settings from outside the app, such as CLI flags, config files or
+ * Worker query parameters, into a checked renderWallpaper() config. Like
+ * scheduleParser.js, this module must not import JSON or Vite-only assets so it can
+ * run in Node and in the Worker.
+ */
+
+import { DEFAULT_WALLPAPER_CONFIG } from './renderWallpaper.js';
+import { extractScheduleMatches, extractMonthMatches, computeSeasonRecord, computeCascadiaCupStandings } from './scheduleParser.js';
+import { getDevice } from './devices.js';
+import {
+  DEVICE_MODELS,
+  DEFAULT_DEVICE_MODEL,
+  WALLPAPER_VARIANTS,
+  SCHEDULE_STYLES,
+  SCHEDULE_MODES,
+  DEFAULT_SCHEDULE_MODE,
+  CALENDAR_MONTHS,
+  DEFAULT_FIXTURE_COUNT,
+  FIXTURE_COUNT_OPTIONS,
+  FIXTURE_COUNT_REST_OF_MONTH,
+  SCHEDULE_COMPETITIONS,
+  SCHEDULE_VENUES,
+  DEFAULT_SCHEDULE_FILTERS,
+  SEASON_RECORD_COMPETITIONS,
+  DEFAULT_SEASON_RECORD_COMPETITION
+} from './constants.js';
+
+/**
+ * Read the background themes from background-manifest.json in the same shape useBackgroundThemes() produces
+ * @param {Object} manifest - Parsed background-manifest.json
+ * @returns {Array} Background themes
+ */
+export const getBackgroundThemes = (manifest) => (manifest.backgrounds || [])
+  .filter(background => background.id && background.label)
+  .map(background => ({
+    value: background.id,
+    label: background.label,
+    description: background.description || '',
+    type: background.type,
+    filename: background.filename || '',
+    foregroundMask: background.foregroundMask || '',
+    gradientType: background.gradientType || '',
+    gradientDirection: background.gradientDirection || '',
+    colorStops: background.colorStops || [],
+    effects: background.effects || ''
+  }));
+
+/**
+ * Turn a settings entry into a renderWallpaper() config, with the matches, calendar
+ * and records it shows
+ * @param {Object} entry - Entry with device, theme, patch, text, font and other settings
+ * @param {Object} options - Config options
+ * @param {Array} options.backgroundThemes - Available themes, see getBackgroundThemes()
+ * @param {Array} options.scheduleMatches - Matches from parseSchedule()
+ * @param {Date} [options.now] - Moment separating results from upcoming fixtures (defaults to now)
+ * @param {Array} [options.rivalSchedules] - Seattle and Vancouver schedules for the Cascadia Cup table,
+ *   see computeCascadiaCupStandings()
+ * @param {Function} [options.resolveLogo] - `(teamName, shortCode) => url|null` for high quality logos
+ * @returns {Object} Wallpaper config
+ * @throws {Error} When a setting is invalid
+ */
+export const buildWallpaperConfig = (entry, { backgroundThemes, scheduleMatches, now = new Date(), rivalSchedules = [], resolveLogo }) => {
+  const deviceId = entry.device || DEFAULT_DEVICE_MODEL;
+  const customSize = entry.width || entry.height ? { width: entry.width, height: entry.height } : undefined;
+  const device = getDevice(deviceId, customSize);
+  if (!device) {
+    throw new Error(`Unknown device "${deviceId}". Available: ${DEVICE_MODELS.map(model => model.value).join(', ')}`);
+  }
+
+  const theme = entry.theme || DEFAULT_WALLPAPER_CONFIG.theme;
+  if (!backgroundThemes.some(t => t.value === theme)) {
+    throw new Error(`Unknown theme "${theme}". Available: ${backgroundThemes.map(t => t.value).join(', ')}`);
+  }
+
+  const variant = entry.variant || DEFAULT_WALLPAPER_CONFIG.variant;
+  if (!WALLPAPER_VARIANTS.some(v => v.value === variant)) {
+    throw new Error(`Unknown variant "${variant}". Available: ${WALLPAPER_VARIANTS.map(v => v.value).join(', ')}, all`);
+  }
+
+  const scheduleStyle = entry.scheduleStyle || DEFAULT_WALLPAPER_CONFIG.scheduleStyle;
+  if (!SCHEDULE_STYLES.some(style => style.value === scheduleStyle)) {
+    throw new Error(`Unknown schedule style "${scheduleStyle}". Available: ${SCHEDULE_STYLES.map(style => style.value).join(', ')}`);
+  }
+
+  const scheduleMode = entry.scheduleMode || DEFAULT_SCHEDULE_MODE;
+  if (!SCHEDULE_MODES.some(mode => mode.value === scheduleMode)) {
+    throw new Error(`Unknown schedule mode "${scheduleMode}". Available: ${SCHEDULE_MODES.map(mode => mode.value).join(', ')}`);
+  }
+
+  const fixtureCount = entry.fixtureCount === FIXTURE_COUNT_REST_OF_MONTH
+    ? FIXTURE_COUNT_REST_OF_MONTH
+    : Number(entry.fixtureCount ?? DEFAULT_FIXTURE_COUNT);
+  if (!FIXTURE_COUNT_OPTIONS.some(option => option.value === fixtureCount)) {
+    throw new Error(`Invalid match count "${entry.fixtureCount}". Use 1 to 8, or "${FIXTURE_COUNT_REST_OF_MONTH}"`);
+  }
+
+  const calendarMonth = Number(entry.calendarMonth ?? 0);
+  if (!CALENDAR_MONTHS.some(option => option.value === calendarMonth)) {
+    throw new Error(`Unknown calendar month "${entry.calendarMonth}". Available: ${CALENDAR_MONTHS.map(option => option.value).join(', ')}`);
+  }
+
+  const scheduleFilters = { ...DEFAULT_SCHEDULE_FILTERS, ...entry.scheduleFilters };
+  const unknownCompetition = scheduleFilters.competitions.find(id => !SCHEDULE_COMPETITIONS.some(competition => competition.value === id));
+  if (unknownCompetition) {
+    throw new Error(`Unknown competition "${unknownCompetition}". Available: ${SCHEDULE_COMPETITIONS.map(competition => competition.value).join(', ')}`);
+  }
+  if (!SCHEDULE_VENUES.some(venue => venue.value === scheduleFilters.venue)) {
+    throw new Error(`Unknown venue "${scheduleFilters.venue}". Available: ${SCHEDULE_VENUES.map(venue => venue.value).join(', ')}`);
+  }
+  const invalidDate = [scheduleFilters.from, scheduleFilters.to].find(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+  if (invalidDate) {
+    throw new Error(`Invalid schedule filter date "${invalidDate}". Use YYYY-MM-DD`);
+  }
+
+  const recordCompetition = SEASON_RECORD_COMPETITIONS.find(option => option.value === (entry.seasonRecordCompetition || DEFAULT_SEASON_RECORD_COMPETITION));
+  if (!recordCompetition) {
+    throw new Error(`Unknown season record competition "${entry.seasonRecordCompetition}". Available: ${SEASON_RECORD_COMPETITIONS.map(option => option.value).join(', ')}`);
+  }
+
+  const scheduleOptions = { now, filters: scheduleFilters, resolveLogo };
+
+  return {
+    ...DEFAULT_WALLPAPER_CONFIG,
+    ...entry,
+    width: device.width,
+    height: device.height,
+    device: device.value,
+    layout: entry.layout || device.layout,
+    safeZones: device.safeZones || [],
+    theme,
+    variant,
+    backgroundThemes,
+    showPatchImage: entry.showPatchImage ?? Boolean(entry.patch),
+    matches: entry.includeMatches === false ? [] : extractScheduleMatches(scheduleMatches, { ...scheduleOptions, mode: scheduleMode, fixtureCount }),
+    scheduleStyle,
+    calendar: extractMonthMatches(scheduleMatches, { ...scheduleOptions, monthOffset: calendarMonth }),
+    seasonRecord: computeSeasonRecord(scheduleMatches, { now, competitions: recordCompetition.competitions }),
+    cascadiaStandings: entry.showCascadiaTable ? computeCascadiaCupStandings(scheduleMatches, { now, rivalSchedules, resolveLogo }) : null
+  };
+};
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  build: {
+    // Lets the Worker's /render.png route find the hashed backgrounds, patches and logos
+    manifest: 'asset-manifest.json',
+  },
+})
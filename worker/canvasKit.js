@@ -0,0 +1,277 @@
+/**
+ * A 2D canvas for the Worker, which has none: CanvasKit (Skia compiled to WebAssembly)
+ * and its HTML canvas emulation, adapted to what renderWallpaper() draws with.
+ *
+ * canvaskit-wasm is pinned to 0.40.0, the last release that lets the caller instantiate
+ * the WebAssembly module. Workers can only run modules bundled with them, not compile
+ * fetched bytes, which is what later releases do.
+ */
+
+import CanvasKitInit from 'canvaskit-wasm/bin/canvaskit.js';
+import canvasKitWasm from 'canvaskit-wasm/bin/canvaskit.wasm';
+
+// Family drawn for any font that wasn't registered, so text never silently measures 0
+export const FALLBACK_FONT_FAMILY = 'sans-serif';
+
+// CSS font shorthand: optional style, variant and weight keywords, a size and a family list
+const CSS_FONT_PATTERN = /^\s*((?:(?:normal|italic|oblique|small-caps|bold|bolder|lighter|[1-9]00)\s+)*)([\d.]+)(px|pt)\s+(.+)$/;
+
+// Emoji and the joiners, selectors and modifiers that build them, but not the ©, ® and ™
+// signs the fonts have. No emoji font is registered, so these would draw as empty boxes.
+const EMOJI_PATTERN = /(?:(?![\u00a9\u00ae\u2122])\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200d|\ufe0e|\ufe0f|\u20e3)+/gu;
+
+let canvasKitPromise = null;
+
+// Canvas holding the registered typefaces. The emulation keeps fonts in one table per
+// CanvasKit instance but frees them with the canvas that loaded them, so this one lives
+// as long as the Worker instance.
+let fontCanvas = null;
+const registeredFamilies = new Set();
+
+// Ascent and descent per pixel of font size by "family|weight", for the text alignment
+// and baselines the emulation doesn't implement
+const fontMetrics = new Map();
+
+/**
+ * Start CanvasKit once per Worker instance
+ * @returns {Promise<Object>} CanvasKit
+ */
+export const loadCanvasKit = () => {
+  // CanvasKit reads self.location while starting inside a worker, which the Workers runtime doesn't set
+  globalThis.location ??= new URL('https://worker.invalid/');
+
+  canvasKitPromise ||= CanvasKitInit({
+    instantiateWasm: (imports, receiveInstance) => {
+      WebAssembly.instantiate(canvasKitWasm, imports).then(instance => receiveInstance(instance));
+      return {};
+    }
+  }).catch(error => {
+    canvasKitPromise = null;
+    throw error;
+  });
+  return canvasKitPromise;
+};
+
+/**
+ * Make a font available to every canvas
+ * @param {Object} CanvasKit - CanvasKit from loadCanvasKit()
+ * @param {ArrayBuffer} bytes - TrueType or OpenType font file
+ * @param {Object} descriptors - Font descriptors
+ * @param {string} descriptors.family - Family name used in ctx.font
+ * @param {string} [descriptors.weight] - 'normal' or 'bold'
+ */
+export const registerFont = (CanvasKit, bytes, { family, weight = 'normal' }) => {
+  fontCanvas ||= CanvasKit.MakeCanvas(1, 1);
+  fontCanvas.loadFont(bytes, { family, weight, style: 'normal' });
+  registeredFamilies.add(family);
+
+  const typeface = CanvasKit.Typeface.MakeFreeTypeFaceFromData(bytes);
+  const font = new CanvasKit.Font(typeface, 1);
+  const { ascent, descent } = font.getMetrics();
+  fontMetrics.set(`${family}|${weight}`, { ascent: -ascent, descent });
+  font.delete();
+  typeface.delete();
+};
+
+/**
+ * Rewrite a CSS font for the emulation, which reads everything after the size as one
+ * family name and only knows normal and bold weights
+ * @param {string} font - CSS font, e.g. `bold 48px "Urban Jungle", sans-serif`
+ * @returns {{font: string, metrics: Object}|null} Font naming the first registered family or
+ *   the fallback family, with its ascent and descent in pixels, or null when it can't be parsed
+ */
+const toCanvasKitFont = (font) => {
+  const parsed = CSS_FONT_PATTERN.exec(font);
+  if (!parsed) return null;
+
+  const [, keywords, size, unit, familyList] = parsed;
+  const keywordList = keywords.trim().split(/\s+/);
+  const style = keywordList.find(keyword => keyword === 'italic' || keyword === 'oblique') || 'normal';
+  const weight = keywordList.some(keyword => keyword === 'bold' || keyword === 'bolder' || Number(keyword) >= 600) ? 'bold' : 'normal';
+  const family = familyList
+    .split(',')
+    .map(name => name.trim().replace(/^["']|["']$/g, ''))
+    .find(name => registeredFamilies.has(name)) || FALLBACK_FONT_FAMILY;
+  const pixels = unit === 'pt' ? Number(size) * 4 / 3 : Number(size);
+  const metrics = fontMetrics.get(`${family}|${weight}`) || fontMetrics.get(`${family}|normal`) || { ascent: 0.8, descent: 0.2 };
+
+  return {
+    font: `${style} ${weight} ${size}${unit} ${family}`,
+    metrics: { ascent: metrics.ascent * pixels, descent: metrics.descent * pixels }
+  };
+};
+
+/**
+ * Leave emoji out of text, along with the space they leave behind
+ * @param {string} value - Text to draw
+ * @returns {string} Text without emoji, e.g. "Rose City Till I Die!" for "Rose City Till I Die! 🌹⚽"
+ */
+const stripEmoji = (value) => {
+  const text = String(value);
+  const stripped = text.replace(EMOJI_PATTERN, '');
+  return stripped === text ? text : stripped.replace(/\s{2,}/g, ' ').trim();
+};
+
+/**
+ * Create a wallpaper-sized canvas, with offscreen canvases for the depth effect and
+ * logo sharpening. Dispose it once the PNG has been read, since CanvasKit memory
+ * isn't garbage collected.
+ * @param {Object} CanvasKit - CanvasKit from loadCanvasKit()
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {{ctx: Object, createCanvas: Function, decodeImage: Function, toPng: Function, dispose: Function}} Drawing surface
+ */
+export const createDrawingSurface = (CanvasKit, width, height) => {
+  const canvases = [];
+  const snapshots = [];
+  const offscreenContexts = new WeakMap();
+
+  /**
+   * The emulation can't draw one canvas onto another, so offscreen canvases are drawn
+   * from a snapshot of their pixels
+   * @param {Object} source - Image or offscreen canvas
+   * @returns {Object} Something the emulated drawImage() accepts
+   */
+  const toDrawable = (source) => {
+    const offscreen = offscreenContexts.get(source);
+    if (!offscreen) return source;
+
+    const pixels = offscreen.getImageData(0, 0, source.width, source.height);
+    const snapshot = CanvasKit.MakeImage({
+      width: source.width,
+      height: source.height,
+      alphaType: CanvasKit.AlphaType.Unpremul,
+      colorType: CanvasKit.ColorType.RGBA_8888,
+      colorSpace: CanvasKit.ColorSpace.SRGB
+    }, pixels.data, source.width * 4);
+    snapshots.push(snapshot);
+    return snapshot;
+  };
+
+  /**
+   * Wrap an emulated context so fonts resolve to registered families, text follows
+   * textAlign and textBaseline without emoji, and offscreen canvases can be drawn
+   * @param {Object} ctx - Emulated 2D context
+   * @returns {Object} Context for renderWallpaper()
+   */
+  const adaptContext = (ctx) => {
+    let text = { textAlign: 'start', textBaseline: 'alphabetic', direction: 'ltr', metrics: { ascent: 0, descent: 0 } };
+    const savedText = [];
+
+    /**
+     * Move a text position from the requested alignment and baseline to the left
+     * alphabetic baseline the emulation draws at
+     * @param {string} value - Text
+     * @param {number} x - Requested x
+     * @param {number} y - Requested y
+     * @returns {Array<number>} Position to draw at
+     */
+    const alignText = (value, x, y) => {
+      const width = ctx.measureText(value).width;
+      const isRtl = text.direction === 'rtl';
+      const align = { start: isRtl ? 'right' : 'left', end: isRtl ? 'left' : 'right' }[text.textAlign] || text.textAlign;
+      const { ascent, descent } = text.metrics;
+      const baselineOffsets = {
+        top: ascent,
+        hanging: ascent * 0.8,
+        middle: (ascent - descent) / 2,
+        bottom: -descent,
+        ideographic: -descent
+      };
+      return [
+        x - (align === 'center' ? width / 2 : align === 'right' ? width : 0),
+        y + (baselineOffsets[text.textBaseline] || 0)
+      ];
+    };
+
+    const overrides = {
+      // The emulation draws images with the fill paint, so a translucent or gradient
+      // fillStyle would fade or cover them; only globalAlpha should apply
+      drawImage: (image, ...args) => {
+        const { fillStyle } = ctx;
+        ctx.fillStyle = '#000';
+        ctx.drawImage(toDrawable(image), ...args);
+        ctx.fillStyle = fillStyle;
+      },
+      fillText: (value, x, y) => {
+        const drawn = stripEmoji(value);
+        ctx.fillText(drawn, ...alignText(drawn, x, y));
+      },
+      strokeText: (value, x, y) => {
+        const drawn = stripEmoji(value);
+        ctx.strokeText(drawn, ...alignText(drawn, x, y));
+      },
+      measureText: (value) => ctx.measureText(stripEmoji(value)),
+      save: () => {
+        savedText.push(text);
+        ctx.save();
+      },
+      restore: () => {
+        text = savedText.pop() || text;
+        ctx.restore();
+      }
+    };
+
+    return new Proxy(ctx, {
+      get(target, property) {
+        if (overrides[property]) return overrides[property];
+        if (property in text) return text[property];
+        const value = target[property];
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+      set(target, property, value) {
+        if (property === 'font') {
+          const resolved = toCanvasKitFont(value);
+          if (resolved) {
+            target.font = resolved.font;
+            text = { ...text, metrics: resolved.metrics };
+          }
+        } else if (property === 'textAlign' || property === 'textBaseline' || property === 'direction') {
+          text = { ...text, [property]: value };
+        } else {
+          target[property] = value;
+        }
+        return true;
+      }
+    });
+  };
+
+  const makeCanvas = (canvasWidth, canvasHeight) => {
+    const canvas = CanvasKit.MakeCanvas(canvasWidth, canvasHeight);
+    canvases.push(canvas);
+    return canvas;
+  };
+
+  const mainCanvas = makeCanvas(width, height);
+
+  return {
+    ctx: adaptContext(mainCanvas.getContext('2d')),
+
+    createCanvas: (canvasWidth, canvasHeight) => {
+      const ctx = makeCanvas(canvasWidth, canvasHeight).getContext('2d');
+      const offscreen = { width: canvasWidth, height: canvasHeight, getContext: () => adaptContext(ctx) };
+      offscreenContexts.set(offscreen, ctx);
+      return offscreen;
+    },
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} bytes - PNG, JPEG, WebP or GIF file; CanvasKit can't decode AVIF
+     * @returns {Object} Image for drawImage()
+     * @throws {Error} When the image can't be decoded
+     */
+    decodeImage: (bytes) => mainCanvas.decodeImage(bytes),
+
+    /**
+     * @returns {Uint8Array} The wallpaper as PNG
+     */
+    toPng: () => {
+      const base64 = mainCanvas.toDataURL('image/png').split(',')[1];
+      return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+    },
+
+    dispose: () => {
+      snapshots.forEach(snapshot => snapshot.delete());
+      canvases.forEach(canvas => canvas.dispose());
+    }
+  };
+};
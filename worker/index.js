@@ -0,0 +1,34 @@
+/**
+ * Cloudflare Worker entry. The built app in dist/ is served as static assets; requests
+ * that don't match a file reach this Worker, which answers the routes below and hands
+ * anything else back to the assets.
+ */
+
+import { handleCalendar, handleScheduleJson } from './scheduleRoutes.js';
+import { handleRender } from './renderRoute.js';
+
+// Route handlers by path, each `(url, {request, env, ctx}) => Response` or a Promise of one
+const ROUTES = {
+  '/calendar.ics': handleCalendar,
+  '/api/schedule.json': handleScheduleJson,
+  '/render.png': handleRender
+};
+
+export default {
+  /**
+   * @param {Request} request - Incoming request
+   * @param {Object} env - Bindings from wrangler.jsonc, including ASSETS
+   * @param {Object} ctx - Execution context
+   * @returns {Promise<Response>} Response
+   */
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const route = ROUTES[url.pathname];
+    if (!route) return env.ASSETS.fetch(request);
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return new Response('Method Not Allowed\n', { status: 405, headers: { Allow: 'GET, HEAD' } });
+    }
+    return route(url, { request, env, ctx });
+  }
+};
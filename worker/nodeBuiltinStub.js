@@ -0,0 +1,6 @@
+/**
+ * Stands in for the Node built-ins canvaskit-wasm requires (fs and path, aliased in
+ * wrangler.jsonc). Its loader only uses them when it runs in Node, never in the Worker.
+ */
+
+export default {};
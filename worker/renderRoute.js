@@ -0,0 +1,353 @@
+/**
+ * The Worker's /render.png route: the same renderWallpaper() core as the app and
+ * scripts/render-wallpaper.js, drawn with CanvasKit. Images and fonts come from the
+ * built app through the ASSETS binding, found with dist/asset-manifest.json.
+ */
+
+import BACKGROUND_MANIFEST from '../src/assets/background/background-manifest.json';
+import LOGO_MANIFEST from '../src/assets/logo/logo-manifest.json';
+import { renderWallpaper } from '../src/utils/renderWallpaper.js';
+import { getBackgroundThemes, buildWallpaperConfig } from '../src/utils/wallpaperConfig.js';
+import { findManifestLogo } from '../src/utils/logoMatcher.js';
+import { parseScheduleDate, getPacificDateParts, toIsoDate, fromPacificTime } from '../src/utils/scheduleDates.js';
+import { FONT_FILES } from '../src/utils/constants.js';
+import { TIMBERS_MATCHES, parseScheduleQuery } from './scheduleRoutes.js';
+import { FALLBACK_FONT_FAMILY, loadCanvasKit, registerFont, createDrawingSurface } from './canvasKit.js';
+
+const BACKGROUND_THEMES = getBackgroundThemes(BACKGROUND_MANIFEST);
+
+// Fonts for text in families that aren't bundled, such as the match rows' system fonts
+const FALLBACK_FONTS = [
+  { file: 'Inter-Regular.ttf', weight: 'normal' },
+  { file: 'Inter-Bold.ttf', weight: 'bold' }
+];
+
+// Browsers revalidate at least daily, so a redeploy with new results or a new renderer shows up
+const MAX_AGE_SECONDS = 24 * 60 * 60;
+const MIN_AGE_SECONDS = 60;
+
+// Part of every ETag, so a redeployed schedule changes it
+const SCHEDULE_VERSION = JSON.stringify(TIMBERS_MATCHES);
+
+let assetManifestPromise = null;
+const fontLoads = new Map();
+
+/**
+ * Find a team's logo in the bundled logo manifest
+ * @param {string} teamName - Team name
+ * @param {string} shortCode - Short code
+ * @returns {string|null} Source path, see fetchImageBytes()
+ */
+const resolveLogo = (teamName, shortCode) => {
+  const logo = findManifestLogo(LOGO_MANIFEST.logos, teamName, shortCode);
+  return logo ? `src/assets/logo/${logo.src.split('/').pop()}` : null;
+};
+
+/**
+ * Read a flag query parameter, on when present unless it's "0" or "false"
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {boolean} Whether the flag is on
+ */
+const getFlagParam = (searchParams, name) =>
+  searchParams.has(name) && !['0', 'false'].includes(searchParams.get(name).trim().toLowerCase());
+
+/**
+ * Read the wallpaper settings from query parameters named like the flags of
+ * scripts/render-wallpaper.js: `device`, `width`, `height`, `theme`, `patch`, `text`,
+ * `font`, `color`, `variant`, `schedule`, `mode`, `matches`, `no-matches`, `month`,
+ * `record`, `cascadia` and `avoid-safe-zones`, plus the schedule filters of
+ * parseScheduleQuery()
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} Entry for buildWallpaperConfig()
+ * @throws {Error} When a schedule filter is invalid
+ */
+export const parseRenderQuery = (searchParams) => {
+  const entry = { scheduleFilters: parseScheduleQuery(searchParams).filters };
+  const settings = {
+    device: 'device',
+    theme: 'theme',
+    patch: 'patch',
+    text: 'text',
+    font: 'font',
+    color: 'textColor',
+    variant: 'variant',
+    schedule: 'scheduleStyle',
+    mode: 'scheduleMode',
+    matches: 'fixtureCount',
+    month: 'calendarMonth'
+  };
+  Object.entries(settings).forEach(([name, setting]) => {
+    const value = (searchParams.get(name) || '').trim();
+    if (value) entry[setting] = value;
+  });
+
+  if (searchParams.has('width')) entry.width = Number(searchParams.get('width'));
+  if (searchParams.has('height')) entry.height = Number(searchParams.get('height'));
+  if (searchParams.get('record')) {
+    entry.showSeasonRecord = true;
+    entry.seasonRecordCompetition = searchParams.get('record').trim();
+  }
+  if (getFlagParam(searchParams, 'no-matches')) entry.includeMatches = false;
+  if (getFlagParam(searchParams, 'cascadia')) entry.showCascadiaTable = true;
+  if (getFlagParam(searchParams, 'avoid-safe-zones')) entry.avoidSafeZones = true;
+  return entry;
+};
+
+/**
+ * Find when the wallpaper can next change: a kickoff moves a match from the upcoming
+ * fixtures to the results and the records, and a new month changes the calendar
+ * @param {Date} now - Current time
+ * @returns {Date} The next kickoff, or the start of next month in Portland if that's sooner
+ */
+export const getWallpaperExpiry = (now) => {
+  const today = getPacificDateParts(now);
+  const nextMonth = fromPacificTime(toIsoDate({
+    year: today.month === 11 ? today.year + 1 : today.year,
+    month: (today.month + 1) % 12,
+    day: 1
+  }));
+  const nextKickoff = TIMBERS_MATCHES
+    .map(match => parseScheduleDate(match.kickoff))
+    .filter(kickoff => kickoff && kickoff > now)
+    .sort((a, b) => a - b)[0];
+  return nextKickoff && nextKickoff < nextMonth ? nextKickoff : nextMonth;
+};
+
+/**
+ * Build the ETag of a wallpaper, which stays the same until it expires
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {Date} expiry - From getWallpaperExpiry()
+ * @returns {Promise<string>} Quoted ETag
+ */
+const getWallpaperEtag = async (searchParams, expiry) => {
+  const query = new URLSearchParams(searchParams);
+  query.sort();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${query}\n${expiry.toISOString()}\n${SCHEDULE_VERSION}`));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex.slice(0, 32)}"`;
+};
+
+/**
+ * Build the key a wallpaper is cached under: the URL with its query parameters sorted,
+ * so the same settings in any order share one cached image
+ * @param {URL} url - Request URL
+ * @returns {Request} Cache API key
+ */
+const getCacheKey = (url) => {
+  const query = new URLSearchParams(url.searchParams);
+  query.sort();
+  return new Request(`${url.origin}${url.pathname}?${query}`);
+};
+
+/**
+ * Check whether the client's cached copy is still current
+ * @param {Request} request - Incoming request
+ * @param {string} etag - Current ETag
+ * @returns {boolean} Whether If-None-Match names the ETag
+ */
+const isNotModified = (request, etag) => (request.headers.get('If-None-Match') || '')
+  .split(',')
+  .some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*');
+
+/**
+ * Read the Vite manifest of the built app once per Worker instance
+ * @param {Object} env - Worker bindings
+ * @param {URL} url - Request URL, to resolve asset paths against
+ * @returns {Promise<Object>} Built files by source path, e.g. "src/assets/patches/107st.png"
+ */
+const getAssetManifest = (env, url) => {
+  assetManifestPromise ||= env.ASSETS.fetch(new URL('/asset-manifest.json', url))
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`/asset-manifest.json answered ${response.status}; build the app with "npm run build" first`);
+      }
+      return response.json();
+    })
+    .catch(error => {
+      assetManifestPromise = null;
+      throw error;
+    });
+  return assetManifestPromise;
+};
+
+/**
+ * Fetch a file of the built app
+ * @param {Object} env - Worker bindings
+ * @param {URL} url - Request URL
+ * @param {string} pathname - Path of the built file
+ * @returns {Promise<ArrayBuffer>} File contents
+ * @throws {Error} When the file can't be fetched
+ */
+const fetchAsset = async (env, url, pathname) => {
+  const response = await env.ASSETS.fetch(new URL(pathname, url));
+  if (!response.ok) throw new Error(`${pathname} answered ${response.status}`);
+  return response.arrayBuffer();
+};
+
+/**
+ * Fetch an image: a source path from the asset manifest, or a remote logo URL
+ * @param {Object} env - Worker bindings
+ * @param {URL} url - Request URL
+ * @param {Object} assetManifest - From getAssetManifest()
+ * @param {string} source - e.g. "src/assets/logo/SEA.png" or "https://..."
+ * @returns {Promise<ArrayBuffer>} Image file
+ * @throws {Error} When the image can't be fetched
+ */
+const fetchImageBytes = async (env, url, assetManifest, source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`answered ${response.status}`);
+    return response.arrayBuffer();
+  }
+  const built = assetManifest[source];
+  if (!built) throw new Error('not in the asset manifest');
+  return fetchAsset(env, url, `/${built.file}`);
+};
+
+/**
+ * Register the fallback fonts and the wallpaper's font, each once per Worker instance.
+ * A custom font that fails to load only falls back, like a missing font in the browser.
+ * @param {Object} CanvasKit - CanvasKit from loadCanvasKit()
+ * @param {Object} env - Worker bindings
+ * @param {URL} url - Request URL
+ * @param {string} font - Font family of the wallpaper text
+ * @returns {Promise<void>}
+ * @throws {Error} When a fallback font can't be loaded
+ */
+const loadFonts = async (CanvasKit, env, url, font) => {
+  const loadFont = (file, descriptors) => {
+    if (!fontLoads.has(file)) {
+      fontLoads.set(file, fetchAsset(env, url, `/fonts/${file}`)
+        .then(bytes => registerFont(CanvasKit, bytes, descriptors))
+        .catch(error => {
+          fontLoads.delete(file);
+          throw error;
+        }));
+    }
+    return fontLoads.get(file);
+  };
+
+  await Promise.all(FALLBACK_FONTS.map(({ file, weight }) => loadFont(file, { family: FALLBACK_FONT_FAMILY, weight })));
+  if (FONT_FILES[font]) {
+    await loadFont(FONT_FILES[font], { family: font }).catch(error => {
+      console.warn(`⚠️ Could not load the ${font} font: ${error.message}`);
+    });
+  }
+};
+
+/**
+ * Load the images a wallpaper draws, like loadAssets() in scripts/render-wallpaper.js.
+ * Images that fail to load only leave out what they'd draw.
+ * @param {Object} config - Wallpaper config
+ * @param {Object} surface - From createDrawingSurface()
+ * @param {Function} fetchImage - `(source) => Promise<ArrayBuffer>`
+ * @returns {Promise<Object>} Assets for renderWallpaper()
+ */
+const loadImages = async (config, surface, fetchImage) => {
+  const loadImage = async (source, description) => {
+    if (!source) return null;
+    try {
+      return surface.decodeImage(await fetchImage(source));
+    } catch (error) {
+      console.warn(`⚠️ Could not load ${description} (${source}): ${error.message || error}`);
+      return null;
+    }
+  };
+
+  const theme = BACKGROUND_THEMES.find(t => t.value === config.theme);
+  const backgroundPath = theme.type === 'image' && theme.filename ? `src/assets/background/${theme.filename}` : null;
+  const foregroundMaskPath = backgroundPath && theme.foregroundMask && config.depthEffect !== false
+    ? `src/assets/background/${theme.foregroundMask}`
+    : null;
+  const calendarMatches = config.scheduleStyle === 'calendar' && config.includeMatches !== false ? config.calendar.matches : [];
+
+  const [background, foregroundMask, patch, logos, calendarLogos, cascadiaLogos] = await Promise.all([
+    loadImage(backgroundPath, `${config.theme} background`),
+    loadImage(foregroundMaskPath, `${config.theme} foreground mask`),
+    loadImage(config.showPatchImage && config.patch ? `src/assets/patches/${config.patch}` : null, 'patch'),
+    Promise.all(config.matches.map(match => loadImage(match.logoUrl, `${match.opponent} logo`))),
+    Promise.all(calendarMatches.map(match => loadImage(match.logoUrl, `${match.opponent} logo`))),
+    Promise.all((config.cascadiaStandings || []).map(row => loadImage(row.logoUrl, `${row.name} logo`)))
+  ]);
+
+  return { background, foregroundMask, patch, logos, calendarLogos, cascadiaLogos, layerImages: {}, createCanvas: surface.createCanvas };
+};
+
+/**
+ * Answer with a plain text message
+ * @param {string} message - Message
+ * @param {number} status - HTTP status
+ * @returns {Response} Response
+ */
+const textResponse = (message, status) => new Response(`${message}\n`, { status, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+
+/**
+ * Serve /render.png: a wallpaper drawn from query parameters (see parseRenderQuery()),
+ * cached in the browser and in the data center's Cache API until the next kickoff or
+ * month changes what it shows. If-None-Match is answered without rendering, and so is HEAD.
+ * @param {URL} url - Request URL
+ * @param {Object} options - Route options
+ * @param {Request} options.request - Incoming request
+ * @param {Object} options.env - Worker bindings, including ASSETS
+ * @param {Object} options.ctx - Worker execution context, to store the image after answering
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Response>} PNG, a 304, a 400 for invalid settings, or a 503 when the
+ *   built app's asset manifest can't be read
+ */
+export const handleRender = async (url, { request, env, ctx, now = new Date() }) => {
+  const badRequest = message => textResponse(message, 400);
+
+  let config;
+  try {
+    config = buildWallpaperConfig(parseRenderQuery(url.searchParams), {
+      backgroundThemes: BACKGROUND_THEMES,
+      scheduleMatches: TIMBERS_MATCHES,
+      now,
+      resolveLogo
+    });
+  } catch (error) {
+    return badRequest(error.message);
+  }
+
+  let assetManifest;
+  try {
+    assetManifest = await getAssetManifest(env, url);
+  } catch (error) {
+    console.error(`⚠️ Could not read the asset manifest: ${error.message}`);
+    return textResponse(`Wallpapers can't be rendered right now: ${error.message}`, 503);
+  }
+  if (config.patch && !assetManifest[`src/assets/patches/${config.patch}`]) {
+    return badRequest(`Unknown patch "${config.patch}"`);
+  }
+
+  const expiry = getWallpaperExpiry(now);
+  const maxAge = Math.min(MAX_AGE_SECONDS, Math.max(MIN_AGE_SECONDS, Math.floor((expiry - now) / 1000)));
+  const headers = {
+    'Content-Type': 'image/png',
+    'Cache-Control': `public, max-age=${maxAge}`,
+    ETag: await getWallpaperEtag(url.searchParams, expiry)
+  };
+
+  if (isNotModified(request, headers.ETag)) return new Response(null, { status: 304, headers });
+  if (request.method === 'HEAD') return new Response(null, { headers });
+
+  // The cached copy expires with the same max-age; its ETag also changes with a redeploy
+  const cacheKey = getCacheKey(url);
+  const cached = await caches.default.match(cacheKey);
+  if (cached && cached.headers.get('ETag') === headers.ETag) return cached;
+
+  const CanvasKit = await loadCanvasKit();
+  await loadFonts(CanvasKit, env, url, config.font);
+
+  const surface = createDrawingSurface(CanvasKit, config.width, config.height);
+  try {
+    const assets = await loadImages(config, surface, source => fetchImageBytes(env, url, assetManifest, source));
+    renderWallpaper(surface.ctx, config, assets);
+    const response = new Response(surface.toPng(), { headers });
+    ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+    return response;
+  } finally {
+    surface.dispose();
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Schedule routes of the Worker: a calendar subscription feed and the upcoming
+ * fixtures as JSON, both read from the bundled schedule so they need no outside services.
+ */
+
+import TIMBERS_SCHEDULE from '../src/assets/schedule.json';
+import { parseSchedule } from '../src/utils/scheduleAdapters.js';
+import { extractUpcomingMatches, extractRecentResults, matchesScheduleFilters } from '../src/utils/scheduleParser.js';
+import { buildScheduleCalendar } from '../src/utils/scheduleCalendar.js';
+import { parseScheduleDate } from '../src/utils/scheduleDates.js';
+import { DEFAULT_SCHEDULE_FILTERS, SCHEDULE_COMPETITIONS, SCHEDULE_VENUES } from '../src/utils/constants.js';
+
+// The bundled Sportmonks schedule, turned into Matches once per Worker instance
+export const TIMBERS_MATCHES = parseSchedule(TIMBERS_SCHEDULE, { format: 'sportmonks' });
+
+// Calendar apps poll subscriptions every few hours anyway, so a short cache is plenty
+const CACHE_CONTROL = 'public, max-age=900';
+
+/**
+ * Read a YYYY-MM-DD date query parameter
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string} The date, or '' when it's missing
+ * @throws {Error} When the date is invalid
+ */
+const getDateParam = (searchParams, name) => {
+  const value = (searchParams.get(name) || '').trim();
+  if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !parseScheduleDate(value))) {
+    throw new Error(`Invalid ${name} "${value}"; use YYYY-MM-DD`);
+  }
+  return value;
+};
+
+/**
+ * Read the schedule filters from query parameters: `competition` (repeated or comma
+ * separated values from SCHEDULE_COMPETITIONS), `venue` (all, home or away), `from`,
+ * `to` and `limit`. Left out filters fall back to DEFAULT_SCHEDULE_FILTERS.
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {{filters: Object, limit: number}} Filters and the maximum number of upcoming matches
+ * @throws {Error} When a parameter is invalid
+ */
+export const parseScheduleQuery = (searchParams) => {
+  const competitions = searchParams.getAll('competition')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => {
+      const option = SCHEDULE_COMPETITIONS.find(entry => entry.value.toLowerCase() === value.toLowerCase());
+      if (!option) {
+        throw new Error(`Unknown competition "${value}"; use ${SCHEDULE_COMPETITIONS.map(entry => entry.value).join(', ')}`);
+      }
+      return option.value;
+    });
+
+  const venue = (searchParams.get('venue') || DEFAULT_SCHEDULE_FILTERS.venue).trim().toLowerCase();
+  if (!SCHEDULE_VENUES.some(option => option.value === venue)) {
+    throw new Error(`Unknown venue "${venue}"; use ${SCHEDULE_VENUES.map(option => option.value).join(', ')}`);
+  }
+
+  let limit = Infinity;
+  if (searchParams.has('limit')) {
+    limit = Number(searchParams.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit "${searchParams.get('limit')}"; use a whole number of at least 1`);
+    }
+  }
+
+  return {
+    filters: {
+      competitions: competitions.length > 0 ? [...new Set(competitions)] : DEFAULT_SCHEDULE_FILTERS.competitions,
+      venue,
+      from: getDateParam(searchParams, 'from'),
+      to: getDateParam(searchParams, 'to')
+    },
+    limit
+  };
+};
+
+/**
+ * Serve /calendar.ics: this season's results and every upcoming match as a feed calendar
+ * apps can subscribe to. Past matches stay in the feed so they don't disappear from
+ * the calendar after kickoff.
+ * @param {URL} url - Request URL
+ * @param {Object} [options] - Route options
+ * @param {Date} [options.now] - Current time
+ * @returns {Response} Calendar, or a 400 for invalid filters
+ */
+export const handleCalendar = (url, { now = new Date() } = {}) => {
+  let query;
+  try {
+    query = parseScheduleQuery(url.searchParams);
+  } catch (error) {
+    return new Response(`${error.message}\n`, { status: 400, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+  }
+
+  const matches = [
+    ...extractRecentResults(TIMBERS_MATCHES, { now, limit: Infinity, filters: query.filters }),
+    ...extractUpcomingMatches(TIMBERS_MATCHES, { now, limit: query.limit, filters: query.filters })
+  ];
+
+  return new Response(buildScheduleCalendar(matches, { now }), {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="timbers-schedule.ics"',
+      'Cache-Control': CACHE_CONTROL
+    }
+  });
+};
+
+/**
+ * Serve /api/schedule.json: upcoming matches in the Match model from scheduleAdapters.js
+ * @param {URL} url - Request URL
+ * @param {Object} [options] - Route options
+ * @param {Date} [options.now] - Current time
+ * @returns {Response} `{generatedAt, filters, matches}`, or `{error}` with a 400 for invalid filters
+ */
+export const handleScheduleJson = (url, { now = new Date() } = {}) => {
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': CACHE_CONTROL
+  };
+
+  let query;
+  try {
+    query = parseScheduleQuery(url.searchParams);
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), { status: 400, headers });
+  }
+
+  const matches = TIMBERS_MATCHES
+    .filter(match => match.status === 'scheduled' && parseScheduleDate(match.kickoff) > now)
+    .filter(match => matchesScheduleFilters(match, query.filters))
+    .slice(0, query.limit);
+
+  return new Response(JSON.stringify({
+    generatedAt: now.toISOString(),
+    filters: query.filters,
+    matches
+  }, null, 2), { headers });
+};